@@ -2,12 +2,31 @@
 /**
  * Script to convert JSON config files to YAML
  * Usage: node convertToYaml.js [files...]
+ *
+ * `configToYaml` is also used by vite.config.js to generate default.yaml
+ * from public/default.json.
  */
 
 import fs from 'fs';
 import path from 'path';
+import { pathToFileURL } from 'url';
 import YAML from 'js-yaml';
 
+/**
+ * Dump a config as YAML with nice formatting
+ * @param {Object} data
+ * @returns {string}
+ */
+export function configToYaml(data) {
+  return YAML.dump(data, {
+    indent: 2,
+    lineWidth: -1, // No line wrapping
+    forceQuotes: false,
+    sortKeys: false, // Preserve original order
+    flowLevel: -1   // Block style for all nested objects
+  });
+}
+
 async function convertJsonToYaml(jsonFilePath) {
   try {
     console.log(`Converting ${jsonFilePath}`);
@@ -20,13 +39,7 @@ async function convertJsonToYaml(jsonFilePath) {
     const outputPath = jsonFilePath.replace(/\.json$/, '.yaml');
 
     // Convert to YAML with nice formatting
-    const yamlContent = YAML.dump(data, {
-      indent: 2,
-      lineWidth: -1, // No line wrapping
-      forceQuotes: false,
-      sortKeys: false, // Preserve original order
-      flowLevel: -1   // Block style for all nested objects
-    });
+    const yamlContent = configToYaml(data);
 
     // Write YAML file
     fs.writeFileSync(outputPath, yamlContent, 'utf8');
@@ -43,29 +56,35 @@ async function convertJsonToYaml(jsonFilePath) {
   }
 }
 
-// Main
-const args = process.argv.slice(2);
+async function main() {
+  const args = process.argv.slice(2);
 
-if (args.length === 0) {
-  // Default: convert default.json
-  const files = [
-    './src/default.json'
-  ];
+  if (args.length === 0) {
+    // Default: convert default.json
+    const files = [
+      './public/default.json'
+    ];
 
-  console.log('No files specified, converting defaults...');
+    console.log('No files specified, converting defaults...');
 
-  for (const file of files) {
-    if (fs.existsSync(file)) {
+    for (const file of files) {
+      if (fs.existsSync(file)) {
+        await convertJsonToYaml(file);
+      } else {
+        console.warn(`File not found: ${file}`);
+      }
+    }
+  } else {
+    // Convert specified files
+    for (const file of args) {
       await convertJsonToYaml(file);
-    } else {
-      console.warn(`File not found: ${file}`);
     }
   }
-} else {
-  // Convert specified files
-  for (const file of args) {
-    await convertJsonToYaml(file);
-  }
+
+  console.log('Conversion complete');
 }
 
-console.log('Conversion complete');
+// Run only when executed directly (not when imported by vite.config.js)
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  await main();
+}
@@ -12,7 +12,7 @@ const logger = createDebugLogger("Announcement");
  */
 
 // Using the same metadata key as the original extension for compatibility
-const ANNOUNCEMENT_KEY = "dev.sharkbrain.announcement/bar-1";
+export const ANNOUNCEMENT_KEY = "dev.sharkbrain.announcement/bar-1";
 
 /**
  * Set announcement content and visibility
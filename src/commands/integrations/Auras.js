@@ -4,7 +4,7 @@
  * Communicates with Auras extension via broadcast messages
  */
 
-import OBR from "@owlbear-rodeo/sdk";
+import { sceneItemStore } from "../../stores/SceneItemStore.js";
 import { createDebugLogger } from "../../debugMode.js";
 import { buildImageBuildParams, validateImageBuildParams, broadcastLocal } from "../shared/sdkHelpers.js";
 
@@ -14,7 +14,7 @@ const logger = createDebugLogger("Auras");
 
 // Auras broadcast channel
 const AURAS_CHANNEL = "com.desain.emanation/message";
-const AURAS_METADATA_KEY = "com.desain.emanation/metadata";
+export const AURAS_METADATA_KEY = "com.desain.emanation/metadata";
 
 /**
  * Check if an item has any auras
@@ -24,7 +24,7 @@ const AURAS_METADATA_KEY = "com.desain.emanation/metadata";
 export async function hasAura(itemId) {
   try {
     logger.log(`Checking auras for item ${itemId}`);
-    const items = await OBR.scene.items.getItems([itemId]);
+    const items = await sceneItemStore.getItems([itemId]);
     
     if (items.length === 0) {
       logger.warn(`Item not found: ${itemId}`);
@@ -53,7 +53,7 @@ export async function hasAura(itemId) {
 export async function getAuras(itemId) {
   try {
     logger.log(`Getting auras for item ${itemId}`);
-    const items = await OBR.scene.items.getItems([itemId]);
+    const items = await sceneItemStore.getItems([itemId]);
     
     if (items.length === 0) {
       logger.warn(`Item not found: ${itemId}`);
@@ -4,7 +4,8 @@
  * https://github.com/Several-Record7234/aurora
  */
 
-import OBR, { isImage } from "@owlbear-rodeo/sdk";
+import { isImage } from "@owlbear-rodeo/sdk";
+import { sceneItemStore } from "../../stores/SceneItemStore.js";
 import { createDebugLogger } from "../../debugMode.js";
 
 // Debug mode constants
@@ -19,7 +20,7 @@ const BLEND_MODES = [
 ];
 
 // Plugin ID for the Aurora extension
-const AURORA_METADATA_KEY = "https://aurora.several-record.com/config";
+export const AURORA_METADATA_KEY = "https://aurora.several-record.com/config";
 
 /**
  * Map blend mode label to numeric value
@@ -213,7 +214,7 @@ export async function setAurora(mapId, config) {
 
     logger.log(`Setting Aurora on map ${mapId}:`, auroraMetadata);
 
-    await OBR.scene.items.updateItems([mapId], (items) => {
+    await sceneItemStore.updateItems([mapId], (items) => {
       for (const item of items) {
         if (isImage(item) && (item.layer === 'MAP' || item.layer === 'FOG')) {
           item.metadata[AURORA_METADATA_KEY] = auroraMetadata;
@@ -243,7 +244,7 @@ export async function removeAurora(mapId) {
 
     logger.log(`Removing Aurora from map ${mapId}`);
 
-    await OBR.scene.items.updateItems([mapId], (items) => {
+    await sceneItemStore.updateItems([mapId], (items) => {
       for (const item of items) {
         if (isImage(item) && (item.layer === 'MAP' || item.layer === 'FOG')) {
           delete item.metadata[AURORA_METADATA_KEY];
@@ -271,7 +272,7 @@ export async function getAurora(mapId) {
       throw new Error("mapId is required");
     }
 
-    const items = await OBR.scene.items.getItems([mapId]);
+    const items = await sceneItemStore.getItems([mapId]);
     const map = items[0];
 
     if (!map || !isImage(map) || (map.layer !== 'MAP' && map.layer !== 'FOG')) {
@@ -367,7 +368,7 @@ export async function updateAurora(mapId, updates) {
 
     logger.log(`Updating Aurora on map ${mapId} with:`, metadataUpdates);
 
-    await OBR.scene.items.updateItems([mapId], (items) => {
+    await sceneItemStore.updateItems([mapId], (items) => {
       for (const item of items) {
         if (isImage(item) && (item.layer === 'MAP' || item.layer === 'FOG')) {
           const metadata = item.metadata[AURORA_METADATA_KEY];
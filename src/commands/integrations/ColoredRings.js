@@ -1,4 +1,5 @@
 ﻿import OBR, { buildShape } from "@owlbear-rodeo/sdk";
+import { sceneItemStore } from "../../stores/SceneItemStore.js";
 import { getAttachmentsWithMetadata } from "../token/tokenAttachments.js";
 import { createDebugLogger } from "../../debugMode.js";
 
@@ -68,7 +69,7 @@ export async function addRing(tokenId, color) {
     }
 
     // Get the token to attach the ring to
-    const items = await OBR.scene.items.getItems([tokenId]);
+    const items = await sceneItemStore.getItems([tokenId]);
     
     if (!items || items.length === 0) {
       logger.error(`Token ${tokenId} not found`);
@@ -118,7 +119,7 @@ export async function addRing(tokenId, color) {
       .visible(targetToken.visible)
       .build();
 
-    await OBR.scene.items.addItems([ring]);
+    await sceneItemStore.addItems([ring]);
     logger.log(`Added ring with color "${color}" to token ${tokenId} (scale: ${scale})`);
     return true;
   } catch (error) {
@@ -134,7 +135,7 @@ export async function addRing(tokenId, color) {
  */
 async function updateRingScales(tokenId) {
   try {
-    const items = await OBR.scene.items.getItems([tokenId]);
+    const items = await sceneItemStore.getItems([tokenId]);
     if (!items || items.length === 0) {
       return false;
     }
@@ -147,7 +148,7 @@ async function updateRingScales(tokenId) {
     }
     
     // Update each ring's scale to prevent gaps
-    await OBR.scene.items.updateItems(
+    await sceneItemStore.updateItems(
       rings.map(r => r.id),
       (items) => {
         items.forEach((ring, index) => {
@@ -182,7 +183,7 @@ export async function removeRing(tokenId, color) {
       return false;
     }
 
-    await OBR.scene.items.deleteItems([ring.id]);
+    await sceneItemStore.deleteItems([ring.id]);
     logger.log(`Removed ring with color "${color}" from token ${tokenId}`);
     
     // Update remaining ring scales to remove gaps
@@ -6,6 +6,7 @@
 import OBR from "@owlbear-rodeo/sdk";
 import { createDebugLogger } from "../../debugMode.js";
 import { broadcastRequest } from "../shared/sdkHelpers.js";
+import { historyStore } from "../../stores/HistoryStore.js";
 
 // Debug mode constants
 const logger = createDebugLogger("ConditionMarkers");
@@ -77,6 +78,37 @@ async function sendAPIRequest(action, tokenId, conditionName, value = null) {
   return response.data ?? response;
 }
 
+/**
+ * Current state of a condition on an item, as recorded in the undo history
+ * @returns {Promise<{present: boolean, value: any}>}
+ */
+async function getConditionState(itemId, conditionName) {
+  const conditions = await getConditions(itemId);
+  if (!conditions.some(c => getConditionName(c) === conditionName)) {
+    return { present: false, value: null };
+  }
+  const value = await getValue(itemId, conditionName).catch(() => null);
+  return { present: true, value: value ?? null };
+}
+
+/**
+ * Record a condition change in the open history transaction
+ */
+function recordConditionChange(itemId, conditionName, from, to) {
+  historyStore.record({ type: 'condition', itemId, name: conditionName, from, to });
+}
+
+// Undo/redo: put the condition back in the recorded state
+const replayCondition = (side) => async (entry) => {
+  const state = entry[side];
+  if (state.present) {
+    await sendAPIRequest('addCondition', entry.itemId, entry.name, state.value);
+  } else {
+    await sendAPIRequest('removeCondition', entry.itemId, entry.name);
+  }
+};
+historyStore.registerHandler('condition', { undo: replayCondition('from'), redo: replayCondition('to') });
+
 /**
  * Get conditions applied to an item
  * @param {string} itemId - Item ID
@@ -102,7 +134,9 @@ export async function getConditions(itemId) {
 export async function addCondition(itemId, conditionName, value = null) {
   try {
     logger.log(`Adding condition '${conditionName}' to token ${itemId}, value: ${value}`);
+    const previous = historyStore.isRecording() ? await getConditionState(itemId, conditionName) : null;
     const result = await sendAPIRequest('addCondition', itemId, conditionName, value);
+    if (previous) recordConditionChange(itemId, conditionName, previous, { present: true, value });
     logger.log(`Condition '${conditionName}' added successfully`);
     return result;
   } catch (error) {
@@ -120,7 +154,9 @@ export async function addCondition(itemId, conditionName, value = null) {
 export async function removeCondition(itemId, conditionName) {
   try {
     logger.log(`Removing condition '${conditionName}' from token ${itemId}`);
+    const previous = historyStore.isRecording() ? await getConditionState(itemId, conditionName) : null;
     const result = await sendAPIRequest('removeCondition', itemId, conditionName);
+    if (previous?.present) recordConditionChange(itemId, conditionName, previous, { present: false, value: null });
     logger.log(`Condition '${conditionName}' removed successfully`);
     return result;
   } catch (error) {
@@ -158,7 +194,18 @@ export async function toggleCondition(itemId, conditionName) {
  */
 export async function clearAllConditions(itemId) {
   try {
+    const previous = [];
+    if (historyStore.isRecording()) {
+      for (const condition of await getConditions(itemId)) {
+        const name = getConditionName(condition);
+        const value = await getValue(itemId, name).catch(() => null);
+        previous.push({ name, value: value ?? null });
+      }
+    }
     await sendAPIRequest("removeAllConditions", itemId);
+    for (const { name, value } of previous) {
+      recordConditionChange(itemId, name, { present: true, value }, { present: false, value: null });
+    }
   } catch (error) {
     if (error.message === "No conditions found on token") {
       return;
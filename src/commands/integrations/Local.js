@@ -5,6 +5,8 @@
  */
 
 import { createDebugLogger } from "../../debugMode.js";
+import { historyStore } from "../../stores/HistoryStore.js";
+import { LOCAL_INTEGRATION_STORAGE_KEY } from "../../constants.js";
 
 // Debug mode constants
 const logger = createDebugLogger("Local");
@@ -13,8 +15,18 @@ const logger = createDebugLogger("Local");
 class LocalIntegration {
   constructor() {
     this.storage = {};
-    this.localStorageKey = "macroHero_localStorage";
+    this.localStorageKey = LOCAL_INTEGRATION_STORAGE_KEY;
     this.loadFromLocalStorage();
+
+    // Undo/redo of set() and clear() made by commands (an entry without key
+    // holds the whole storage)
+    const restore = (side) => ({ key, ...values }) => {
+      if (key === undefined) this.storage = structuredClone(values[side]);
+      else if (side in values) this.storage[key] = values[side];
+      else delete this.storage[key];
+      this.saveToLocalStorage();
+    };
+    historyStore.registerHandler('local', { undo: restore('from'), redo: restore('to') });
     logger.log("Initialized with localStorage persistence");
   }
 
@@ -65,6 +77,14 @@ class LocalIntegration {
    */
   set(key, value) {
     logger.log(`Setting "${key}" =`, value);
+    if (historyStore.isRecording()) {
+      historyStore.record({
+        type: 'local',
+        key,
+        ...(key in this.storage && { from: this.storage[key] }),
+        ...(value !== undefined && { to: value }),
+      });
+    }
     this.storage[key] = value;
     this.saveToLocalStorage();
     return value;
@@ -75,10 +95,21 @@ class LocalIntegration {
    */
   clear() {
     logger.log("Clearing all storage");
+    if (historyStore.isRecording() && Object.keys(this.storage).length > 0) {
+      historyStore.record({ type: 'local', from: structuredClone(this.storage), to: {} });
+    }
     this.storage = {};
     localStorage.removeItem(this.localStorageKey);
   }
 
+  /**
+   * Copy of every stored value (sent to the sandbox, which serves reads from it)
+   * @returns {Object}
+   */
+  snapshot() {
+    return structuredClone(this.storage);
+  }
+
   /**
    * Get all stored keys
    * @returns {Array} Array of keys
@@ -25,6 +25,7 @@ import * as Announcement from "./Announcement.js";
 import * as Auras from "./Auras.js";
 import { Owlbear, NOTIFICATION_VARIANT } from "../shared/sdkHelpers.js";
 import { createDebugLogger } from "../../debugMode.js";
+import { createErrorValue } from "../../engines/errorValues.js";
 
 // Debug mode constants
 const logger = createDebugLogger("Manager");
@@ -74,7 +75,7 @@ class IntegrationsManager {
         return result;
       } catch (error) {
         logger.error('[IntegrationsManager] Error in async function:', error);
-        return null;
+        return createErrorValue('integration', error?.message ?? String(error));
       }
     };
   }
@@ -108,6 +109,7 @@ class IntegrationsManager {
         set: (key, value) => self.local.set(key, value),
         clear: () => self.local.clear(),
         keys: () => self.local.keys(),
+        snapshot: () => self.local.snapshot(),
       },
       // Conditions Markers integration (all async)
       ConditionMarkers: {
@@ -11,7 +11,7 @@ import { createDebugLogger } from "../../debugMode.js";
 const logger = createDebugLogger("OwlTrackers");
 
 
-const OWLTRACKERS_METADATA_KEY = "com.owl-trackers/trackers";
+export const OWLTRACKERS_METADATA_KEY = "com.owl-trackers/trackers";
 
 /**
  * Owl-Trackers Integration
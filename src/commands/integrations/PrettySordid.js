@@ -1,11 +1,11 @@
-﻿import OBR from "@owlbear-rodeo/sdk";
+﻿import { sceneItemStore } from "../../stores/SceneItemStore.js";
 import { createDebugLogger } from "../../debugMode.js";
 
 // Debug mode constants
 const logger = createDebugLogger("PrettySordid");
 
 
-const PRETTYSORDID_METADATA_KEY = "com.pretty-initiative/metadata";
+export const PRETTYSORDID_METADATA_KEY = "com.pretty-initiative/metadata";
 
 /**
  * Normalize an input that may be an item object or a token id string
@@ -16,7 +16,7 @@ async function _ensureItem(itemOrId) {
   if (!itemOrId) return null;
   if (typeof itemOrId === 'string') {
     try {
-      const items = await OBR.scene.items.getItems([itemOrId]);
+      const items = await sceneItemStore.getItems([itemOrId]);
       return items && items.length ? items[0] : null;
     } catch (err) {
       logger.error('[PrettySordid] Error fetching item by id', itemOrId, err);
@@ -64,7 +64,7 @@ export async function setInitiative(itemOrId, count) {
     throw new Error('[PrettySordid] setInitiative expects a token id or item object');
   }
 
-  await OBR.scene.items.updateItems([tokenId], (items) => {
+  await sceneItemStore.updateItems([tokenId], (items) => {
     const item = items.find(i => i.id === tokenId);
     if (!item) return;
 
@@ -87,7 +87,7 @@ export async function removeInitiative(itemOrId) {
     throw new Error('[PrettySordid] removeInitiative expects a token id or item object');
   }
 
-  await OBR.scene.items.updateItems([tokenId], (items) => {
+  await sceneItemStore.updateItems([tokenId], (items) => {
     const item = items.find(i => i.id === tokenId);
     if (!item) return;
 
@@ -9,7 +9,7 @@ import { createDebugLogger } from "../../debugMode.js";
 const logger = createDebugLogger("StatBubbles");
 
 
-const STATBUBBLES_METADATA_KEY = "com.owlbear-rodeo-bubbles-extension/metadata";
+export const STATBUBBLES_METADATA_KEY = "com.owlbear-rodeo-bubbles-extension/metadata";
 
 /**
  * StatBubbles Integration
@@ -4,7 +4,8 @@
  * https://github.com/owlbear-rodeo/weather
  */
 
-import OBR, { isImage } from "@owlbear-rodeo/sdk";
+import { isImage } from "@owlbear-rodeo/sdk";
+import { sceneItemStore } from "../../stores/SceneItemStore.js";
 import { createDebugLogger } from "../../debugMode.js";
 
 // Debug mode constants
@@ -12,7 +13,7 @@ const logger = createDebugLogger("Weather");
 
 
 // Plugin ID for the official Weather extension
-const WEATHER_METADATA_KEY = "rodeo.owlbear.weather/weather";
+export const WEATHER_METADATA_KEY = "rodeo.owlbear.weather/weather";
 
 /**
  * Set weather on a map (compatible with weather-extended)
@@ -61,7 +62,7 @@ export async function setWeather(mapId, config) {
 
     logger.log(`Setting weather on map ${mapId}:`, weatherConfig);
 
-    await OBR.scene.items.updateItems([mapId], (items) => {
+    await sceneItemStore.updateItems([mapId], (items) => {
       for (const item of items) {
         if (isImage(item) && (item.layer === 'MAP' || item.layer === 'FOG')) {
           item.metadata[WEATHER_METADATA_KEY] = weatherConfig;
@@ -91,7 +92,7 @@ export async function removeWeather(mapId) {
 
     logger.log(`Removing weather from map ${mapId}`);
 
-    await OBR.scene.items.updateItems([mapId], (items) => {
+    await sceneItemStore.updateItems([mapId], (items) => {
       for (const item of items) {
         if (isImage(item) && (item.layer === 'MAP' || item.layer === 'FOG')) {
           delete item.metadata[WEATHER_METADATA_KEY];
@@ -119,7 +120,7 @@ export async function getWeather(mapId) {
       throw new Error("mapId is required");
     }
 
-    const items = await OBR.scene.items.getItems([mapId]);
+    const items = await sceneItemStore.getItems([mapId]);
     const map = items[0];
 
     if (!map || !isImage(map) || (map.layer !== 'MAP' && map.layer !== 'FOG')) {
@@ -187,7 +188,7 @@ export async function updateWeather(mapId, updates) {
     logger.log(`Updating weather on map ${mapId} with:`, updates);
 
     // Use the official extension's method: directly modify metadata object
-    await OBR.scene.items.updateItems([mapId], (items) => {
+    await sceneItemStore.updateItems([mapId], (items) => {
       for (const item of items) {
         if (isImage(item) && (item.layer === 'MAP' || item.layer === 'FOG')) {
           const config = item.metadata[WEATHER_METADATA_KEY];
@@ -1,4 +1,5 @@
 ﻿import OBR, { isImage } from "@owlbear-rodeo/sdk";
+import { sceneItemStore } from "../../stores/SceneItemStore.js";
 import { createDebugLogger } from "../../debugMode.js";
 
 // Debug mode constants
@@ -13,7 +14,7 @@ const logger = createDebugLogger("sceneHelpers");
 export async function getMapIdFromToken(tokenId) {
   try {
     // Get the specific token using filter
-    const tokens = await OBR.scene.items.getItems([tokenId]);
+    const tokens = await sceneItemStore.getItems([tokenId]);
     const token = tokens[0];
     
     if (!token) {
@@ -31,7 +32,7 @@ export async function getMapIdFromToken(tokenId) {
     }
     
     // Get only map items using filter (maps are images on the MAP layer)
-    const maps = await OBR.scene.items.getItems((item) => isImage(item) && item.layer === 'MAP');
+    const maps = await sceneItemStore.getItems((item) => isImage(item) && item.layer === 'MAP');
     logger.log(`Found ${maps.length} maps in scene`);
     
     if (maps.length === 0) {
@@ -1,4 +1,5 @@
 ﻿import OBR from "@owlbear-rodeo/sdk";
+import { sceneItemStore } from "../../stores/SceneItemStore.js";
 import { createDebugLogger } from "../../debugMode.js";
 
 // Debug mode constants
@@ -76,6 +77,23 @@ export function onSceneMetadataChange(callback) {
   return OBR.scene.onMetadataChange(callback);
 }
 
+/**
+ * Check whether a scene is open
+ * @returns {Promise<boolean>}
+ */
+export async function isSceneReady() {
+  return OBR.scene.isReady();
+}
+
+/**
+ * Listen for scene switches (a scene is opened or closed)
+ * @param {Function} callback - Called with the new ready state
+ * @returns {Function} Unsubscribe function
+ */
+export function onSceneReadyChange(callback) {
+  return OBR.scene.onReadyChange(callback);
+}
+
 /**
  * Get the current active scene ID
  * @returns {Promise<string>} Scene ID
@@ -90,7 +108,7 @@ export async function getSceneId() {
  * @returns {Promise<Array>} Array of token items
  */
 export async function getSceneTokens() {
-  const items = await OBR.scene.getItems();
+  const items = await sceneItemStore.getItems();
   return items.filter(item => item.type === "token");
 }
 
@@ -100,7 +118,7 @@ export async function getSceneTokens() {
  * @returns {Promise<Object|null>} The item or null
  */
 export async function getSceneItem(itemId) {
-  const items = await OBR.scene.getItems([itemId]);
+  const items = await sceneItemStore.getItems([itemId]);
   return items[0] || null;
 }
 
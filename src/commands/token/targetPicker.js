@@ -0,0 +1,189 @@
+/**
+ * Target picker - Let a command ask the player to click tokens on the map
+ *
+ *   const [target] = await pickTargets({ caster: casterId, range: 6 });
+ *   const allies = await pickTargets({ max: 3, layers: ['CHARACTER', 'MOUNT'] });
+ *
+ * While picking, a temporary tool is active: each click on an item that
+ * passes the filters adds it (it is selected so the player sees it), clicking
+ * it again removes it. Picking ends when `max` items are chosen, or on Enter
+ * with fewer, and resolves with their ids. Escape, another tool, or the end of
+ * the run cancels it: the promise rejects with an AbortError and the previous
+ * tool is restored.
+ *
+ * The time spent picking does not count toward the command timeout (the
+ * executor pauses it while the player picks).
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import { sceneItemStore } from "../../stores/SceneItemStore.js";
+import { createDebugLogger } from "../../debugMode.js";
+
+const logger = createDebugLogger("targetPicker");
+
+const TOOL_ID = "com.sewef.macrohero/targetPicker";
+const MODE_ID = `${TOOL_ID}/pick`;
+const TOOL_ICON = "/icon.svg";
+const DEFAULT_LAYERS = ["CHARACTER"];
+
+let session = null; // Picking in progress (only one at a time)
+
+function createAbortError(message) {
+  const error = new Error(message);
+  error.name = "AbortError";
+  return error;
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+function promptText({ max, picked, prompt }) {
+  const remaining = max - picked.length;
+  const hint = picked.length > 0 ? "Enter to confirm, Escape to cancel" : "Escape to cancel";
+  return `🎯 ${prompt || `Click ${max > 1 ? "up to " : ""}${plural(remaining, "target")}`} (${hint})`;
+}
+
+async function showPrompt(current) {
+  const previous = current.notificationId;
+  const id = await OBR.notification.show(promptText(current), "INFO").catch(() => null);
+  if (previous) OBR.notification.close(previous).catch(() => {});
+  if (session === current) current.notificationId = id;
+  else if (id) OBR.notification.close(id).catch(() => {});
+}
+
+/**
+ * Reason an item cannot be picked, or null if it can
+ * @returns {Promise<string|null>}
+ */
+async function rejectReason(item, { layers, caster, range }) {
+  if (!layers.includes(item.layer)) return `${item.name || "This item"} is not on the ${layers.join(" or ")} layer`;
+  if (caster && range !== undefined) {
+    const [from] = await sceneItemStore.getItems([caster]);
+    if (!from) return "The caster is not in this scene";
+    const distance = await OBR.scene.grid.getDistance(from.position, item.position);
+    if (distance > range) return `${item.name || "This item"} is out of range (${distance} > ${range})`;
+  }
+  return null;
+}
+
+async function onClick(event) {
+  const current = session;
+  const item = event.target;
+  if (!current || current.busy || !item) return;
+
+  if (current.picked.includes(item.id)) {
+    current.picked = current.picked.filter(id => id !== item.id);
+  } else {
+    current.busy = true;
+    try {
+      const reason = await rejectReason(item, current);
+      if (session !== current) return;
+      if (reason) {
+        OBR.notification.show(reason, "WARNING").catch(() => {});
+        return;
+      }
+      current.picked.push(item.id);
+    } finally {
+      current.busy = false;
+    }
+  }
+
+  logger.log(`Picked ${current.picked.length}/${current.max}`);
+  await OBR.player.select(current.picked).catch(() => {});
+  if (current.picked.length >= current.max) finish();
+  else await showPrompt(current);
+}
+
+function onKeyDown(event) {
+  if (!session) return;
+  if (event.key === "Escape") finish(createAbortError("Target picking cancelled"));
+  else if (event.key === "Enter" && session.picked.length > 0) finish();
+}
+
+/**
+ * End the picking in progress: resolve with the picked ids, or reject with `error`
+ * @param {Error} [error]
+ */
+function finish(error = null) {
+  const current = session;
+  if (!current) return;
+  session = null;
+  current.signal?.removeEventListener("abort", current.onAbort);
+
+  if (error) {
+    logger.log("Picking cancelled:", error.message);
+    current.reject(error);
+  } else {
+    logger.log("Picked targets:", current.picked);
+    current.resolve([...current.picked]);
+  }
+
+  // Put the player's tool back, unless they already switched to another one
+  (async () => {
+    if (current.notificationId) await OBR.notification.close(current.notificationId).catch(() => {});
+    const active = await OBR.tool.getActiveTool().catch(() => null);
+    if (current.previousTool && active === TOOL_ID) await OBR.tool.activateTool(current.previousTool).catch(() => {});
+    await OBR.tool.remove(TOOL_ID).catch(() => {});
+    await OBR.tool.removeMode(MODE_ID).catch(() => {});
+  })();
+}
+
+/**
+ * Ask the player to click tokens on the map
+ * @param {Object} [options]
+ * @param {number} [options.max=1] - Number of items to pick (Enter confirms fewer)
+ * @param {string|string[]} [options.layers=['CHARACTER']] - Layers items can be picked on
+ * @param {string} [options.caster] - Item the range is measured from
+ * @param {number} [options.range] - Maximum distance from the caster, in grid units
+ * @param {string} [options.prompt] - Text shown while picking
+ * @param {AbortSignal} [signal] - Cancels the picking when aborted
+ * @returns {Promise<string[]>} Ids of the picked items
+ */
+export async function pickTargets(options = {}, signal = null) {
+  const { caster = null, prompt = null } = options ?? {};
+  const max = Math.max(1, Math.floor(Number(options?.max ?? 1)) || 1);
+  const layers = options?.layers ? [options.layers].flat() : DEFAULT_LAYERS;
+  const range = options?.range === undefined || options.range === null ? undefined : Number(options.range);
+
+  if (session) throw new Error("Already picking targets");
+  if (range !== undefined && !Number.isFinite(range)) throw new Error(`Invalid range: ${options.range}`);
+  if (range !== undefined && !caster) throw new Error("A range needs a caster to measure from");
+  if (signal?.aborted) throw createAbortError("Target picking cancelled");
+
+  const picking = new Promise((resolve, reject) => {
+    session = { max, layers, caster, range, prompt, picked: [], busy: false, signal, resolve, reject, notificationId: null, previousTool: null };
+  });
+  const current = session;
+  current.onAbort = () => finish(createAbortError("Target picking cancelled"));
+  signal?.addEventListener("abort", current.onAbort, { once: true });
+
+  try {
+    current.previousTool = await OBR.tool.getActiveTool().catch(() => null);
+    await OBR.tool.createMode({
+      id: MODE_ID,
+      icons: [{ icon: TOOL_ICON, label: "Pick targets", filter: { activeTools: [TOOL_ID] } }],
+      cursors: [{ cursor: "crosshair" }],
+      onToolClick: (_context, event) => { onClick(event).catch(error => logger.error("Pick failed:", error)); return false; },
+      onKeyDown: (_context, event) => onKeyDown(event),
+      onDeactivate: () => { if (session === current) finish(createAbortError("Target picking cancelled")); },
+    });
+    await OBR.tool.create({
+      id: TOOL_ID,
+      icons: [{ icon: TOOL_ICON, label: "Pick targets" }],
+      defaultMode: MODE_ID,
+    });
+    if (session !== current) return picking;
+    await OBR.tool.activateTool(TOOL_ID);
+    await OBR.player.deselect().catch(() => {});
+    if (session === current) await showPrompt(current);
+    logger.log(`Picking up to ${max} target(s) on ${layers.join(", ")}`);
+  } catch (error) {
+    logger.error("Could not start picking:", error);
+    if (session === current) finish(error);
+  }
+
+  return picking;
+}
+
+export default {
+  pickTargets,
+};
@@ -3,7 +3,7 @@
  * Utilities for querying and managing token attachments in Owlbear Rodeo
  */
 
-import OBR from "@owlbear-rodeo/sdk";
+import { sceneItemStore } from "../../stores/SceneItemStore.js";
 import { createDebugLogger } from "../../debugMode.js";
 
 // Debug mode constants
@@ -18,7 +18,7 @@ const logger = createDebugLogger("tokenAttachments");
  */
 export async function getTokenAttachments(tokenId, allItems = null) {
   try {
-    const items = allItems || await OBR.scene.items.getItems();
+    const items = allItems || await sceneItemStore.getItems();
     const attachments = items.filter(item => item.attachedTo === tokenId);
     logger.log(`Found ${attachments.length} attachments for token ${tokenId}`);
     return attachments;
@@ -84,7 +84,7 @@ export async function findAttachment(tokenId, attachmentName, allItems = null) {
  */
 export async function setAttachmentVisible(attachmentId, visible) {
   try {
-    await OBR.scene.items.updateItems([attachmentId], (items) => {
+    await sceneItemStore.updateItems([attachmentId], (items) => {
       items.forEach(item => {
         item.visible = visible;
       });
@@ -102,7 +102,7 @@ export async function setAttachmentVisible(attachmentId, visible) {
  */
 export async function setAttachmentsVisible(attachmentIds, visible) {
   try {
-    await OBR.scene.items.updateItems(attachmentIds, (items) => {
+    await sceneItemStore.updateItems(attachmentIds, (items) => {
       items.forEach(item => {
         item.visible = visible;
       });
@@ -143,7 +143,7 @@ export async function getTrackers(tokenId, allItems = null) {
  * @returns {Promise<Object|null>} Tracker object with metadata or null
  */
 export async function getTrackerValue(tokenId, trackerName, allItems = null) {
-  const items = allItems || await OBR.scene.items.getItems();
+  const items = allItems || await sceneItemStore.getItems();
   const token = items.find(item => item.id === tokenId);
   
   if (!token || !token.metadata) {
@@ -165,7 +165,7 @@ export async function getTrackerValue(tokenId, trackerName, allItems = null) {
  * @returns {Promise<Object>} Object mapping tracker names to values
  */
 export async function getAllTrackerValues(tokenId, allItems = null) {
-  const items = allItems || await OBR.scene.items.getItems();
+  const items = allItems || await sceneItemStore.getItems();
   const token = items.find(item => item.id === tokenId);
   
   if (!token || !token.metadata) {
@@ -192,7 +192,7 @@ export async function getAllTrackerValues(tokenId, allItems = null) {
  * @returns {Promise<string|null>} Token label/name or null
  */
 export async function getTokenLabel(tokenId, allItems = null) {
-  const items = allItems || await OBR.scene.items.getItems();
+  const items = allItems || await sceneItemStore.getItems();
   const token = items.find(item => item.id === tokenId);
   
   if (!token) {
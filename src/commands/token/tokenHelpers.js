@@ -1,4 +1,5 @@
 ﻿import OBR, { buildImage } from "@owlbear-rodeo/sdk";
+import { sceneItemStore } from "../../stores/SceneItemStore.js";
 import { createDebugLogger } from "../../debugMode.js";
 
 // Debug mode constants
@@ -54,7 +55,7 @@ export async function getSelectedTokensIds() {
  */
 export async function getTokenPosition(tokenId) {
   try {
-    const items = await OBR.scene.items.getItems([tokenId]);
+    const items = await sceneItemStore.getItems([tokenId]);
     if (items.length === 0) {
       logger.warn(`Token ${tokenId} not found`);
       return null;
@@ -74,7 +75,7 @@ export async function getTokenPosition(tokenId) {
  */
 export async function getTokenSize(tokenId) {
   try {
-    const items = await OBR.scene.items.getItems([tokenId]);
+    const items = await sceneItemStore.getItems([tokenId]);
     if (items.length === 0) {
       logger.warn(`Token ${tokenId} not found`);
       return null;
@@ -103,7 +104,7 @@ export async function getTokenSize(tokenId) {
 export async function getClosestTokenId(tokenId, filter = null) {
   try {
     // Get the reference token's position and z-index
-    const referenceItems = await OBR.scene.items.getItems([tokenId]);
+    const referenceItems = await sceneItemStore.getItems([tokenId]);
     if (referenceItems.length === 0) {
       logger.warn(`Reference token ${tokenId} not found`);
       return null;
@@ -114,7 +115,7 @@ export async function getClosestTokenId(tokenId, filter = null) {
     logger.log(`Reference token ${tokenId} position:`, referencePos, `z-index:`, referenceZIndex);
 
     // Get all items in the scene
-    const allItems = await OBR.scene.items.getItems();
+    const allItems = await sceneItemStore.getItems();
     
     // Parse filter configuration
     let layerFilter = null;
@@ -448,7 +449,7 @@ export async function createToken(params) {
 
     // Build and add the item
     const item = builder.build();
-    await OBR.scene.items.addItems([item]);
+    await sceneItemStore.addItems([item]);
 
     logger.log(`Token created successfully:`, item.id);
     return item.id;
@@ -620,7 +621,7 @@ export async function createTokens(tokensParams) {
     });
 
     // Add all items at once
-    await OBR.scene.items.addItems(items);
+    await sceneItemStore.addItems(items);
 
     const ids = items.map(item => item.id);
     logger.log(`${ids.length} tokens created successfully`);
@@ -643,7 +644,7 @@ export async function setItemsVisible(itemIds, visible) {
     const ids = Array.isArray(itemIds) ? itemIds : [itemIds];
     logger.log(`Setting ${ids.length} item(s) visible to ${visible}`);
     
-    await OBR.scene.items.updateItems(ids, (draft) => {
+    await sceneItemStore.updateItems(ids, (draft) => {
       draft.forEach(item => {
         item.visible = visible;
       });
@@ -667,7 +668,7 @@ export async function setItemsLocked(itemIds, locked) {
     const ids = Array.isArray(itemIds) ? itemIds : [itemIds];
     logger.log(`Setting ${ids.length} item(s) locked to ${locked}`);
     
-    await OBR.scene.items.updateItems(ids, (draft) => {
+    await sceneItemStore.updateItems(ids, (draft) => {
       draft.forEach(item => {
         item.locked = locked;
       });
@@ -695,7 +696,7 @@ export async function setItemsImage(itemIds, url, mime) {
     // Auto-detect MIME type if not provided
     const detectedMime = mime || detectMimeType(url);
     
-    await OBR.scene.items.updateItems(ids, (draft) => {
+    await sceneItemStore.updateItems(ids, (draft) => {
       draft.forEach(item => {
         item.image = {
           url,
@@ -722,7 +723,7 @@ export async function setItemsName(itemIds, name) {
     const ids = Array.isArray(itemIds) ? itemIds : [itemIds];
     logger.log(`Setting ${ids.length} item(s) name to "${name}"`);
     
-    await OBR.scene.items.updateItems(ids, (draft) => {
+    await sceneItemStore.updateItems(ids, (draft) => {
       draft.forEach(item => {
         item.name = name;
       });
@@ -746,7 +747,7 @@ export async function setItemsLabel(itemIds, label) {
     const ids = Array.isArray(itemIds) ? itemIds : [itemIds];
     logger.log(`Setting ${ids.length} item(s) label to "${label}"`);
     
-    await OBR.scene.items.updateItems(ids, (draft) => {
+    await sceneItemStore.updateItems(ids, (draft) => {
       draft.forEach(item => {
         if (item.text !== undefined) {
           item.text.plainText = label;
@@ -772,7 +773,7 @@ export async function setItemsLayer(itemIds, layer) {
     const ids = Array.isArray(itemIds) ? itemIds : [itemIds];
     logger.log(`Setting ${ids.length} item(s) layer to "${layer}"`);
     
-    await OBR.scene.items.updateItems(ids, (draft) => {
+    await sceneItemStore.updateItems(ids, (draft) => {
       draft.forEach(item => {
         item.layer = layer;
       });
@@ -809,7 +810,7 @@ export async function setItemsPosition(itemIds, position, gridPosition = false)
       logger.log(`Converted grid position (${gridX}, ${gridY}) to scene position:`, targetPosition);
     }
     
-    await OBR.scene.items.updateItems(ids, (draft) => {
+    await sceneItemStore.updateItems(ids, (draft) => {
       draft.forEach(item => {
         item.position = targetPosition;
       });
@@ -834,7 +835,7 @@ export async function setItemsScale(itemIds, scale) {
     const scaleObj = typeof scale === 'number' ? { x: scale, y: scale } : scale;
     logger.log(`Setting ${ids.length} item(s) scale to`, scaleObj);
     
-    await OBR.scene.items.updateItems(ids, (draft) => {
+    await sceneItemStore.updateItems(ids, (draft) => {
       draft.forEach(item => {
         item.scale = scaleObj;
       });
@@ -858,7 +859,7 @@ export async function setItemsRotation(itemIds, rotation) {
     const ids = Array.isArray(itemIds) ? itemIds : [itemIds];
     logger.log(`Setting ${ids.length} item(s) rotation to ${rotation}Â°`);
     
-    await OBR.scene.items.updateItems(ids, (draft) => {
+    await sceneItemStore.updateItems(ids, (draft) => {
       draft.forEach(item => {
         item.rotation = rotation;
       });
@@ -883,7 +884,7 @@ export async function setItemsMetadata(itemIds, metadata) {
     const isFunction = typeof metadata === 'function';
     logger.log(`Setting metadata for ${ids.length} item(s)`, isFunction ? '[function]' : metadata);
     
-    await OBR.scene.items.updateItems(ids, (draft) => {
+    await sceneItemStore.updateItems(ids, (draft) => {
       draft.forEach(item => {
         if (isFunction) {
           item.metadata = metadata(item.metadata || {});
@@ -1,4 +1,4 @@
-﻿import OBR from "@owlbear-rodeo/sdk";
+﻿import { sceneItemStore } from "../../stores/SceneItemStore.js";
 import { createDebugLogger } from "../../debugMode.js";
 
 // Debug mode constants
@@ -14,7 +14,7 @@ const OWL_TRACKERS_METADATA_KEY = "com.owl-trackers/trackers";
  */
 export async function getTokenMetadata(tokenId) {
   try {
-    const items = await OBR.scene.items.getItems([tokenId]);
+    const items = await sceneItemStore.getItems([tokenId]);
     if (!items || items.length === 0) {
       logger.warn(`Token ${tokenId} not found`);
       return null;
@@ -48,7 +48,7 @@ export async function getTokenMetadataValue(tokenId, key) {
  * @returns {Promise<void>}
  */
 export async function setTokenMetadata(tokenId, key, value) {
-  await OBR.scene.items.updateItems(
+  await sceneItemStore.updateItems(
     [tokenId],
     (items) => {
       const item = items.find(i => i.id === tokenId);
@@ -68,7 +68,7 @@ export async function setTokenMetadata(tokenId, key, value) {
 export async function updateTokenMetadata(tokenId, updates) {
   try {
     // Get current item to merge metadata
-    const items = await OBR.scene.items.getItems([tokenId]);
+    const items = await sceneItemStore.getItems([tokenId]);
     if (!items || items.length === 0) {
       logger.warn(`Token ${tokenId} not found`);
       return;
@@ -80,7 +80,7 @@ export async function updateTokenMetadata(tokenId, updates) {
     logger.log(`Updating item ${tokenId} with merged metadata:`, mergedMetadata);
     
     // Use correct OBR signature: filter/items array + update function
-    await OBR.scene.items.updateItems(
+    await sceneItemStore.updateItems(
       [tokenId],
       (items) => {
         const item = items.find(i => i.id === tokenId);
@@ -118,7 +118,7 @@ export async function mergeTokenMetadata(tokenId, key, value) {
  * @returns {Promise<void>}
  */
 export async function deleteTokenMetadata(tokenId, key) {
-  await OBR.scene.items.updateItems(
+  await sceneItemStore.updateItems(
     [tokenId],
     (items) => {
       const item = items.find(i => i.id === tokenId);
@@ -207,7 +207,7 @@ export async function addValue(tokenId, metadataKey, itemName, delta) {
  */
 export async function getFlatValue(tokenId, metadataKey, propertyName) {
   try {
-    const items = await OBR.scene.items.getItems([tokenId]);
+    const items = await sceneItemStore.getItems([tokenId]);
     if (!items || items.length === 0) {
       logger.warn(`[tokenMetadata.getFlatValue] Token ${tokenId} not found`);
       return null;
@@ -242,7 +242,7 @@ export async function getFlatValue(tokenId, metadataKey, propertyName) {
  */
 export async function setFlatValue(tokenId, metadataKey, propertyName, value) {
   try {
-    await OBR.scene.items.updateItems([tokenId], (items) => {
+    await sceneItemStore.updateItems([tokenId], (items) => {
       items.forEach(item => {
         if (!item.metadata[metadataKey]) {
           item.metadata[metadataKey] = {};
@@ -266,7 +266,7 @@ export async function setFlatValue(tokenId, metadataKey, propertyName, value) {
  */
 export async function getFlatMetadata(tokenId, metadataKey) {
   try {
-    const items = await OBR.scene.items.getItems([tokenId]);
+    const items = await sceneItemStore.getItems([tokenId]);
     if (!items || items.length === 0) {
       logger.warn(`[tokenMetadata.getFlatMetadata] Token ${tokenId} not found`);
       return null;
@@ -1,9 +1,13 @@
 // config.js
 import OBR from "@owlbear-rodeo/sdk";
-import { loadAllEvaluatedVariables } from "./storage.js";
+import { loadAllEvaluatedVariables, migrateIndexKeyedVariables } from "./storage.js";
+import { readStored, writeStored } from "./storageAdapters/index.js";
 import { createDebugLogger } from "./debugMode.js";
 import { loadConfigFile } from "./yamlLoader.js";
-import { deepClone } from "./utils.js";
+import { deepClone, ensureConfigIds } from "./utils.js";
+import { validateConfig, formatProblem } from "./configSchema.js";
+import { getProfileScope } from "./profiles.js";
+import { migrateConfig, summarizeMigration, CONFIG_VERSION } from "./configMigrations.js";
 
 export const STORAGE_KEY = "com.sewef.macrohero/playerConfigs";
 export const LOCAL_STORAGE_CONFIG_KEY = "com.sewef.macrohero/fullConfig";
@@ -77,20 +81,25 @@ async function getPlayerId() {
 // Export for use in other modules
 export { ensureOBRReady };
 
-// Helper to build a room-scoped localStorage key.
-// Uses `OBR.room.id` when available so configs are stored per-room
-async function getRoomScopedLocalStorageKey() {
+// Helper to get the current room id ('unknown' if it cannot be determined)
+export async function getRoomId() {
     try {
         // Ensure SDK is ready so OBR.room.id is populated
         await ensureOBRReady();
-        const roomId = (OBR.room && OBR.room.id) ? OBR.room.id : (OBR.room && typeof OBR.room.getId === 'function' ? await OBR.room.getId() : 'unknown');
-        return `${LOCAL_STORAGE_CONFIG_KEY}/${roomId}`;
+        return (OBR.room && OBR.room.id) ? OBR.room.id : (OBR.room && typeof OBR.room.getId === 'function' ? await OBR.room.getId() : 'unknown');
     } catch (e) {
         logger.warn("Could not determine room ID, using fallback");
-        return `${LOCAL_STORAGE_CONFIG_KEY}/unknown`;
+        return 'unknown';
     }
 }
 
+// Helper to build a room-scoped localStorage key.
+// Uses `OBR.room.id` when available so configs are stored per-room,
+// and per profile for the profiles other than the default one (see profiles.js)
+async function getRoomScopedLocalStorageKey() {
+    return `${LOCAL_STORAGE_CONFIG_KEY}/${await getProfileScope()}`;
+}
+
 // Clean runtime-only fields from a config object before serializing/saving.
 // Removes `_resolvedGlobal` and any `page._resolved` entries to avoid
 // persisting runtime caches/state.
@@ -104,7 +113,6 @@ export function cleanConfigForSave(cfg) {
             clone.pages.forEach(p => {
                 if (p && p._resolved) delete p._resolved;
                 if (p && p._modifiedVars) delete p._modifiedVars;
-                if (p && p._pageIndex) delete p._pageIndex;
             });
         }
         return clone;
@@ -118,7 +126,6 @@ export function cleanConfigForSave(cfg) {
                 const cp = Object.assign({}, p);
                 delete cp._resolved;
                 delete cp._modifiedVars;
-                delete cp._pageIndex;
                 return cp;
             });
         }
@@ -126,15 +133,15 @@ export function cleanConfigForSave(cfg) {
     }
 }
 
-// Helper to save full config to localStorage (room-scoped)
+// Helper to save full config to storage (room-scoped, selected storage adapter)
 // This preserves the entire config including external/calculated variable definitions
 export async function saveConfigToLocalStorage(cfg) {
     try {
-        // Clean runtime-only fields before serializing to localStorage
+        // Clean runtime-only fields before persisting
         const cleaned = cleanConfigForSave(cfg);
         const configJson = JSON.stringify(cleaned);
         const key = await getRoomScopedLocalStorageKey();
-        localStorage.setItem(key, configJson);
+        await writeStored(key, cleaned);
         const sizeKB = (new Blob([configJson]).size / 1024).toFixed(2);
         logger.log(`Saved to storage (${sizeKB} KB)`);
         return true;
@@ -144,13 +151,12 @@ export async function saveConfigToLocalStorage(cfg) {
     }
 }
 
-// Helper to load full config from localStorage
+// Helper to load full config from storage (migrated from localStorage on first run)
 export async function loadConfigFromLocalStorage() {
     try {
         const key = await getRoomScopedLocalStorageKey();
-        const configJson = localStorage.getItem(key);
-        if (configJson) {
-            const cfg = JSON.parse(configJson);
+        const cfg = await readStored(key);
+        if (cfg) {
             logger.log("Loaded from storage");
             return cfg;
         }
@@ -164,6 +170,7 @@ export async function loadConfigFromLocalStorage() {
 // CONFIG PAR DÉFAUT
 // --------------------------------------
 export const defaultConfig = {
+    version: CONFIG_VERSION,
     global: {
         title: "Macro Hero",
         theme: "default",
@@ -212,7 +219,7 @@ export async function loadConfig() {
                     logger.log(`Loaded packaged config from ${base}`);
                     break;
                 } catch (e) {
-                    logger.debug(`Could not load config from ${base}: ${e.message}`);
+                    logger.log(`Could not load config from ${base}: ${e.message}`);
                 }
             }
 
@@ -230,9 +237,30 @@ export async function loadConfig() {
             }
         }
         
+        // Upgrade configs written for older versions (see configMigrations.js)
+        const migration = migrateConfig(config);
+        let upgraded = migration.applied.length > 0;
+        if (upgraded) {
+            config = migration.config;
+            summarizeMigration(migration).forEach(line => logger.log(line));
+        }
+
+        // Report schema problems (the config is still loaded, invalid parts render nothing)
+        const problems = validateConfig(config);
+        problems.forEach(problem => logger.warn(formatProblem(problem)));
+        if (problems.length) logger.warn(`Config has ${problems.length} schema problem(s) — open the Raw Editor for details`);
+
+        // Pages and layout elements get stable ids (stored values are keyed by page id)
+        if (ensureConfigIds(config)) {
+            logger.log("Assigned ids to pages and elements");
+            upgraded = true;
+        }
+        if (upgraded) await saveConfigToLocalStorage(config);
+
 // Instead of merging from room metadata, merge evaluated values from localStorage only
         // Load all variables once at startup (warms the cache for later use)
         await loadAllEvaluatedVariables();
+        await migrateIndexKeyedVariables(config.pages);
         
         return config;
     } catch (error) {
@@ -272,6 +300,20 @@ export async function saveConfig(cfg) {
     }
 }
 
+/**
+ * Broadcast config update notification to refresh pages across the app
+ * @param {Object} [flags] - `savedFromUI` (values changed, no re-resolution) or
+ *   `savedFromModal` (config replaced in storage, the popover reloads)
+ */
+export async function broadcastConfigUpdated(flags = { savedFromUI: true }) {
+    try {
+        await OBR.broadcast.sendMessage("macrohero.config.updated", flags, { destination: "LOCAL" });
+        logger.log("Config update broadcasted");
+    } catch (err) {
+        logger.warn('Failed to broadcast config update:', err);
+    }
+}
+
 // --------------------------------------
 // OUVRIR LA MODALE DE CONFIGURATION
 // Opens the config editor modal
@@ -312,12 +354,7 @@ export async function openConfigModal() {
             }
 
             // Notify main app to reload UI — send a small flag to avoid size limits
-            try {
-                await OBR.broadcast.sendMessage("macrohero.config.updated", { savedFromModal: true }, { destination: "LOCAL" });
-                logger.log("Notified main app of update");
-            } catch (err) {
-                logger.warn('Failed to notify main app:', err);
-            }
+            await broadcastConfigUpdated({ savedFromModal: true });
         } finally {
             unsubscribe();
         }
@@ -0,0 +1,214 @@
+/**
+ * Config Bundle - Shareable file with a config and, optionally, its state
+ *
+ * A bundle holds the config, the evaluated variable values of its pages
+ * (storage.js, keyed by page id) and the `Local` integration data:
+ *
+ *   { format: 'macrohero-bundle', version: 1, exportedAt, config, variables?, local? }
+ *
+ * Importing either replaces the current config or merges the bundle into it.
+ * When merging, pages are matched by label and global variables by name; the
+ * conflict options decide which side wins (pages can also be kept side by side,
+ * the imported one being renamed). A plain config file (no `format`) imports
+ * as a bundle without state. Imported configs written for an older version are
+ * upgraded first (configMigrations.js).
+ */
+
+import { cleanConfigForSave } from "./config.js";
+import { deepClone, generateId } from "./utils.js";
+import { migrateConfig, summarizeMigration } from "./configMigrations.js";
+
+export const BUNDLE_FORMAT = 'macrohero-bundle';
+export const BUNDLE_VERSION = 1;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Build a bundle
+ * @param {Object} config - Config to export
+ * @param {Object} [state]
+ * @param {Object} [state.variables] - Evaluated variables by page id (only the config pages are kept)
+ * @param {Object} [state.local] - Local integration data
+ * @returns {Object} Bundle
+ */
+export function createBundle(config, { variables = null, local = null } = {}) {
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    config: cleanConfigForSave(config),
+  };
+  if (variables) {
+    const pageIds = new Set((bundle.config.pages || []).map(page => page.id));
+    bundle.variables = Object.fromEntries(Object.entries(variables).filter(([pageId]) => pageIds.has(pageId)));
+  }
+  if (local) bundle.local = deepClone(local);
+  return bundle;
+}
+
+/**
+ * Read an imported file: a bundle, or a plain config
+ * @param {any} data - Parsed file content
+ * @returns {{config: Object, variables: Object|null, local: Object|null, exportedAt: string|null, migrations: string[]}}
+ *   config: upgraded to the current config version; migrations: what the upgrade did
+ */
+export function readBundle(data) {
+  if (!isPlainObject(data)) throw new Error('The file does not contain a config');
+
+  if (data.format === undefined) {
+    if (!('pages' in data) && !('global' in data)) throw new Error('The file does not contain a config');
+    const migration = migrateConfig(data);
+    return { config: migration.config, variables: null, local: null, exportedAt: null, migrations: summarizeMigration(migration) };
+  }
+
+  if (data.format !== BUNDLE_FORMAT) throw new Error(`Unknown file format "${data.format}"`);
+  if (data.version > BUNDLE_VERSION) {
+    throw new Error(`This bundle was made by a newer Macro Hero (version ${data.version}, supported: ${BUNDLE_VERSION})`);
+  }
+  if (!isPlainObject(data.config)) throw new Error('The bundle has no config');
+  const migration = migrateConfig(data.config);
+  return {
+    config: migration.config,
+    variables: isPlainObject(data.variables) ? data.variables : null,
+    local: isPlainObject(data.local) ? data.local : null,
+    exportedAt: data.exportedAt ?? null,
+    migrations: summarizeMigration(migration),
+  };
+}
+
+const pageName = page => page?.label ?? page?.title ?? 'Page';
+
+function uniqueLabel(label, taken) {
+  let candidate = `${label} (imported)`;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${label} (imported ${n})`;
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * Work out the result of an import, without applying it
+ * @param {Object} current - Config being edited
+ * @param {Object} bundle - Result of readBundle()
+ * @param {Object} options
+ * @param {'merge'|'replace'} options.mode
+ * @param {'imported'|'mine'|'both'} [options.pageConflict='imported'] - Same-named pages (merge)
+ * @param {'imported'|'mine'} [options.variableConflict='imported'] - Same-named global variables and Local keys (merge)
+ * @param {boolean} [options.importVariables] - Import the bundle's variable values
+ * @param {boolean} [options.importLocal] - Import the bundle's Local data
+ * @param {Object} [options.currentLocal] - Current Local data (for merging)
+ * @returns {{config: Object, variables: {values: Object, replace: boolean}|null, local: Object|null, changes: string[]}}
+ *   variables.values: evaluated variables to write, by page id of the resulting config
+ */
+export function planImport(current, bundle, options) {
+  const {
+    mode,
+    pageConflict = 'imported',
+    variableConflict = 'imported',
+    importVariables = false,
+    importLocal = false,
+    currentLocal = {},
+  } = options;
+  const imported = deepClone(bundle.config);
+  const changes = [...(bundle.migrations ?? [])];
+  const importedValues = importVariables ? bundle.variables : null;
+  let values = null;
+  let config;
+
+  if (mode === 'replace') {
+    config = imported;
+    const before = (current?.pages || []).length;
+    const after = (imported.pages || []).length;
+    changes.push(`Replace the whole config: ${before} page(s) → ${after} page(s)`);
+    if (importedValues) values = deepClone(importedValues);
+  } else {
+    config = deepClone(current ?? { global: {}, pages: [] });
+    config.global = config.global ?? {};
+    config.pages = config.pages ?? [];
+    values = importedValues ? {} : null;
+
+    // Global variables, by name
+    const mine = config.global.variables ?? (config.global.variables = {});
+    for (const [name, definition] of Object.entries(imported.global?.variables ?? {})) {
+      if (!(name in mine)) {
+        mine[name] = definition;
+        changes.push(`Global variable "${name}": added`);
+      } else if (JSON.stringify(mine[name]) === JSON.stringify(definition)) {
+        continue;
+      } else if (variableConflict === 'imported') {
+        mine[name] = definition;
+        changes.push(`Global variable "${name}": replaced by the imported one`);
+      } else {
+        changes.push(`Global variable "${name}": kept yours (imported one skipped)`);
+      }
+    }
+
+    // Pages, by label; ids stay unique so stored values follow their page
+    const labels = new Set(config.pages.map(pageName));
+    const ids = new Set(config.pages.map(page => page.id).filter(Boolean));
+    for (const page of imported.pages ?? []) {
+      const sourceId = page.id;
+      const existingIndex = config.pages.findIndex(p => pageName(p) === pageName(page));
+      let targetId;
+
+      if (existingIndex >= 0 && pageConflict === 'mine') {
+        changes.push(`Page "${pageName(page)}": kept yours (imported one skipped)`);
+        continue;
+      }
+      if (existingIndex >= 0 && pageConflict === 'imported') {
+        // Keep the page id so the values already stored for it stay attached
+        targetId = config.pages[existingIndex].id ?? generateId('page');
+        config.pages[existingIndex] = { ...page, id: targetId };
+        changes.push(`Page "${pageName(page)}": replaced by the imported one`);
+      } else {
+        targetId = !sourceId || ids.has(sourceId) ? generateId('page') : sourceId;
+        const label = existingIndex >= 0 ? uniqueLabel(pageName(page), labels) : pageName(page);
+        config.pages.push({ ...page, id: targetId, ...(label !== pageName(page) && { label }) });
+        labels.add(label);
+        changes.push(existingIndex >= 0 ? `Page "${pageName(page)}": added as "${label}"` : `Page "${label}": added`);
+      }
+      ids.add(targetId);
+      if (values && sourceId && importedValues[sourceId]) values[targetId] = deepClone(importedValues[sourceId]);
+    }
+    if (changes.length === (bundle.migrations ?? []).length) changes.push('Nothing to merge: the imported config matches yours');
+  }
+
+  if (values) {
+    const pages = Object.keys(values).length;
+    changes.push(mode === 'replace'
+      ? `Variable values: replaced by the bundle's (${pages} page(s))`
+      : `Variable values: set from the bundle for ${pages} page(s)`);
+  }
+
+  let local = null;
+  if (importLocal && bundle.local) {
+    if (mode === 'replace') {
+      local = deepClone(bundle.local);
+      changes.push(`Local data: replaced (${Object.keys(local).length} key(s))`);
+    } else {
+      local = { ...currentLocal };
+      let added = 0, replaced = 0, kept = 0;
+      for (const [key, value] of Object.entries(bundle.local)) {
+        if (!(key in local)) { local[key] = value; added++; }
+        else if (JSON.stringify(local[key]) === JSON.stringify(value)) continue;
+        else if (variableConflict === 'imported') { local[key] = value; replaced++; }
+        else kept++;
+      }
+      changes.push(`Local data: ${added} key(s) added, ${replaced} replaced, ${kept} kept`);
+    }
+  }
+
+  return {
+    config,
+    variables: values ? { values, replace: mode === 'replace' } : null,
+    local,
+    changes,
+  };
+}
+
+export default {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  createBundle,
+  readBundle,
+  planImport,
+};
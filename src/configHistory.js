@@ -0,0 +1,200 @@
+/**
+ * Config History - Snapshots of the configs saved from the config modal
+ *
+ * Each save from the modal adds a timestamped snapshot (per room and profile, through the
+ * selected storage adapter) with a summary of what changed since the previous
+ * one. The oldest snapshots are dropped past MAX_CONFIG_SNAPSHOTS.
+ */
+
+import { cleanConfigForSave } from "./config.js";
+import { readStored, writeStored } from "./storageAdapters/index.js";
+import { createDebugLogger } from "./debugMode.js";
+import { generateId } from "./utils.js";
+import { MAX_CONFIG_SNAPSHOTS } from "./constants.js";
+import { getProfileScope } from "./profiles.js";
+
+const logger = createDebugLogger('configHistory');
+
+const CONFIG_HISTORY_KEY = "com.sewef.macrohero/configHistory";
+
+async function getHistoryKey() {
+  return `${CONFIG_HISTORY_KEY}/${await getProfileScope()}`;
+}
+
+// ── Diff ──────────────────────────────────────────────────────────────────────
+
+const isObject = value => value !== null && typeof value === 'object';
+
+/**
+ * Readable path segment for an array entry: pages and elements are matched by id
+ */
+function entryKey(entry, index) {
+  return isObject(entry) && entry.id ? entry.id : index;
+}
+
+function entryName(entry, key) {
+  if (!isObject(entry)) return `[${key}]`;
+  const name = entry.label ?? entry.title ?? entry.text ?? entry.var;
+  return name ? `[${JSON.stringify(String(name))}]` : `[${key}]`;
+}
+
+function diffValues(before, after, path, changes) {
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const beforeByKey = new Map(before.map((entry, index) => [entryKey(entry, index), entry]));
+    const afterByKey = new Map(after.map((entry, index) => [entryKey(entry, index), entry]));
+    for (const [key, entry] of beforeByKey) {
+      const name = entryName(entry, key);
+      if (!afterByKey.has(key)) changes.push({ path: `${path}${name}`, kind: 'removed', from: entry });
+      else diffValues(entry, afterByKey.get(key), `${path}${entryName(afterByKey.get(key), key)}`, changes);
+    }
+    for (const [key, entry] of afterByKey) {
+      if (!beforeByKey.has(key)) changes.push({ path: `${path}${entryName(entry, key)}`, kind: 'added', to: entry });
+    }
+    const beforeOrder = before.map(entryKey).filter(key => afterByKey.has(key));
+    const afterOrder = after.map(entryKey).filter(key => beforeByKey.has(key));
+    if (JSON.stringify(beforeOrder) !== JSON.stringify(afterOrder)) {
+      changes.push({ path: path || '/', kind: 'reordered' });
+    }
+    return;
+  }
+
+  if (isObject(before) && isObject(after) && !Array.isArray(before) && !Array.isArray(after)) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (!(key in after)) changes.push({ path: childPath, kind: 'removed', from: before[key] });
+      else if (!(key in before)) changes.push({ path: childPath, kind: 'added', to: after[key] });
+      else diffValues(before[key], after[key], childPath, changes);
+    }
+    return;
+  }
+
+  changes.push({ path: path || '/', kind: 'changed', from: before, to: after });
+}
+
+/**
+ * Compare two configs
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{path: string, kind: 'added'|'removed'|'changed'|'reordered', from?: any, to?: any}>}
+ */
+export function diffConfigs(before, after) {
+  const changes = [];
+  diffValues(cleanConfigForSave(before ?? {}), cleanConfigForSave(after ?? {}), '', changes);
+  return changes;
+}
+
+/**
+ * One-line summary of a config diff, e.g.
+ * "Page "Combat": 2 variables changed, layout changed; 1 page added"
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {string}
+ */
+export function summarizeConfigDiff(before, after) {
+  if (!before) return 'Initial config';
+
+  const parts = [];
+  const count = (n, word, verb) => (n > 0 ? `${n} ${word}${n > 1 ? 's' : ''} ${verb}` : null);
+
+  const describeVariables = (beforeVars = {}, afterVars = {}) => {
+    const keys = new Set([...Object.keys(beforeVars), ...Object.keys(afterVars)]);
+    let added = 0, removed = 0, changed = 0;
+    for (const key of keys) {
+      if (!(key in beforeVars)) added++;
+      else if (!(key in afterVars)) removed++;
+      else if (JSON.stringify(beforeVars[key]) !== JSON.stringify(afterVars[key])) changed++;
+    }
+    return [count(added, 'variable', 'added'), count(removed, 'variable', 'removed'), count(changed, 'variable', 'changed')].filter(Boolean);
+  };
+
+  const globalParts = describeVariables(before.global?.variables, after.global?.variables);
+  const { variables: _bv, ...beforeGlobal } = before.global ?? {};
+  const { variables: _av, ...afterGlobal } = after.global ?? {};
+  if (JSON.stringify(beforeGlobal) !== JSON.stringify(afterGlobal)) globalParts.push('settings changed');
+  if (globalParts.length) parts.push(`Global: ${globalParts.join(', ')}`);
+
+  const beforePages = new Map((before.pages || []).map((page, i) => [page?.id ?? i, page]));
+  const afterPages = new Map((after.pages || []).map((page, i) => [page?.id ?? i, page]));
+  let addedPages = 0, removedPages = 0;
+  for (const [key, page] of afterPages) {
+    const previous = beforePages.get(key);
+    if (!previous) { addedPages++; continue; }
+    const pageParts = describeVariables(previous.variables, page.variables);
+    if (JSON.stringify(previous.layout) !== JSON.stringify(page.layout)) pageParts.push('layout changed');
+    if ((previous.label ?? previous.title) !== (page.label ?? page.title)) pageParts.push('renamed');
+    if (pageParts.length) parts.push(`Page "${page.label ?? page.title ?? key}": ${pageParts.join(', ')}`);
+  }
+  for (const key of beforePages.keys()) {
+    if (!afterPages.has(key)) removedPages++;
+  }
+  const beforeOrder = [...beforePages.keys()].filter(key => afterPages.has(key));
+  const afterOrder = [...afterPages.keys()].filter(key => beforePages.has(key));
+  if (JSON.stringify(beforeOrder) !== JSON.stringify(afterOrder)) parts.push('pages reordered');
+  parts.push(...[count(addedPages, 'page', 'added'), count(removedPages, 'page', 'removed')].filter(Boolean));
+
+  return parts.length ? parts.join('; ') : 'No changes';
+}
+
+// ── Snapshots ─────────────────────────────────────────────────────────────────
+
+/**
+ * Get the snapshots of the current room, most recent first
+ * @returns {Promise<Array<{id: string, time: number, summary: string, size: number, config: Object}>>}
+ */
+export async function getConfigSnapshots() {
+  try {
+    const snapshots = await readStored(await getHistoryKey());
+    return Array.isArray(snapshots) ? snapshots : [];
+  } catch (error) {
+    logger.error('Error loading config history:', error);
+    return [];
+  }
+}
+
+/**
+ * Add a snapshot of a saved config
+ * @param {Object} cfg - Config being saved
+ * @param {Object|null} previous - Config it replaces (snapshotted too if the history is empty)
+ * @returns {Promise<Object|null>} The new snapshot, or null if nothing changed
+ */
+export async function recordConfigSnapshot(cfg, previous = null) {
+  const config = cleanConfigForSave(cfg);
+  const snapshots = await getConfigSnapshots();
+
+  const makeSnapshot = (snapshotConfig, summary) => ({
+    id: generateId('snap'),
+    time: Date.now(),
+    summary,
+    size: new Blob([JSON.stringify(snapshotConfig)]).size,
+    config: snapshotConfig,
+  });
+
+  // Keep the config as it was before the first tracked save
+  if (snapshots.length === 0 && previous) {
+    snapshots.unshift(makeSnapshot(cleanConfigForSave(previous), 'Before first tracked save'));
+  }
+
+  const last = snapshots[0]?.config ?? null;
+  if (last && diffConfigs(last, config).length === 0) return null;
+
+  const snapshot = makeSnapshot(config, summarizeConfigDiff(last, config));
+  snapshots.unshift(snapshot);
+  snapshots.length = Math.min(snapshots.length, MAX_CONFIG_SNAPSHOTS);
+
+  try {
+    await writeStored(await getHistoryKey(), snapshots);
+    logger.log(`Snapshot recorded: ${snapshot.summary}`);
+  } catch (error) {
+    logger.error('Error saving config history:', error);
+  }
+  return snapshot;
+}
+
+export default {
+  diffConfigs,
+  summarizeConfigDiff,
+  getConfigSnapshots,
+  recordConfigSnapshot,
+};
@@ -0,0 +1,165 @@
+/**
+ * Config Migrations - Upgrade configs written for older versions of Macro Hero
+ *
+ * Configs carry a top-level `version` (configs without one are version 0).
+ * MIGRATIONS lists the upgrade steps in order: the migration with version N
+ * turns a version N-1 config into a version N config, and reports what it
+ * changed. migrateConfig() runs the steps a config is missing, on a copy;
+ * with `dryRun` it only reports them (Raw Editor's migration report).
+ *
+ * To change the config format, append a migration here — never edit one that
+ * has shipped, stored configs have already been upgraded by it.
+ */
+
+import { createDebugLogger } from "./debugMode.js";
+import { deepClone } from "./utils.js";
+
+const logger = createDebugLogger('configMigrations');
+
+const COMMAND_KEYS = ['commands', 'onclick', 'onrightclick', 'onupdate'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Call fn on every layout element of the config (children included)
+ * @param {Object} config
+ * @param {Function} fn - (element, pointer) => void
+ */
+function forEachElement(config, fn) {
+  const walk = (items, pointer) => {
+    if (!Array.isArray(items)) return;
+    items.forEach((item, i) => {
+      if (!isPlainObject(item)) return;
+      fn(item, `${pointer}/${i}`);
+      walk(item.children, `${pointer}/${i}/children`);
+    });
+  };
+  (config.pages || []).forEach((page, i) => {
+    if (isPlainObject(page)) walk(page.layout, `/pages/${i}/layout`);
+  });
+}
+
+const splitLines = text => text.split('\n').map(line => line.trimEnd()).filter(line => line.trim() !== '');
+
+/**
+ * Ordered migrations: { version, description, migrate(config, report) }
+ * migrate() mutates the config and calls report(message) for each change
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Commands as lists of lines',
+    migrate(config, report) {
+      forEachElement(config, (element, pointer) => {
+        for (const key of COMMAND_KEYS) {
+          const value = element[key];
+          if (typeof value === 'string') {
+            element[key] = splitLines(value);
+            report(`${pointer}/${key}: text converted to a list of ${element[key].length} command(s)`);
+          } else if (Array.isArray(value) && value.length === 1 && typeof value[0] === 'string' && value[0].includes('\n')) {
+            element[key] = splitLines(value[0]);
+            report(`${pointer}/${key}: multi-line entry split into ${element[key].length} command(s)`);
+          }
+        }
+      });
+    },
+  },
+  {
+    version: 2,
+    description: 'Page `title` renamed to `label`',
+    migrate(config, report) {
+      (config.pages || []).forEach((page, i) => {
+        if (!isPlainObject(page) || !('title' in page)) return;
+        if (page.label === undefined) {
+          page.label = page.title;
+          report(`/pages/${i}: title "${page.title}" moved to label`);
+        } else {
+          report(`/pages/${i}: title "${page.title}" dropped (label "${page.label}" kept)`);
+        }
+        delete page.title;
+      });
+    },
+  },
+  {
+    version: 3,
+    description: 'Element `text` renamed to `label` (except text and title elements)',
+    migrate(config, report) {
+      forEachElement(config, (element, pointer) => {
+        if (!('text' in element) || element.type === 'text' || element.type === 'title') return;
+        if (element.label === undefined) {
+          element.label = element.text;
+          report(`${pointer}: text moved to label`);
+        } else {
+          report(`${pointer}: text dropped (label kept)`);
+        }
+        delete element.text;
+      });
+    },
+  },
+];
+
+/** Version of the configs written by this build */
+export const CONFIG_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Version of a config (0 for configs written before versions existed)
+ * @param {Object} config
+ * @returns {number}
+ */
+export function getConfigVersion(config) {
+  return Number.isInteger(config?.version) && config.version >= 0 ? config.version : 0;
+}
+
+/**
+ * Upgrade a config to CONFIG_VERSION
+ * @param {Object} config - Config to upgrade (not modified)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report, do not log the migrations
+ * @returns {{config: Object, from: number, to: number, applied: Array<{version: number, description: string, changes: string[]}>}}
+ *   config: upgraded copy (the input itself when nothing applies)
+ */
+export function migrateConfig(config, { dryRun = false } = {}) {
+  const from = getConfigVersion(config);
+  if (!isPlainObject(config) || from >= CONFIG_VERSION) {
+    if (from > CONFIG_VERSION) logger.warn(`Config version ${from} is newer than this Macro Hero (${CONFIG_VERSION}), not migrated`);
+    return { config, from, to: from, applied: [] };
+  }
+
+  const migrated = deepClone(config);
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) continue;
+    const changes = [];
+    migration.migrate(migrated, message => changes.push(message));
+    applied.push({ version: migration.version, description: migration.description, changes });
+    if (!dryRun) {
+      logger.log(`Migration ${migration.version} (${migration.description}): ${changes.length} change(s)`);
+      changes.forEach(change => logger.log(`  ${change}`));
+    }
+  }
+
+  // Keep `version` first in the saved file
+  const { version, ...rest } = migrated;
+  return { config: { version: CONFIG_VERSION, ...rest }, from, to: CONFIG_VERSION, applied };
+}
+
+/**
+ * One line per applied migration, for logs and previews
+ * @param {{from: number, to: number, applied: Array}} result - migrateConfig() result
+ * @returns {string[]}
+ */
+export function summarizeMigration({ from, to, applied }) {
+  if (applied.length === 0) return [];
+  return [
+    `Config upgraded from version ${from} to ${to}`,
+    ...applied.map(m => `Migration ${m.version} — ${m.description}: ${m.changes.length} change(s)`),
+  ];
+}
+
+export default {
+  MIGRATIONS,
+  CONFIG_VERSION,
+  getConfigVersion,
+  migrateConfig,
+  summarizeMigration,
+};
@@ -13,9 +13,14 @@
  */
 
 import OBR from "@owlbear-rodeo/sdk";
-import { MODAL_LABEL, loadConfig, saveConfigToLocalStorage } from "./config.js";
+import { MODAL_LABEL, loadConfig, saveConfigToLocalStorage, loadConfigFromLocalStorage } from "./config.js";
+import { recordConfigSnapshot } from "./configHistory.js";
+import { validateConfig } from "./configSchema.js";
 import { createDebugLogger } from "./debugMode.js";
 import { loadConfigFile } from "./yamlLoader.js";
+import { importEvaluatedVariables } from "./storage.js";
+import { LOCAL_INTEGRATION_STORAGE_KEY } from "./constants.js";
+import { ensureConfigIds } from "./utils.js";
 
 import {
   addTrackedListener,
@@ -35,6 +40,15 @@ import { closeElementModal, saveElement } from "./configModal/elementModal.js";
 import { initDebugModeUI } from "./configModal/debugMode.js";
 import { initTokenHelperUI, refresh as refreshTokenHelper } from "./configModal/tokenHelper.js";
 import { initGoogleSheetsUI, saveGoogleSheetsInputs, validateGoogleSheets } from "./configModal/googleSheets.js";
+import { initStorageBackendUI, saveStorageBackendInput } from "./configModal/storageBackend.js";
+import { initConfigHistoryUI, refreshConfigHistory } from "./configModal/configHistory.js";
+import { showConfigProblems } from "./configModal/validation.js";
+import { initBundleUI } from "./configModal/bundle.js";
+import { initProfilesUI, refreshProfiles } from "./configModal/profiles.js";
+import { initMigrationUI } from "./configModal/migrations.js";
+import { initShareUI, refreshShare } from "./configModal/share.js";
+import { migrateConfig, summarizeMigration } from "./configMigrations.js";
+import { buildDependencyGraph, findDependencyCycles, formatCycle } from "./engines/dependencyAnalyzer.js";
 
 const logger = createDebugLogger('configModal');
 
@@ -42,15 +56,30 @@ const logger = createDebugLogger('configModal');
 
 let currentConfig = null;
 let currentTab = 'editor';
+let editingTab = 'editor'; // Last of 'editor' / 'json' opened: where the config is being edited
+let pendingImportState = null; // { variables, local } of an import, written on Save
 
 // ── Tab management ────────────────────────────────────────────────────────────
 
 function switchTab(tabName) {
+  // Raw text edited since the last sync is kept when coming back from another tab
+  const syncToJson = tabName === 'json' && editingTab === 'editor';
   currentTab = tabName;
+  if (tabName === 'editor' || tabName === 'json') editingTab = tabName;
   document.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tabName));
   document.querySelectorAll('.tab-content').forEach(c => c.classList.toggle('active', c.id === `${tabName}-tab`));
-  if (tabName === 'json')   _syncEditorToJson();
+  if (syncToJson)           _syncEditorToJson();
   if (tabName === 'tokens') refreshTokenHelper();
+  if (tabName === 'history') refreshConfigHistory();
+  if (tabName === 'profiles') refreshProfiles();
+  if (tabName === 'share') refreshShare();
+}
+
+/** Config as currently edited (raw editor text if it was the last editor opened) */
+function _readEditedConfig() {
+  return editingTab === 'json'
+    ? parseConfig(document.getElementById('cfgArea').value, getConfigFormat())
+    : buildConfigFromEditor();
 }
 
 // ── JSON <=> Editor sync ──────────────────────────────────────────────────────
@@ -60,6 +89,7 @@ function _syncEditorToJson() {
     const config = buildConfigFromEditor();
     const format = getConfigFormat();
     document.getElementById('cfgArea').value = formatConfig(config, format);
+    showConfigProblems(validateConfig(config), format);
   } catch (e) {
     logger.error('Error exporting config:', e);
     alert('Error exporting config: ' + e.message);
@@ -70,7 +100,20 @@ function _syncJsonToEditor() {
   try {
     const text   = document.getElementById('cfgArea').value;
     const format = getConfigFormat();
-    const parsed = parseConfig(text, format);
+    const migration = migrateConfig(parseConfig(text, format));
+    const parsed = migration.config;
+    if (migration.applied.length) {
+      document.getElementById('cfgArea').value = formatConfig(parsed, format);
+      summarizeMigration(migration).forEach(line => logger.log(line));
+    }
+
+    const problems = validateConfig(parsed);
+    showConfigProblems(problems, format);
+    const errors = problems.filter(p => p.severity === 'error').length;
+    if (errors > 0) {
+      alert(`Not synced: ${errors} schema error(s) — see the list under the editor`);
+      return;
+    }
 
     if (!parsed.global) parsed.global = { title: 'Macro Hero', width: 600, height: 600, variables: {} };
     if (!Array.isArray(parsed.pages)) parsed.pages = [];
@@ -81,9 +124,12 @@ function _syncJsonToEditor() {
       return p;
     });
 
+    // Keep the ids written in the raw editor, add the missing ones
+    ensureConfigIds(parsed);
     currentConfig = parsed;
     rerenderEditor(parsed);
-    alert(`Synced from ${format.toUpperCase()} to visual editor`);
+    alert(`Synced from ${format.toUpperCase()} to visual editor` +
+      (migration.applied.length ? ` (upgraded from config version ${migration.from} to ${migration.to})` : ''));
   } catch (e) {
     alert(`Invalid ${format.toUpperCase()}: ` + e.message);
   }
@@ -112,7 +158,7 @@ function _switchConfigFormat() {
 async function _loadDefaultConfig() {
   try {
     logger.log('Loading default config...');
-    const defaultConfig = await loadConfigFile('/default');
+    const { config: defaultConfig } = migrateConfig(await loadConfigFile('/default'));
     
     if (!defaultConfig) {
       alert('Default config not found');
@@ -125,11 +171,14 @@ async function _loadDefaultConfig() {
     }
 
     // Update internal state
+    ensureConfigIds(defaultConfig);
     currentConfig = defaultConfig;
+    pendingImportState = null;
 
     // Sync to JSON tab
     const format = getConfigFormat();
     document.getElementById('cfgArea').value = formatConfig(defaultConfig, format);
+    showConfigProblems(validateConfig(defaultConfig), format);
 
     // Sync to Editor tab
     rerenderEditor(defaultConfig);
@@ -142,6 +191,107 @@ async function _loadDefaultConfig() {
   }
 }
 
+// ── Restore snapshot ──────────────────────────────────────────────────────────
+
+function _restoreSnapshot(snapshotConfig) {
+  // Snapshots keep the version they were saved with
+  const { config } = migrateConfig(snapshotConfig);
+  ensureConfigIds(config);
+  currentConfig = config;
+  pendingImportState = null;
+  document.getElementById('cfgArea').value = formatConfig(config, getConfigFormat());
+  rerenderEditor(config);
+  switchTab('editor');
+  logger.log('Snapshot restored');
+  alert('Snapshot restored — click Save to keep it');
+}
+
+// ── Profiles ──────────────────────────────────────────────────────────────────
+
+/** Load the config of the (new) active profile into the editors */
+async function _loadActiveProfileConfig() {
+  const config = await loadConfig();
+  currentConfig = config;
+  pendingImportState = null;
+  const format = getConfigFormat();
+  document.getElementById('cfgArea').value = formatConfig(config, format);
+  showConfigProblems(validateConfig(config), format);
+  rerenderEditor(config);
+  logger.log('Active profile config loaded');
+}
+
+// ── Migration report ──────────────────────────────────────────────────────────
+
+/** Config in the Raw Editor, as typed (the report is about its version) */
+function _readRawConfig() {
+  return parseConfig(document.getElementById('cfgArea').value, getConfigFormat());
+}
+
+function _applyMigration(config) {
+  ensureConfigIds(config);
+  currentConfig = config;
+  const format = getConfigFormat();
+  document.getElementById('cfgArea').value = formatConfig(config, format);
+  showConfigProblems(validateConfig(config), format);
+  rerenderEditor(config);
+  logger.log('Migrations applied from the report');
+  alert('Config upgraded — click Save to keep it');
+}
+
+// ── Import bundle ─────────────────────────────────────────────────────────────
+
+function _applyImport(plan) {
+  ensureConfigIds(plan.config);
+  currentConfig = plan.config;
+  document.getElementById('cfgArea').value = formatConfig(plan.config, getConfigFormat());
+  showConfigProblems(validateConfig(plan.config), getConfigFormat());
+  rerenderEditor(plan.config);
+  pendingImportState = (plan.variables || plan.local) ? { variables: plan.variables, local: plan.local } : null;
+  switchTab('editor');
+  logger.log('Bundle imported:', plan.changes);
+  alert('Config imported — click Save to keep it');
+}
+
+/** Write the variable values / Local data of an import, once its config is saved */
+async function _savePendingImportState() {
+  if (!pendingImportState) return;
+  const { variables, local } = pendingImportState;
+  if (variables) await importEvaluatedVariables(variables.values, { replace: variables.replace });
+  if (local) localStorage.setItem(LOCAL_INTEGRATION_STORAGE_KEY, JSON.stringify(local));
+  pendingImportState = null;
+  logger.log('Imported state saved');
+}
+
+// ── Validation ────────────────────────────────────────────────────────────────
+
+/** List circular variable dependencies, one line per cycle ("Page "X": a → b → a") */
+function _findDependencyCycles(config) {
+  const scopes = [['Global', config?.global?.variables]];
+  (config?.pages || []).forEach((page, i) => scopes.push([`Page "${page.label || i + 1}"`, page.variables]));
+
+  const lines = [];
+  for (const [scopeLabel, variables] of scopes) {
+    if (!variables) continue;
+    for (const cycle of findDependencyCycles(buildDependencyGraph(variables))) {
+      lines.push(`${scopeLabel}: ${formatCycle(cycle)}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Validate against the schema before saving: problems are listed in the Raw
+ * Editor (switching to it so line numbers match) and errors block the save
+ */
+function _checkSchema(config) {
+  const problems = validateConfig(config);
+  const errors = problems.filter(p => p.severity === 'error').length;
+  if (errors === 0) return;
+  if (currentTab !== 'json') switchTab('json');
+  showConfigProblems(problems, getConfigFormat());
+  throw new Error(`The config has ${errors} schema error(s) — see the list under the Raw Editor`);
+}
+
 // ── Save / Cancel ─────────────────────────────────────────────────────────────
 
 async function _closeModal(data) {
@@ -177,6 +327,12 @@ OBR.onReady(() => {
   logger.log('=== Config Modal Ready ===');
 
   initGoogleSheetsUI();
+  initStorageBackendUI();
+  initConfigHistoryUI({ getCurrentConfig: _readEditedConfig, onRestore: _restoreSnapshot });
+  initBundleUI({ getCurrentConfig: _readEditedConfig, onImport: _applyImport });
+  initProfilesUI({ onActiveChanged: _loadActiveProfileConfig });
+  initMigrationUI({ getCurrentConfig: _readRawConfig, onApply: _applyMigration });
+  initShareUI({ getCurrentConfig: _readEditedConfig });
 
   loadConfig().then(cfg => {
     currentConfig = cfg;
@@ -184,6 +340,7 @@ OBR.onReady(() => {
     initEditor(cfg, updatedCfg => { currentConfig = updatedCfg; });
 
     document.getElementById('cfgArea').value = JSON.stringify(cfg, null, 2);
+    showConfigProblems(validateConfig(cfg), 'json');
 
     document.querySelectorAll('.tab').forEach(tab => {
       addTrackedListener(tab, 'click', e => { e.preventDefault(); switchTab(tab.dataset.tab); });
@@ -197,12 +354,7 @@ OBR.onReady(() => {
     document.getElementById('saveBtn').onclick = async () => {
       logger.log('Save clicked');
       try {
-        let config;
-        if (currentTab === 'json') {
-          config = parseConfig(document.getElementById('cfgArea').value, getConfigFormat());
-        } else {
-          config = buildConfigFromEditor();
-        }
+        const config = _readEditedConfig();
 
         const gsErrEl = document.getElementById('gsheetsError');
         if (gsErrEl) gsErrEl.style.display = 'none';
@@ -214,9 +366,28 @@ OBR.onReady(() => {
           throw new Error(gsError);
         }
 
+        _checkSchema(config);
+
+        const cycles = _findDependencyCycles(config);
+        if (cycles.length > 0) {
+          const proceed = confirm(
+            'Circular variable dependencies found — these variables will show #CYCLE:\n\n' +
+            cycles.map(c => `• ${c}`).join('\n') +
+            '\n\nSave anyway?'
+          );
+          if (!proceed) return;
+        }
+
         saveGoogleSheetsInputs();
-        await saveConfigToLocalStorage(config);
-        logger.log('Config saved to localStorage');
+        saveStorageBackendInput();
+        ensureConfigIds(config);
+        const previous = await loadConfigFromLocalStorage();
+        if (!(await saveConfigToLocalStorage(config))) {
+          throw new Error('Could not save the config to the selected storage (see Storage in Integrations)');
+        }
+        logger.log('Config saved to storage');
+        await recordConfigSnapshot(config, previous);
+        await _savePendingImportState();
         await _closeModal({ savedFromModal: true, gsheetUpdated: true });
       } catch (e) {
         logger.error('Save error:', e);
@@ -0,0 +1,225 @@
+/**
+ * bundle.js — Export / Import of config bundles (config + optional state)
+ */
+import { createBundle, readBundle, planImport } from '../configBundle.js';
+import { loadAllEvaluatedVariables } from '../storage.js';
+import { LOCAL_INTEGRATION_STORAGE_KEY } from '../constants.js';
+import { addTrackedListener, parseConfig } from './utils.js';
+
+let _getCurrentConfig = null; // () => config being edited
+let _onImport = null;         // (plan) => load the planned config, stage its state
+let _bundle = null;           // Bundle being imported (readBundle result)
+
+const MODAL_HTML = `
+<div id="bundleModal" class="modal" role="dialog" aria-modal="true" aria-labelledby="bundleModalTitle">
+  <div class="modal-content" style="width:560px;max-width:95vw;">
+    <div class="modal-header">
+      <h3 id="bundleModalTitle">Export</h3>
+      <button type="button" class="close-modal" id="bundleModalClose" aria-label="Close">×</button>
+    </div>
+
+    <div id="bundleExportFields">
+      <p style="color:var(--text2);font-size:0.88em;margin:0 0 12px;">Download the config as a single file, to import it in another room.</p>
+      <label class="bundle-option"><input type="checkbox" id="bundleExportVariables" checked /> Include variable values</label>
+      <label class="bundle-option"><input type="checkbox" id="bundleExportLocal" /> Include Local data (shared by all rooms on this device)</label>
+    </div>
+
+    <div id="bundleImportFields">
+      <div id="bundleImportSource" style="color:var(--text2);font-size:0.88em;margin-bottom:12px;"></div>
+      <div class="input-group">
+        <label>Mode</label>
+        <label class="bundle-option"><input type="radio" name="bundleMode" value="merge" checked /> Merge into the current config</label>
+        <label class="bundle-option"><input type="radio" name="bundleMode" value="replace" /> Replace the current config</label>
+      </div>
+      <div class="row-2" id="bundleConflictFields">
+        <div class="input-group">
+          <label for="bundlePageConflict">Same-named pages</label>
+          <select id="bundlePageConflict">
+            <option value="imported">Use imported</option>
+            <option value="mine">Keep mine</option>
+            <option value="both">Keep both</option>
+          </select>
+        </div>
+        <div class="input-group">
+          <label for="bundleVariableConflict">Same-named variables</label>
+          <select id="bundleVariableConflict">
+            <option value="imported">Use imported</option>
+            <option value="mine">Keep mine</option>
+          </select>
+        </div>
+      </div>
+      <label class="bundle-option"><input type="checkbox" id="bundleImportVariables" /> Import variable values</label>
+      <label class="bundle-option"><input type="checkbox" id="bundleImportLocal" /> Import Local data</label>
+      <div class="input-group" style="margin-top:12px;">
+        <label>Preview</label>
+        <ul id="bundlePreview" class="bundle-preview"></ul>
+      </div>
+      <small>Nothing is written until you click Save.</small>
+    </div>
+
+    <div class="buttons">
+      <button type="button" id="bundleCancelBtn">Cancel</button>
+      <button type="button" id="bundleConfirmBtn">Download</button>
+    </div>
+  </div>
+</div>
+<input type="file" id="bundleFileInput" accept=".json,.yaml,.yml,application/json" style="display:none;" />`;
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function _readLocalData() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_INTEGRATION_STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function _download(filename, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function _importOptions() {
+  const g = id => document.getElementById(id);
+  return {
+    mode: document.querySelector('input[name="bundleMode"]:checked')?.value || 'merge',
+    pageConflict: g('bundlePageConflict').value,
+    variableConflict: g('bundleVariableConflict').value,
+    importVariables: g('bundleImportVariables').checked,
+    importLocal: g('bundleImportLocal').checked,
+    currentLocal: _readLocalData(),
+  };
+}
+
+function _plan() {
+  return planImport(_getCurrentConfig(), _bundle, _importOptions());
+}
+
+function _renderPreview() {
+  const list = document.getElementById('bundlePreview');
+  const options = _importOptions();
+  document.getElementById('bundleConflictFields').style.display = options.mode === 'merge' ? '' : 'none';
+  list.innerHTML = '';
+  let changes;
+  try {
+    changes = _plan().changes;
+  } catch (e) {
+    changes = [`Cannot read the current config: ${e.message}`];
+  }
+  changes.forEach(change => {
+    const li = document.createElement('li');
+    li.textContent = change;
+    list.appendChild(li);
+  });
+}
+
+function ensureInDom() {
+  if (document.getElementById('bundleModal')) return;
+  document.body.insertAdjacentHTML('beforeend', MODAL_HTML);
+  addTrackedListener(document.getElementById('bundleModalClose'), 'click', close);
+  addTrackedListener(document.getElementById('bundleCancelBtn'), 'click', close);
+  addTrackedListener(document.getElementById('bundleConfirmBtn'), 'click', _handleConfirm);
+  addTrackedListener(document.getElementById('bundleFileInput'), 'change', _handleFile);
+  document.querySelectorAll('#bundleImportFields input, #bundleImportFields select').forEach(input => {
+    addTrackedListener(input, 'change', _renderPreview);
+  });
+}
+
+function _open(mode) {
+  ensureInDom();
+  const isImport = mode === 'import';
+  document.getElementById('bundleModalTitle').textContent = isImport ? 'Import' : 'Export';
+  document.getElementById('bundleExportFields').style.display = isImport ? 'none' : '';
+  document.getElementById('bundleImportFields').style.display = isImport ? '' : 'none';
+  document.getElementById('bundleConfirmBtn').textContent = isImport ? 'Import' : 'Download';
+  document.getElementById('bundleModal').dataset.mode = mode;
+  document.getElementById('bundleModal').style.display = 'flex';
+}
+
+function close() {
+  const modal = document.getElementById('bundleModal');
+  if (modal) modal.style.display = 'none';
+  _bundle = null;
+}
+
+// ── Export ───────────────────────────────────────────────────────────────────
+
+async function _export() {
+  const config = _getCurrentConfig();
+  const bundle = createBundle(config, {
+    variables: document.getElementById('bundleExportVariables').checked ? await loadAllEvaluatedVariables() : null,
+    local: document.getElementById('bundleExportLocal').checked ? _readLocalData() : null,
+  });
+  const title = String(config?.global?.title || 'config').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase();
+  _download(`macrohero-${title || 'config'}-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(bundle, null, 2));
+}
+
+// ── Import ───────────────────────────────────────────────────────────────────
+
+async function _handleFile(event) {
+  const file = event.target.files?.[0];
+  event.target.value = ''; // Same file can be picked again
+  if (!file) return;
+  try {
+    const format = /\.ya?ml$/i.test(file.name) ? 'yaml' : 'json';
+    _bundle = readBundle(parseConfig(await file.text(), format));
+  } catch (e) {
+    alert(`Cannot import ${file.name}: ${e.message}`);
+    return;
+  }
+
+  _open('import');
+  const hasVariables = !!_bundle.variables;
+  const hasLocal = !!_bundle.local;
+  const importVariables = document.getElementById('bundleImportVariables');
+  const importLocal = document.getElementById('bundleImportLocal');
+  importVariables.checked = hasVariables;
+  importVariables.disabled = !hasVariables;
+  importLocal.checked = false;
+  importLocal.disabled = !hasLocal;
+  const pages = (_bundle.config.pages || []).length;
+  document.getElementById('bundleImportSource').textContent =
+    `${file.name}: ${pages} page(s)` +
+    (_bundle.exportedAt ? `, exported ${new Date(_bundle.exportedAt).toLocaleString()}` : '') +
+    (hasVariables ? ', with variable values' : '') +
+    (hasLocal ? ', with Local data' : '');
+  _renderPreview();
+}
+
+async function _handleConfirm() {
+  const mode = document.getElementById('bundleModal').dataset.mode;
+  try {
+    if (mode === 'import') {
+      const plan = _plan();
+      if (_importOptions().mode === 'replace' && !confirm('Replace the current config with the imported one?')) return;
+      close();
+      _onImport?.(plan);
+    } else {
+      await _export();
+      close();
+    }
+  } catch (e) {
+    alert(`${mode === 'import' ? 'Import' : 'Export'} failed: ${e.message}`);
+  }
+}
+
+// ── Public ───────────────────────────────────────────────────────────────────
+
+/**
+ * Wire the Export / Import header buttons
+ * @param {Object} options
+ * @param {Function} options.getCurrentConfig - Returns the config currently in the editors
+ * @param {Function} options.onImport - Called with the import plan (see planImport in configBundle.js)
+ */
+export function initBundleUI({ getCurrentConfig, onImport }) {
+  _getCurrentConfig = getCurrentConfig;
+  _onImport = onImport;
+  ensureInDom();
+  addTrackedListener(document.getElementById('exportBtn'), 'click', () => _open('export'));
+  addTrackedListener(document.getElementById('importBtn'), 'click', () => document.getElementById('bundleFileInput').click());
+}
@@ -0,0 +1,159 @@
+/**
+ * configHistory.js — History tab: saved config snapshots (preview, diff, restore)
+ */
+import { getConfigSnapshots, diffConfigs } from '../configHistory.js';
+
+let _getCurrentConfig = null; // () => config being edited
+let _onRestore = null;        // (config) => load it into the editors
+let _snapshots = [];
+let _selected = null;         // { id, mode: 'preview' | 'diff' }
+
+/**
+ * Wire the History tab
+ * @param {Object} options
+ * @param {Function} options.getCurrentConfig - Returns the config currently in the editors
+ * @param {Function} options.onRestore - Called with the snapshot config to restore
+ */
+export function initConfigHistoryUI({ getCurrentConfig, onRestore }) {
+  _getCurrentConfig = getCurrentConfig;
+  _onRestore = onRestore;
+}
+
+/** Reload the snapshot list (called when the tab is opened) */
+export async function refreshConfigHistory() {
+  _snapshots = await getConfigSnapshots();
+  if (_selected && !_snapshots.some(s => s.id === _selected.id)) _selected = null;
+  _renderList();
+  _renderDetails();
+}
+
+function _formatValue(value) {
+  const json = JSON.stringify(value);
+  if (json === undefined) return 'undefined';
+  return json.length > 120 ? `${json.slice(0, 120)}…` : json;
+}
+
+function _renderList() {
+  const container = document.getElementById('historyList');
+  if (!container) return;
+  container.innerHTML = '';
+
+  if (_snapshots.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'history-empty';
+    empty.textContent = 'No snapshots yet — one is kept each time you save.';
+    container.appendChild(empty);
+    return;
+  }
+
+  _snapshots.forEach(snapshot => {
+    const item = document.createElement('div');
+    item.className = 'history-item' + (_selected?.id === snapshot.id ? ' selected' : '');
+
+    const header = document.createElement('div');
+    header.className = 'history-item-header';
+    const when = document.createElement('span');
+    when.className = 'history-item-time';
+    when.textContent = new Date(snapshot.time).toLocaleString();
+    const size = document.createElement('span');
+    size.className = 'history-item-size';
+    size.textContent = `${(snapshot.size / 1024).toFixed(1)} KB`;
+    header.append(when, size);
+
+    const summary = document.createElement('div');
+    summary.className = 'history-item-summary';
+    summary.textContent = snapshot.summary;
+
+    const actions = document.createElement('div');
+    actions.className = 'history-item-actions';
+    const addAction = (label, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn-small';
+      btn.textContent = label;
+      btn.onclick = onClick;
+      actions.appendChild(btn);
+    };
+    addAction('Preview', () => _select(snapshot.id, 'preview'));
+    addAction('Diff', () => _select(snapshot.id, 'diff'));
+    addAction('Restore', () => _restore(snapshot));
+
+    item.append(header, summary, actions);
+    container.appendChild(item);
+  });
+}
+
+function _select(id, mode) {
+  _selected = { id, mode };
+  _renderList();
+  _renderDetails();
+}
+
+function _renderDetails() {
+  const container = document.getElementById('historyDetails');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const snapshot = _selected && _snapshots.find(s => s.id === _selected.id);
+  if (!snapshot) {
+    const empty = document.createElement('div');
+    empty.className = 'history-empty';
+    empty.textContent = 'Select a snapshot to preview it or compare it with the current config.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const title = document.createElement('div');
+  title.className = 'history-details-title';
+  title.textContent = _selected.mode === 'diff'
+    ? `Changes from ${new Date(snapshot.time).toLocaleString()} to the current config`
+    : `Snapshot of ${new Date(snapshot.time).toLocaleString()}`;
+  container.appendChild(title);
+
+  if (_selected.mode === 'preview') {
+    const pre = document.createElement('pre');
+    pre.className = 'history-preview';
+    pre.textContent = JSON.stringify(snapshot.config, null, 2);
+    container.appendChild(pre);
+    return;
+  }
+
+  let current;
+  try {
+    current = _getCurrentConfig?.();
+  } catch (e) {
+    const error = document.createElement('div');
+    error.className = 'history-empty';
+    error.textContent = `Cannot read the current config: ${e.message}`;
+    container.appendChild(error);
+    return;
+  }
+
+  const changes = diffConfigs(snapshot.config, current);
+  if (changes.length === 0) {
+    const same = document.createElement('div');
+    same.className = 'history-empty';
+    same.textContent = 'Identical to the current config.';
+    container.appendChild(same);
+    return;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'history-diff';
+  changes.forEach(({ path, kind, from, to }) => {
+    const li = document.createElement('li');
+    li.className = `history-diff-${kind}`;
+    const detail = kind === 'changed' ? `${_formatValue(from)} → ${_formatValue(to)}`
+      : kind === 'added' ? _formatValue(to)
+      : kind === 'removed' ? _formatValue(from)
+      : '';
+    li.textContent = `${{ added: '+', removed: '−', changed: '~', reordered: '⇅' }[kind]} ${path}${detail ? `: ${detail}` : ''}`;
+    list.appendChild(li);
+  });
+  container.appendChild(list);
+}
+
+function _restore(snapshot) {
+  if (!confirm(`Restore the config saved on ${new Date(snapshot.time).toLocaleString()}? Your current changes will be replaced (click Save to keep it).`)) return;
+  _onRestore?.(JSON.parse(JSON.stringify(snapshot.config)));
+}
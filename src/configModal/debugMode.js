@@ -2,15 +2,16 @@
  * debugMode.js — UI for managing debug mode modules
  */
 import { addTrackedListener } from './utils.js';
-import { ASYNC_INTEGRATION_NAMES } from '../constants.js';
+import { ASYNC_INTEGRATION_NAMES, VARIABLE_ERRORS_STORAGE_KEY } from '../constants.js';
+import { getErrorLabel, describeErrorValue } from '../engines/errorValues.js';
 import OBR from "@owlbear-rodeo/sdk";
 
 const DEBUG_MODULES_BY_CATEGORY = {
-  'Core Modules': ['executor', 'expressionEvaluator', 'expressionHelpers', 'ui', 'storage', 'parser', 'main', 'config', 'configModal'],
-  'Engine Modules': ['VariableEngine', 'ExecutionSandbox', 'VariableStore'],
+  'Core Modules': ['executor', 'expressionEvaluator', 'expressionHelpers', 'ui', 'historyPanel', 'storage', 'parser', 'main', 'config', 'configModal', 'configHistory', 'yamlLoader', 'profiles', 'configMigrations', 'sharedConfig', 'sharedConfigBanner', 'selectionBinding', 'contextMenuActions'],
+  'Engine Modules': ['VariableEngine', 'ExecutionSandbox', 'dependencyAnalyzer', 'VariableStore', 'ErrorStore', 'SceneItemStore', 'SharedVariableStore', 'SceneVariableStore', 'SceneWatcher', 'HistoryStore', 'CommandHistoryStore'],
   'Event System': ['EventBus'],
-  'Shared Utilities': ['sdkHelpers'],
-  'Command Modules': ['playerMetadata', 'sceneMetadata', 'tokenMetadata', 'tokenAttachments', 'sceneHelpers', 'tokenHelpers'],
+  'Shared Utilities': ['sdkHelpers', 'storageAdapters'],
+  'Command Modules': ['playerMetadata', 'sceneMetadata', 'tokenMetadata', 'tokenAttachments', 'sceneHelpers', 'tokenHelpers', 'targetPicker'],
   'Integration Modules': ['Local', 'Manager', ...ASYNC_INTEGRATION_NAMES]
 };
 
@@ -149,4 +150,69 @@ export function initDebugModeUI() {
   });
 
   _updateToggleAllBtn();
+  initVariableErrorsUI();
+}
+
+// ── Variable errors (written by ErrorStore in the main window) ──
+
+function loadVariableErrors() {
+  try {
+    const s = localStorage.getItem(VARIABLE_ERRORS_STORAGE_KEY);
+    return s ? JSON.parse(s) : [];
+  } catch { return []; }
+}
+
+function renderVariableErrors() {
+  const container = document.getElementById('debugErrorsContainer');
+  if (!container) return;
+  const errors = loadVariableErrors();
+  container.innerHTML = '';
+
+  if (errors.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'debug-errors-empty';
+    empty.textContent = 'No variable errors.';
+    container.appendChild(empty);
+    return;
+  }
+
+  errors.forEach(({ varName, error, time }) => {
+    const value = { $error: error };
+    const item = document.createElement('div');
+    item.className = 'debug-error-item';
+
+    const header = document.createElement('div');
+    header.className = 'debug-error-header';
+    const name = document.createElement('span');
+    name.className = 'debug-error-var';
+    name.textContent = varName;
+    const type = document.createElement('span');
+    type.className = 'debug-error-type';
+    type.textContent = getErrorLabel(value);
+    const when = document.createElement('span');
+    when.className = 'debug-error-time';
+    when.textContent = new Date(time).toLocaleTimeString();
+    header.append(name, type, when);
+
+    const details = document.createElement('pre');
+    details.className = 'debug-error-details';
+    details.textContent = describeErrorValue(value);
+
+    item.append(header, details);
+    container.appendChild(item);
+  });
+}
+
+function initVariableErrorsUI() {
+  const clearBtn = document.getElementById('debugErrorsClearBtn');
+  if (clearBtn) {
+    clearBtn.onclick = () => {
+      try { localStorage.removeItem(VARIABLE_ERRORS_STORAGE_KEY); } catch { /* ignore */ }
+      renderVariableErrors();
+    };
+  }
+  addTrackedListener(window, 'storage', e => {
+    if (e.key === VARIABLE_ERRORS_STORAGE_KEY) renderVariableErrors();
+  });
+  renderVariableErrors();
 }
@@ -36,6 +36,14 @@ function onClickRow(commands, placeholder = "JustDices.roll('1d20')") {
     </div>`;
 }
 
+function timeoutRow(id, timeout) {
+  return `
+    <div class="input-group">
+      <label>Timeout (ms, optional)</label>
+      <input type="number" id="${id}" min="0" step="1000" value="${timeout ?? ''}" placeholder="Global default (0 = none)" />
+    </div>`;
+}
+
 function buildFields(type, el) {
   const e = el || {};
   switch (type) {
@@ -47,7 +55,8 @@ function buildFields(type, el) {
       <div class="input-group">
         <label>onrightclick</label>
         <textarea id="elem_onrightclick" style="min-height:80px;" placeholder="JustDices.roll('1d20')">${dedentCommandList(e.onrightclick || []).join('\n')}</textarea>
-      </div>`;
+      </div>
+      ${timeoutRow('elem_timeout', e.timeout)}`;
 
     case 'value': return `
       <div class="input-group"><label>Variable Name</label><input type="text" id="elem_var" value="${e.var || ''}" placeholder="variableName" /></div>
@@ -189,7 +198,8 @@ function buildFields(type, el) {
           <input type="color" id="mbtn_borderColor" value="${e.borderColor || '#c8adff'}" ${e.borderColor ? '' : 'disabled'} style="margin-top:4px;width:100%;height:32px;" />
         </div>
         <div class="input-group"><label>onclick (one per line)</label><textarea id="mbtn_onclick" style="min-height:70px;">${onclickText}</textarea></div>
-        <div class="input-group"><label>onrightclick (one per line, optional)</label><textarea id="mbtn_onrightclick" style="min-height:60px;">${onrightText}</textarea></div>`;
+        <div class="input-group"><label>onrightclick (one per line, optional)</label><textarea id="mbtn_onrightclick" style="min-height:60px;">${onrightText}</textarea></div>
+        ${timeoutRow('mbtn_timeout', e.timeout)}`;
     }
 
     default: return `<p style="color:#888;">Unknown type: ${type}</p>`;
@@ -203,6 +213,7 @@ function readFields(type, existingChildren) {
   const v = id => g(id)?.value || '';
   const checked = id => g(id)?.checked || false;
   const lines = id => v(id).split('\n').filter(l => l.trim());
+  const timeout = id => { const n = parseInt(v(id)); return isNaN(n) || n < 0 ? null : n; };
 
   const el = { type };
 
@@ -213,6 +224,7 @@ function readFields(type, existingChildren) {
       if (checked('elem_customColor')) el.color = v('elem_color');
       el.onclick = lines('elem_onclick');
       const rc_b = lines('elem_onrightclick'); if (rc_b.length) el.onrightclick = rc_b;
+      const to_b = timeout('elem_timeout'); if (to_b !== null) el.timeout = to_b;
       break;
     case 'value':
       el.var = v('elem_var'); el.label = v('elem_label');
@@ -287,6 +299,7 @@ function readFields(type, existingChildren) {
       if (checked('mbtn_hasBorderColor')) el.borderColor = v('mbtn_borderColor');
       el.onclick = lines('mbtn_onclick');
       const rc = lines('mbtn_onrightclick'); if (rc.length) el.onrightclick = rc;
+      const to_m = timeout('mbtn_timeout'); if (to_m !== null) el.timeout = to_m;
       break;
   }
   return el;
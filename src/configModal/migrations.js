@@ -0,0 +1,114 @@
+/**
+ * migrations.js — Migration report (dry run) for the config in the Raw Editor
+ */
+import { migrateConfig, getConfigVersion, CONFIG_VERSION } from '../configMigrations.js';
+import { addTrackedListener } from './utils.js';
+
+let _getCurrentConfig = null; // () => config being edited
+let _onApply = null;          // (config) => load the upgraded config into the editors
+let _result = null;           // migrateConfig() result shown in the dialog
+
+const MODAL_HTML = `
+<div id="migrationModal" class="modal" role="dialog" aria-modal="true" aria-labelledby="migrationModalTitle">
+  <div class="modal-content" style="width:620px;max-width:95vw;">
+    <div class="modal-header">
+      <h3 id="migrationModalTitle">Migration Report</h3>
+      <button type="button" class="close-modal" id="migrationModalClose" aria-label="Close">×</button>
+    </div>
+    <div id="migrationSummary" style="color:var(--text2);font-size:0.88em;margin-bottom:12px;"></div>
+    <div id="migrationReport" class="migration-report"></div>
+    <small>Dry run: nothing is changed until you click Apply, then Save.</small>
+    <div class="buttons">
+      <button type="button" id="migrationCancelBtn">Close</button>
+      <button type="button" id="migrationApplyBtn">Apply</button>
+    </div>
+  </div>
+</div>`;
+
+function ensureInDom() {
+  if (document.getElementById('migrationModal')) return;
+  document.body.insertAdjacentHTML('beforeend', MODAL_HTML);
+  addTrackedListener(document.getElementById('migrationModalClose'), 'click', close);
+  addTrackedListener(document.getElementById('migrationCancelBtn'), 'click', close);
+  addTrackedListener(document.getElementById('migrationApplyBtn'), 'click', _apply);
+}
+
+function close() {
+  const modal = document.getElementById('migrationModal');
+  if (modal) modal.style.display = 'none';
+  _result = null;
+}
+
+function _apply() {
+  const config = _result?.config;
+  close();
+  if (config) _onApply?.(config);
+}
+
+function _render(config) {
+  const summary = document.getElementById('migrationSummary');
+  const report = document.getElementById('migrationReport');
+  const applyBtn = document.getElementById('migrationApplyBtn');
+  report.innerHTML = '';
+
+  const version = getConfigVersion(config);
+  if (_result.applied.length === 0) {
+    summary.textContent = version > CONFIG_VERSION
+      ? `Config version ${version} is newer than this Macro Hero (version ${CONFIG_VERSION}): it cannot be migrated.`
+      : `Config version ${version} is up to date — no migration needed.`;
+    applyBtn.style.display = 'none';
+    return;
+  }
+
+  summary.textContent = `Config version ${_result.from} → ${_result.to}: ${_result.applied.length} migration(s) would run.`;
+  applyBtn.style.display = '';
+  for (const migration of _result.applied) {
+    const section = document.createElement('div');
+    section.className = 'migration-step';
+    const title = document.createElement('div');
+    title.className = 'migration-step-title';
+    title.textContent = `${migration.version}. ${migration.description}`;
+    section.appendChild(title);
+
+    const list = document.createElement('ul');
+    if (migration.changes.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'migration-step-none';
+      li.textContent = 'Nothing to change';
+      list.appendChild(li);
+    }
+    migration.changes.forEach(change => {
+      const li = document.createElement('li');
+      li.textContent = change;
+      list.appendChild(li);
+    });
+    section.appendChild(list);
+    report.appendChild(section);
+  }
+}
+
+function _open() {
+  let config;
+  try {
+    config = _getCurrentConfig();
+  } catch (e) {
+    alert(`Cannot read the config: ${e.message}`);
+    return;
+  }
+  ensureInDom();
+  _result = migrateConfig(config, { dryRun: true });
+  _render(config);
+  document.getElementById('migrationModal').style.display = 'flex';
+}
+
+/**
+ * Wire the Raw Editor's Migration Report button
+ * @param {Object} options
+ * @param {Function} options.getCurrentConfig - Returns the config currently in the editors
+ * @param {Function} options.onApply - Called with the upgraded config
+ */
+export function initMigrationUI({ getCurrentConfig, onApply }) {
+  _getCurrentConfig = getCurrentConfig;
+  _onApply = onApply;
+  addTrackedListener(document.getElementById('migrationReportBtn'), 'click', _open);
+}
@@ -0,0 +1,125 @@
+/**
+ * profiles.js — Profiles tab: create, duplicate, rename, delete and switch profiles
+ */
+import {
+  loadProfiles,
+  createProfile,
+  duplicateProfile,
+  renameProfile,
+  deleteProfile,
+  setActiveProfile,
+  notifyProfilesChanged,
+} from '../profiles.js';
+import { addTrackedListener } from './utils.js';
+
+let _onActiveChanged = null; // () => load the active profile's config into the editors
+
+/**
+ * Wire the Profiles tab
+ * @param {Object} options
+ * @param {Function} options.onActiveChanged - Called after another profile became the active one
+ */
+export function initProfilesUI({ onActiveChanged }) {
+  _onActiveChanged = onActiveChanged;
+  const input = document.getElementById('profileNameInput');
+  addTrackedListener(document.getElementById('profileCreateBtn'), 'click', _create);
+  addTrackedListener(input, 'keydown', e => { if (e.key === 'Enter') { e.preventDefault(); _create(); } });
+}
+
+/** Reload the profile list (called when the tab is opened) */
+export async function refreshProfiles() {
+  const { active, profiles } = await loadProfiles(true);
+  const container = document.getElementById('profilesList');
+  if (!container) return;
+  container.innerHTML = '';
+
+  profiles.forEach(profile => {
+    const isActive = profile.id === active;
+    const item = document.createElement('div');
+    item.className = 'profile-item' + (isActive ? ' active' : '');
+
+    const name = document.createElement('span');
+    name.className = 'profile-item-name';
+    name.textContent = profile.name;
+    item.appendChild(name);
+
+    if (isActive) {
+      const badge = document.createElement('span');
+      badge.className = 'profile-badge';
+      badge.textContent = 'Active';
+      item.appendChild(badge);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'profile-item-actions';
+    const button = (label, title, handler) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn-small';
+      btn.textContent = label;
+      btn.title = title;
+      addTrackedListener(btn, 'click', () => _run(handler));
+      actions.appendChild(btn);
+    };
+
+    if (!isActive) button('Use', 'Make it the active profile and edit its config', () => _use(profile));
+    button('Rename', 'Rename this profile', () => _rename(profile));
+    button('Duplicate', 'New profile with a copy of the saved config and variable values', () => _duplicate(profile));
+    if (profiles.length > 1) button('Delete', 'Delete this profile and its data', () => _delete(profile, isActive));
+
+    item.appendChild(actions);
+    container.appendChild(item);
+  });
+}
+
+// ── Actions ──────────────────────────────────────────────────────────────────
+
+async function _run(action) {
+  try {
+    await action();
+  } catch (e) {
+    alert(e.message);
+  }
+}
+
+async function _create() {
+  const input = document.getElementById('profileNameInput');
+  await _run(async () => {
+    await createProfile(input.value);
+    input.value = '';
+    await notifyProfilesChanged();
+    await refreshProfiles();
+  });
+}
+
+async function _use(profile) {
+  if (!confirm(`Switch to "${profile.name}"? Unsaved changes in the editors are lost.`)) return;
+  await setActiveProfile(profile.id);
+  await notifyProfilesChanged();
+  await _onActiveChanged?.();
+  await refreshProfiles();
+}
+
+async function _rename(profile) {
+  const name = prompt('New profile name', profile.name);
+  if (name === null || name.trim() === profile.name) return;
+  await renameProfile(profile.id, name);
+  await notifyProfilesChanged();
+  await refreshProfiles();
+}
+
+async function _duplicate(profile) {
+  const name = prompt('Name of the copy', `${profile.name} (copy)`);
+  if (name === null) return;
+  await duplicateProfile(profile.id, name);
+  await notifyProfilesChanged();
+  await refreshProfiles();
+}
+
+async function _delete(profile, isActive) {
+  if (!confirm(`Delete "${profile.name}"? Its config, variable values and history are removed.`)) return;
+  await deleteProfile(profile.id);
+  await notifyProfilesChanged();
+  if (isActive) await _onActiveChanged?.();
+  await refreshProfiles();
+}
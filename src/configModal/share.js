@@ -0,0 +1,101 @@
+/**
+ * share.js — Share tab: the GM publishes the config (or some pages) to the room
+ */
+import OBR from '@owlbear-rodeo/sdk';
+import { publishConfig, unpublishConfig, getPublishedManifest } from '../sharedConfig.js';
+import { addTrackedListener } from './utils.js';
+
+let _getCurrentConfig = null; // () => config being edited
+
+function _pageCheckboxes() {
+  return [...document.querySelectorAll('#sharePages input[type="checkbox"]')];
+}
+
+function _renderPages(config, isGM) {
+  const container = document.getElementById('sharePages');
+  container.innerHTML = '';
+  (config?.pages || []).forEach((page, i) => {
+    const label = document.createElement('label');
+    label.className = 'bundle-option';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = page.id;
+    checkbox.checked = true;
+    checkbox.disabled = !isGM;
+    label.append(checkbox, ` ${page.label || `Page ${i + 1}`}`);
+    container.appendChild(label);
+  });
+}
+
+function _renderStatus(manifest) {
+  const status = document.getElementById('shareStatus');
+  const unpublish = document.getElementById('shareUnpublishBtn');
+  unpublish.disabled = !manifest;
+  if (!manifest) {
+    status.textContent = 'Nothing is published in this room.';
+    return;
+  }
+  const what = manifest.partial ? `${manifest.pages.length} page(s): ${manifest.pages.join(', ')}` : `whole config, ${manifest.pages.length} page(s)`;
+  status.textContent = `Published: "${manifest.title}" (${what}) by ${manifest.publisherName || 'the GM'}, ${new Date(manifest.publishedAt).toLocaleString()}`;
+}
+
+async function _publish() {
+  let config;
+  try {
+    config = _getCurrentConfig();
+  } catch (e) {
+    alert(`Cannot read the config: ${e.message}`);
+    return;
+  }
+  const boxes = _pageCheckboxes();
+  const selected = boxes.filter(box => box.checked).map(box => box.value);
+  const pageIds = selected.length === boxes.length ? null : selected;
+  if (!confirm(pageIds
+    ? `Publish ${selected.length} page(s) to the players of this room?`
+    : 'Publish the whole config to the players of this room?')) return;
+
+  const button = document.getElementById('sharePublishBtn');
+  button.disabled = true;
+  try {
+    const manifest = await publishConfig(config, { pageIds });
+    _renderStatus(manifest);
+    alert(`Published (${(manifest.size / 1024).toFixed(1)} kB). Players are offered to install it.`);
+  } catch (e) {
+    alert(`Publish failed: ${e.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+async function _unpublish() {
+  if (!confirm('Remove the published config from the room? Players keep what they installed.')) return;
+  try {
+    await unpublishConfig();
+    _renderStatus(null);
+  } catch (e) {
+    alert(`Unpublish failed: ${e.message}`);
+  }
+}
+
+/**
+ * Wire the Share tab
+ * @param {Object} options
+ * @param {Function} options.getCurrentConfig - Returns the config currently in the editors
+ */
+export function initShareUI({ getCurrentConfig }) {
+  _getCurrentConfig = getCurrentConfig;
+  addTrackedListener(document.getElementById('sharePublishBtn'), 'click', _publish);
+  addTrackedListener(document.getElementById('shareUnpublishBtn'), 'click', _unpublish);
+}
+
+/** Refresh the page list and publication status (called when the tab is opened) */
+export async function refreshShare() {
+  const isGM = await OBR.player.getRole() === 'GM';
+  document.getElementById('shareGmOnly').style.display = isGM ? 'none' : '';
+  document.getElementById('sharePublishBtn').disabled = !isGM;
+  let config = null;
+  try { config = _getCurrentConfig(); } catch { /* listed empty */ }
+  _renderPages(config, isGM);
+  _renderStatus(await getPublishedManifest());
+  if (!isGM) document.getElementById('shareUnpublishBtn').disabled = true;
+}
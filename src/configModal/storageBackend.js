@@ -0,0 +1,70 @@
+/**
+ * storageBackend.js — Storage backend selector (Integrations tab)
+ *
+ * Switching to a size-limited backend (room / player metadata) first checks
+ * that the saved data of the active profile fits: over the limit the choice
+ * is refused, close to it the user is asked to confirm.
+ */
+import { STORAGE_BACKENDS, getStorageBackend, setStorageBackend, estimateBackendUsage } from '../storageAdapters/index.js';
+import { getProfileStorageKeys } from '../profiles.js';
+
+const WARN_RATIO = 0.75;
+
+const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+/**
+ * Whether the backend can hold the saved data (asks the user when it is close to full)
+ * @param {string} name - Backend id
+ * @returns {Promise<boolean>}
+ */
+async function confirmBackendFits(name) {
+  let usage;
+  try {
+    usage = await estimateBackendUsage(name, await getProfileStorageKeys());
+  } catch (error) {
+    return confirm(`Could not check how much of ${STORAGE_BACKENDS[name].label} your data would use (${error.message}).\n\nUse it anyway?`);
+  }
+  if (!usage) return true;
+
+  const { bytes, limit } = usage;
+  if (bytes > limit) {
+    alert(`${STORAGE_BACKENDS[name].label} cannot hold your data: it would need ${kb(bytes)}, over its ${kb(limit)} limit.\n\nKeep a smaller config or choose another storage.`);
+    return false;
+  }
+  if (bytes > limit * WARN_RATIO) {
+    return confirm(`Your data would use ${kb(bytes)} of the ${kb(limit)} of ${STORAGE_BACKENDS[name].label}: saves will fail once the config or its history grows past it.\n\nUse it anyway?`);
+  }
+  return true;
+}
+
+export function initStorageBackendUI() {
+  const select = document.getElementById('storageBackendSelect');
+  if (!select) return;
+  select.replaceChildren(...Object.entries(STORAGE_BACKENDS).map(([name, { label }]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = label;
+    return option;
+  }));
+  select.value = getStorageBackend();
+
+  let accepted = select.value;
+  select.onchange = async () => {
+    const name = select.value;
+    select.disabled = true;
+    try {
+      if (await confirmBackendFits(name)) accepted = name;
+    } finally {
+      select.value = accepted;
+      select.disabled = false;
+    }
+  };
+}
+
+/**
+ * Apply the selected backend (call before saving the config so it is written there)
+ */
+export function saveStorageBackendInput() {
+  const select = document.getElementById('storageBackendSelect');
+  if (select?.value) setStorageBackend(select.value);
+}
@@ -11,7 +11,8 @@
 import { addTrackedListener } from './utils.js';
 import { openVariableModal } from './variableModal.js';
 import { openElementModal, closeElementModal, saveElement } from './elementModal.js';
-import { deepClone } from '../utils.js';
+import { deepClone, generateId, ensureConfigIds } from '../utils.js';
+import { CONFIG_VERSION } from '../configMigrations.js';
 
 // ── State ─────────────────────────────────────────────────────────────────────
 
@@ -65,6 +66,7 @@ export function rerenderEditor(config) {
 /** Build config object from current editor state (reads global fields) */
 export function buildConfigFromEditor() {
   const config = {
+    version: CONFIG_VERSION,
     global: {
       title:     document.getElementById('globalTitle')?.value || 'Macro Hero',
       width:     parseInt(document.getElementById('globalWidth')?.value) || 600,
@@ -73,6 +75,8 @@ export function buildConfigFromEditor() {
     },
     pages: _config?.pages ? deepClone(_config.pages) : []
   };
+  const timeout = parseInt(document.getElementById('globalCommandTimeout')?.value);
+  if (!isNaN(timeout) && timeout >= 0) config.global.commandTimeout = timeout;
   return config;
 }
 
@@ -91,6 +95,8 @@ function _renderGlobalFields() {
   if (t) t.value = _config?.global?.title || '';
   if (w) w.value = _config?.global?.width  || 600;
   if (h) h.value = _config?.global?.height || 600;
+  const ct = document.getElementById('globalCommandTimeout');
+  if (ct) ct.value = _config?.global?.commandTimeout ?? '';
 }
 
 function _renderGlobalVariables() {
@@ -183,6 +189,10 @@ export function renderPagePanel(pageIndex) {
           <label>Page Label</label>
           <input type="text" id="pageLabelInput" value="${_esc(page.label || '')}" placeholder="Page name" style="width:100%;" />
         </div>
+        <div class="input-group" style="margin:0;flex:1;">
+          <label title="This variable is set to the id of the token the player selects, so the page shows its sheet">Follows selection</label>
+          <input type="text" id="pageBindingInput" value="${_esc(page.binding?.var || '')}" placeholder="variable, e.g. target" style="width:100%;" />
+        </div>
       </div>
 
       <div class="page-section">
@@ -211,6 +221,23 @@ export function renderPagePanel(pageIndex) {
     _notify();
   });
 
+  // Wire selection binding (the variable is created if the page does not have it)
+  addTrackedListener(document.getElementById('pageBindingInput'), 'change', e => {
+    const page = _config.pages[pageIndex];
+    const varName = e.target.value.trim();
+    if (!varName) {
+      delete page.binding;
+    } else {
+      page.binding = { var: varName };
+      page.variables = page.variables || {};
+      if (!(varName in page.variables)) {
+        page.variables[varName] = { value: '' };
+        _renderPageVars(pageIndex);
+      }
+    }
+    _notify();
+  });
+
   // Wire variables section toggle
   addTrackedListener(document.getElementById('pageVarsHeader'), 'click', e => {
     if (e.target.closest('#addPageVarBtn')) return; // don't collapse when clicking + Variable
@@ -508,6 +535,7 @@ function _editNode(pageIndex, path) {
     onSave: el => {
       const arr = _getChildArray(layout, path);
       if (arr) {
+        el.id = node.id || generateId('el');
         arr[path[path.length - 1]] = el;
         renderPagePanel(pageIndex);
         _notify();
@@ -567,6 +595,7 @@ function _openElementModal(pageIndex, type, parentPath, parentType) {
     saveLabel: isMatrix ? 'Add Button' : 'Add Element',
     lockType:  isMatrix,
     onSave: el => {
+      el.id = generateId('el');
       if (parentPath === null) {
         // Top-level
         if (!_config.pages[pageIndex].layout) _config.pages[pageIndex].layout = [];
@@ -592,7 +621,7 @@ function _openElementModal(pageIndex, type, parentPath, parentType) {
 
 function _addPage() {
   if (!_config.pages) _config.pages = [];
-  _config.pages.push({ label: 'New Page', variables: {}, layout: [] });
+  _config.pages.push({ id: generateId('page'), label: 'New Page', variables: {}, layout: [] });
   _selectPage(_config.pages.length - 1);
   _notify();
 }
@@ -658,6 +687,8 @@ function _deleteGlobalVar(key) {
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 function _notify() {
+  // New elements (e.g. generated matrix buttons) get their ids right away
+  ensureConfigIds(_config);
   if (_onConfigChange) _onConfigChange(_config);
 }
 
@@ -696,7 +727,8 @@ function _varDesc(v) {
       'value' in v ? `val` : '',
       'eval'  in v ? `eval` : '',
       v.min !== undefined ? `min:${v.min}` : '',
-      v.max !== undefined ? `max:${v.max}` : ''
+      v.max !== undefined ? `max:${v.max}` : '',
+      v.scope && v.scope !== 'local' ? v.scope : ''
     ].filter(Boolean).join(' ');
   }
   return String(v ?? '');
@@ -0,0 +1,208 @@
+/**
+ * validation.js — schema problems listed under the Raw Editor, with line numbers
+ */
+import { parsePointer } from '../configSchema.js';
+import { addTrackedListener } from './utils.js';
+
+// ── Pointer → line ───────────────────────────────────────────────────────────
+
+/**
+ * Line of each value in a JSON text, by pointer segments
+ * Assumes the text is valid JSON (it was parsed before validation)
+ */
+function locateJson(text, segments) {
+  let pos = 0;
+  const skipWs = () => { while (pos < text.length && /\s/.test(text[pos])) pos++; };
+  const skipString = () => {
+    pos++; // opening quote
+    while (pos < text.length && text[pos] !== '"') pos += text[pos] === '\\' ? 2 : 1;
+    pos++;
+  };
+  const readString = () => {
+    const start = pos;
+    skipString();
+    return JSON.parse(text.slice(start, pos));
+  };
+  const skipValue = () => {
+    skipWs();
+    const c = text[pos];
+    if (c === '"') return skipString();
+    if (c === '{' || c === '[') {
+      const close = c === '{' ? '}' : ']';
+      pos++;
+      skipWs();
+      if (text[pos] === close) { pos++; return; }
+      for (;;) {
+        if (c === '{') { skipWs(); skipString(); skipWs(); pos++; } // key and ':'
+        skipValue();
+        skipWs();
+        if (text[pos++] !== ',') return;
+      }
+    }
+    while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+  };
+
+  // Descend segment by segment, remembering the last position found
+  let found = 0;
+  skipWs();
+  for (const segment of segments) {
+    const c = text[pos];
+    let hit = false;
+    if (c === '{') {
+      pos++;
+      skipWs();
+      while (text[pos] === '"') {
+        const keyPos = pos;
+        const key = readString();
+        skipWs(); pos++; skipWs(); // ':'
+        if (key === segment) { found = keyPos; hit = true; break; }
+        skipValue();
+        skipWs();
+        if (text[pos] === ',') { pos++; skipWs(); }
+      }
+    } else if (c === '[') {
+      pos++;
+      skipWs();
+      const index = Number(segment);
+      for (let i = 0; text[pos] !== ']' && pos < text.length; i++) {
+        skipWs();
+        if (i === index) { found = pos; hit = true; break; }
+        skipValue();
+        skipWs();
+        if (text[pos] === ',') pos++;
+      }
+    }
+    if (!hit) break;
+  }
+  return text.slice(0, found).split('\n').length;
+}
+
+/**
+ * Line of a value in a block-style YAML text, by pointer segments
+ * Follows indentation: a mapping key is looked up at the column of the first
+ * key of its block, a sequence item is the nth "- " at the block's dash column
+ */
+function locateYaml(text, segments) {
+  const lines = text.split('\n');
+  const info = lines.map(line => {
+    const indent = line.match(/^ */)[0].length;
+    const rest = line.slice(indent);
+    const dash = /^-( |$)/.test(rest);
+    const content = dash ? indent + rest.slice(1).match(/^ */)[0].length + 1 : indent;
+    const blank = rest.trim() === '' || rest.startsWith('#');
+    return { indent, dash, content, text: line.slice(content), blank };
+  });
+
+  let start = 0;
+  let end = lines.length;
+  let found = 0;
+  for (const segment of segments) {
+    const first = info.slice(start, end).findIndex(l => !l.blank);
+    if (first < 0) break;
+    const firstLine = info[start + first];
+    let hit = -1;
+
+    if (/^\d+$/.test(segment) && firstLine.dash) {
+      const col = firstLine.indent;
+      let n = -1;
+      for (let i = start + first; i < end; i++) {
+        const l = info[i];
+        if (l.blank) continue;
+        if (l.indent < col) break;
+        if (l.dash && l.indent === col && ++n === Number(segment)) { hit = i; break; }
+      }
+      if (hit < 0) break;
+      found = hit;
+      start = hit;
+      let next = hit + 1;
+      while (next < end && (info[next].blank || info[next].indent > col)) next++;
+      end = next;
+    } else {
+      const col = firstLine.content;
+      const keyPattern = new RegExp(`^(?:${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}|"${segment.replace(/[.*+?^${}()|[\]\\"]/g, '\\$&')}"|'${segment.replace(/[.*+?^${}()|[\]\\']/g, '\\$&')}')\\s*:`);
+      for (let i = start + first; i < end; i++) {
+        const l = info[i];
+        if (l.blank) continue;
+        if (l.content === col && keyPattern.test(l.text)) { hit = i; break; }
+      }
+      if (hit < 0) break;
+      found = hit;
+      start = hit + 1;
+      let next = start;
+      // Children are more indented, or a sequence at the key's own column
+      while (next < end && (info[next].blank || info[next].indent > col || (info[next].dash && info[next].indent === col))) next++;
+      end = next;
+    }
+  }
+  return found + 1;
+}
+
+/**
+ * Line number (1-based) of the value at a JSON pointer in the raw config text.
+ * Falls back to the closest parent found.
+ * @param {string} text - Raw editor content
+ * @param {string} pointer - JSON pointer
+ * @param {'json'|'yaml'} format
+ * @returns {number}
+ */
+export function locatePointer(text, pointer, format) {
+  try {
+    const segments = parsePointer(pointer);
+    return format === 'yaml' ? locateYaml(text, segments) : locateJson(text, segments);
+  } catch {
+    return 1;
+  }
+}
+
+// ── Problems list ────────────────────────────────────────────────────────────
+
+function _selectLine(textarea, line) {
+  const lines = textarea.value.split('\n');
+  const start = lines.slice(0, line - 1).reduce((n, l) => n + l.length + 1, 0);
+  textarea.focus();
+  textarea.setSelectionRange(start, start + (lines[line - 1] ?? '').length);
+  // Scroll the line into view
+  const lineHeight = textarea.scrollHeight / Math.max(1, lines.length);
+  textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+}
+
+/**
+ * Show schema problems under the Raw Editor (an empty list hides them)
+ * @param {Array<{pointer: string, severity: string, message: string}>} problems
+ * @param {'json'|'yaml'} format - Format of the raw editor text
+ */
+export function showConfigProblems(problems, format) {
+  const container = document.getElementById('cfgProblems');
+  const textarea = document.getElementById('cfgArea');
+  if (!container || !textarea) return;
+  container.innerHTML = '';
+  container.style.display = problems.length ? 'block' : 'none';
+  if (!problems.length) return;
+
+  const errors = problems.filter(p => p.severity === 'error').length;
+  const header = document.createElement('div');
+  header.className = 'config-problems-header';
+  header.textContent = `${errors} error(s), ${problems.length - errors} warning(s)`;
+  container.appendChild(header);
+
+  problems
+    .map(problem => ({ ...problem, line: locatePointer(textarea.value, problem.pointer, format) }))
+    .sort((a, b) => a.line - b.line)
+    .forEach(problem => {
+      const row = document.createElement('div');
+      row.className = `config-problem config-problem-${problem.severity}`;
+      row.title = 'Go to line';
+
+      const line = document.createElement('span');
+      line.className = 'config-problem-line';
+      line.textContent = `Line ${problem.line}`;
+      const pointer = document.createElement('code');
+      pointer.textContent = problem.pointer || '/';
+      const message = document.createElement('span');
+      message.textContent = problem.message;
+
+      row.append(line, pointer, message);
+      addTrackedListener(row, 'click', () => _selectLine(textarea, problem.line));
+      container.appendChild(row);
+    });
+}
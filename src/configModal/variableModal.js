@@ -36,6 +36,14 @@ const MODAL_HTML = `
         <input type="number" id="variableMax" placeholder="optional" />
       </div>
     </div>
+    <div class="input-group" style="margin-top:8px;">
+      <label for="variableScope">Scope</label>
+      <select id="variableScope">
+        <option value="local">Player — kept by each player</option>
+        <option value="shared">Room — shared by everyone (matched by name)</option>
+        <option value="scene">Scene — each map has its own value</option>
+      </select>
+    </div>
     <div id="variableError" style="color:#ff4e4e;font-size:0.9em;display:none;margin:8px 0 0;"></div>
     <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:16px;">
       <button type="button" class="btn-small" id="saveVariableBtn">Save</button>
@@ -89,6 +97,7 @@ function _handleSave() {
   const evalRaw  = document.getElementById('variableEval').value.trim();
   const minRaw   = document.getElementById('variableMin').value.trim();
   const maxRaw   = document.getElementById('variableMax').value.trim();
+  const scope    = document.getElementById('variableScope').value;
 
   if (!key) { _showError('Variable name is required.'); return; }
 
@@ -110,6 +119,7 @@ function _handleSave() {
     if (!Number.isFinite(M)) { _showError('Max must be a number.'); return; }
     value.max = M;
   }
+  if (scope !== 'local') value.scope = scope;
 
   if (_onSave) _onSave(_editingPageIndex, key, value);
   close();
@@ -139,6 +149,7 @@ export async function openVariableModal(pageIndex, key = '', existingValue = und
   const evalInput  = document.getElementById('variableEval');
   const minInput   = document.getElementById('variableMin');
   const maxInput   = document.getElementById('variableMax');
+  const scopeInput = document.getElementById('variableScope');
 
   keyInput.value    = key;
   keyInput.disabled = isEdit;
@@ -146,6 +157,7 @@ export async function openVariableModal(pageIndex, key = '', existingValue = und
   evalInput.value   = '';
   minInput.value    = '';
   maxInput.value    = '';
+  scopeInput.value  = 'local';
 
   if (existingValue !== undefined && typeof existingValue === 'object' && existingValue !== null) {
     if ('value' in existingValue) {
@@ -159,6 +171,7 @@ export async function openVariableModal(pageIndex, key = '', existingValue = und
     }
     if (existingValue.min !== undefined && existingValue.min !== null) minInput.value = existingValue.min;
     if (existingValue.max !== undefined && existingValue.max !== null) maxInput.value = existingValue.max;
+    scopeInput.value = existingValue.scope ?? 'local';
   } else {
     valueRadio.checked = true; evalRadio.checked = false;
     valueInput.disabled = false; evalInput.disabled = true;
@@ -0,0 +1,434 @@
+/**
+ * Config Schema - Formal description of a Macro Hero config and its validator
+ *
+ * The schema is written as a JSON Schema subset (type, properties, required,
+ * additionalProperties, items, enum, minimum, maximum, anyOf, $ref) plus an
+ * OpenAPI-style `discriminator` that picks the layout element schema from its
+ * `type`. One schema per component of the ComponentRegistry lives in
+ * COMPONENT_SCHEMAS; custom components registered with a schema are added to it.
+ *
+ * validateConfig() reports problems with the JSON pointer of the offending
+ * value (RFC 6901), e.g. "/pages/0/layout/3/type":
+ *   - errors: wrong types, missing required properties, unknown component types
+ *   - warnings: unknown properties (likely typos, with a suggestion)
+ */
+
+import { CONTEXT_MENU_VARIABLES } from "./constants.js";
+
+const COMMANDS = { $ref: '#/definitions/commands' };
+const COLOR = { type: 'string' };
+const CSS_SIZE = { type: ['string', 'number'] };
+const TIMEOUT = { type: 'number', minimum: 0 };
+const VAR_NAME = { type: 'string' };
+
+/**
+ * Layout element schemas by component type (the `type` and `id` properties are
+ * common to all of them)
+ */
+export const COMPONENT_SCHEMAS = {
+  button: {
+    properties: { label: { type: 'string' }, icon: { type: 'string' }, tooltip: { type: 'string' }, color: COLOR, onclick: COMMANDS, onrightclick: COMMANDS, timeout: TIMEOUT },
+  },
+  input: {
+    required: ['var'],
+    properties: { var: VAR_NAME, label: { type: 'string' }, placeholder: { type: 'string' }, onupdate: COMMANDS },
+  },
+  checkbox: {
+    required: ['var'],
+    properties: { var: VAR_NAME, label: { type: 'string' }, color: COLOR, onupdate: COMMANDS },
+  },
+  toggle: {
+    required: ['var'],
+    properties: { var: VAR_NAME, label: { type: 'string' }, color: COLOR, onupdate: COMMANDS },
+  },
+  counter: {
+    required: ['var'],
+    properties: { var: VAR_NAME, label: { type: 'string' }, step: { type: 'number' }, min: { type: 'number' }, max: { type: 'number' }, color: COLOR, onupdate: COMMANDS },
+  },
+  text: {
+    properties: { text: { type: 'string' }, content: { type: 'string' } },
+  },
+  title: {
+    properties: { text: { type: 'string' }, color: COLOR },
+  },
+  row: {
+    properties: { children: { $ref: '#/definitions/layout' }, color: COLOR },
+  },
+  stack: {
+    properties: { children: { $ref: '#/definitions/layout' }, border: { type: 'boolean' }, color: COLOR, flex: { type: ['string', 'number'] } },
+  },
+  value: {
+    required: ['var'],
+    properties: { var: VAR_NAME, label: { type: 'string' } },
+  },
+  dropdown: {
+    required: ['var'],
+    properties: {
+      var: VAR_NAME,
+      label: { type: 'string' },
+      options: {
+        type: 'array',
+        items: {
+          anyOf: [
+            { type: ['string', 'number'] },
+            { type: 'object', required: ['value'], properties: { label: { type: 'string' }, value: {} }, additionalProperties: false },
+          ],
+        },
+      },
+      optionsVar: VAR_NAME,
+      onupdate: COMMANDS,
+    },
+  },
+  matrix: {
+    properties: {
+      children: { type: 'array', items: { $ref: '#/definitions/matrixButton' } },
+      columns: { type: 'integer', minimum: 1 },
+      buttonSize: CSS_SIZE,
+      gap: CSS_SIZE,
+      buttonShape: { enum: ['square', 'rectangle'] },
+      border: { type: 'boolean' },
+      color: COLOR,
+      flex: { type: ['string', 'number'] },
+    },
+  },
+  divider: {
+    properties: { color: COLOR, height: CSS_SIZE, margin: CSS_SIZE, style: { enum: ['solid', 'dashed', 'dotted'] } },
+  },
+};
+
+/**
+ * Add (or replace) the schema of a component type
+ * @param {string} type - Component type
+ * @param {Object} schema - { properties, required } of the element (type/id are implied)
+ */
+export function registerComponentSchema(type, schema) {
+  COMPONENT_SCHEMAS[type] = schema;
+}
+
+function elementSchema(type, { properties = {}, required = [] }) {
+  return {
+    type: 'object',
+    required: ['type', ...required],
+    properties: { type: { const: type }, id: { type: 'string' }, ...properties },
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Full config schema (built on demand so registered components are included)
+ * @returns {Object}
+ */
+export function getConfigSchema() {
+  const definitions = {
+    commands: { type: 'array', items: { type: 'string' } },
+    variable: {
+      type: 'object',
+      properties: {
+        value: {},
+        eval: { type: ['string', 'number', 'boolean'] },
+        min: { type: 'number' },
+        max: { type: 'number' },
+        scope: { enum: ['local', 'shared', 'scene'] },
+      },
+      additionalProperties: false,
+    },
+    variables: { type: 'object', additionalProperties: { $ref: '#/definitions/variable' } },
+    layout: { type: 'array', items: { $ref: '#/definitions/element' } },
+    element: {
+      type: 'object',
+      discriminator: {
+        propertyName: 'type',
+        mapping: Object.fromEntries(Object.keys(COMPONENT_SCHEMAS).map(type => [type, `#/definitions/component_${type}`])),
+      },
+    },
+    contextMenuAction: {
+      type: 'object',
+      required: ['label', 'commands'],
+      properties: {
+        label: { type: 'string', minLength: 1 },
+        icon: { type: 'string' },
+        commands: COMMANDS,
+        layers: { type: 'array', items: { enum: ['MAP', 'GRID', 'DRAWING', 'PROP', 'MOUNT', 'CHARACTER', 'ATTACHMENT', 'NOTE', 'TEXT'] } },
+        roles: { type: 'array', items: { enum: ['GM', 'PLAYER'] } },
+        metadata: { type: 'array', items: { type: 'string' } },
+        timeout: TIMEOUT,
+      },
+      additionalProperties: false,
+    },
+    matrixButton: {
+      type: 'object',
+      properties: {
+        type: { const: 'matrixButton' },
+        id: { type: 'string' },
+        label: { type: 'string' },
+        icon: { type: 'string' },
+        tooltip: { type: 'string' },
+        color: COLOR,
+        borderColor: COLOR,
+        onclick: COMMANDS,
+        onrightclick: COMMANDS,
+        timeout: TIMEOUT,
+      },
+      additionalProperties: false,
+    },
+  };
+  for (const [type, schema] of Object.entries(COMPONENT_SCHEMAS)) {
+    definitions[`component_${type}`] = elementSchema(type, schema);
+  }
+
+  return {
+    type: 'object',
+    required: ['global', 'pages'],
+    properties: {
+      version: { type: 'integer', minimum: 0 },
+      global: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          theme: { type: 'string' },
+          width: { type: 'number', minimum: 0 },
+          height: { type: 'number', minimum: 0 },
+          commandTimeout: TIMEOUT,
+          variables: { $ref: '#/definitions/variables' },
+        },
+        additionalProperties: false,
+      },
+      pages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['layout'],
+          properties: {
+            id: { type: 'string' },
+            label: { type: 'string' },
+            binding: {
+              type: 'object',
+              required: ['var'],
+              properties: { var: { type: 'string', minLength: 1 } },
+              additionalProperties: false,
+            },
+            variables: { $ref: '#/definitions/variables' },
+            contextMenu: { type: 'array', items: { $ref: '#/definitions/contextMenuAction' } },
+            layout: { $ref: '#/definitions/layout' },
+          },
+          additionalProperties: false,
+        },
+      },
+    },
+    additionalProperties: false,
+    definitions,
+  };
+}
+
+// ── Validator ─────────────────────────────────────────────────────────────────
+
+/**
+ * Escape a JSON pointer segment (RFC 6901)
+ */
+export function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Split a JSON pointer into unescaped segments
+ * @param {string} pointer - e.g. "/pages/0/layout"
+ * @returns {string[]}
+ */
+export function parsePointer(pointer) {
+  if (!pointer) return [];
+  return pointer.slice(1).split('/').map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/** Edit distance counting a swap of adjacent letters as one edit ("tpye" -> "type") */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/** Closest candidate to a misspelled name, if it is close enough */
+function suggest(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) { best = candidate; bestDistance = distance; }
+  }
+  return best && bestDistance <= Math.max(1, Math.floor(best.length / 3)) ? best : null;
+}
+
+function resolveRef(root, ref) {
+  return parsePointer(ref.replace(/^#/, '')).reduce((node, key) => node?.[key], root);
+}
+
+function validateNode(value, schema, pointer, root, problems) {
+  if (schema.$ref) schema = resolveRef(root, schema.$ref);
+  if (!schema) return;
+  const error = message => problems.push({ pointer, severity: 'error', message });
+
+  if (schema.anyOf) {
+    const branch = schema.anyOf.find(s => !s.type || [].concat(s.type).some(t => matchesType(value, t)));
+    if (branch) validateNode(value, branch, pointer, root, problems);
+    else error(`expected ${schema.anyOf.flatMap(s => [].concat(s.type)).join(' or ')}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      const got = typeOf(value) === 'integer' ? 'number' : typeOf(value);
+      error(`expected ${types.join(' or ')}, got ${got}${got === 'string' && types.includes('array') ? ' (use a list of commands)' : ''}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    error(`expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    error(`expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) error(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) error(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.items) value.forEach((item, i) => validateNode(item, schema.items, `${pointer}/${i}`, root, problems));
+    return;
+  }
+
+  if (typeOf(value) !== 'object') return;
+
+  if (schema.discriminator) {
+    const { propertyName, mapping } = schema.discriminator;
+    const tag = value[propertyName];
+    if (tag === undefined) {
+      const typo = Object.keys(value).find(key => key !== propertyName && suggest(key, [propertyName]));
+      error(`missing required property "${propertyName}"${typo ? ` (found "${typo}")` : ''}`);
+      return;
+    }
+    if (!mapping[tag]) {
+      const hint = typeof tag === 'string' ? suggest(tag, Object.keys(mapping)) : null;
+      problems.push({
+        pointer: `${pointer}/${escapePointerSegment(propertyName)}`,
+        severity: 'error',
+        message: `unknown component type ${JSON.stringify(tag)}${hint ? ` (did you mean "${hint}"?)` : ''}`,
+      });
+      return;
+    }
+    validateNode(value, { $ref: mapping[tag] }, pointer, root, problems);
+    return;
+  }
+
+  const properties = schema.properties || {};
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) error(`missing required property "${name}"`);
+  }
+  for (const [key, child] of Object.entries(value)) {
+    // Runtime-only fields (_resolved, _modifiedVars...) are not part of the config
+    if (key.startsWith('_')) continue;
+    const childPointer = `${pointer}/${escapePointerSegment(key)}`;
+    if (properties[key]) {
+      validateNode(child, properties[key], childPointer, root, problems);
+    } else if (schema.additionalProperties === false) {
+      const hint = suggest(key, Object.keys(properties));
+      problems.push({
+        pointer: childPointer,
+        severity: 'warning',
+        message: `unknown property "${key}"${hint ? ` (did you mean "${hint}"?)` : ''}`,
+      });
+    } else if (typeOf(schema.additionalProperties) === 'object') {
+      validateNode(child, schema.additionalProperties, childPointer, root, problems);
+    }
+  }
+}
+
+/**
+ * Validate a config against the schema
+ * @param {Object} config - Parsed config
+ * @returns {Array<{pointer: string, severity: 'error'|'warning', message: string}>}
+ */
+export function validateConfig(config) {
+  const schema = getConfigSchema();
+  const problems = [];
+  validateNode(config, schema, '', schema, problems);
+
+  // A variable needs a value or an expression
+  const checkVariables = (variables, pointer) => {
+    if (typeOf(variables) !== 'object') return;
+    for (const [name, definition] of Object.entries(variables)) {
+      if (typeOf(definition) !== 'object') continue;
+      const at = `${pointer}/${escapePointerSegment(name)}`;
+      if (definition.value === undefined && definition.eval === undefined) {
+        problems.push({ pointer: at, severity: 'warning', message: 'has neither "value" nor "eval" (resolves to null)' });
+      } else if (definition.value !== undefined && definition.eval !== undefined) {
+        problems.push({ pointer: at, severity: 'warning', message: 'has both "value" and "eval" ("eval" is ignored)' });
+      }
+    }
+  };
+  checkVariables(config?.global?.variables, '/global/variables');
+  if (Array.isArray(config?.pages)) {
+    config.pages.forEach((page, i) => checkVariables(page?.variables, `/pages/${i}/variables`));
+  }
+
+  // Context menu actions add variables of their own, hiding those of the same name
+  const checkContextMenuVariables = (variables, pointer) => {
+    if (typeOf(variables) !== 'object') return;
+    for (const name of CONTEXT_MENU_VARIABLES.filter(name => name in variables)) {
+      problems.push({
+        pointer: `${pointer}/${escapePointerSegment(name)}`,
+        severity: 'warning',
+        message: `is hidden in context menu actions, where "${name}" holds the clicked items`,
+      });
+    }
+  };
+  const menuPages = (Array.isArray(config?.pages) ? config.pages : [])
+    .map((page, i) => [page, i])
+    .filter(([page]) => Array.isArray(page?.contextMenu) && page.contextMenu.length > 0);
+  if (menuPages.length > 0) checkContextMenuVariables(config?.global?.variables, '/global/variables');
+  for (const [page, i] of menuPages) checkContextMenuVariables(page.variables, `/pages/${i}/variables`);
+
+  return problems;
+}
+
+/**
+ * Human-readable problem line
+ * @param {{pointer: string, severity: string, message: string}} problem
+ * @returns {string}
+ */
+export function formatProblem({ pointer, severity, message }) {
+  return `${severity === 'error' ? 'Error' : 'Warning'} at ${pointer || '/'}: ${message}`;
+}
+
+export default {
+  COMPONENT_SCHEMAS,
+  registerComponentSchema,
+  getConfigSchema,
+  validateConfig,
+  formatProblem,
+  parsePointer,
+  escapePointerSegment,
+};
@@ -12,6 +12,77 @@ export const ASYNC_INTEGRATION_NAMES = [
   'Aurora', 'Announcement', 'Auras', 'Owlbear', 'Token', 'Scene'
 ];
 
+/**
+ * Default time limit for button commands, in milliseconds.
+ * Overridden by `global.commandTimeout` and per-element `timeout` (0 disables it).
+ */
+export const DEFAULT_COMMAND_TIMEOUT_MS = 30000;
+
+/**
+ * Maximum number of variables evaluated at the same time when resolving
+ * independent variables in parallel (keeps OBR/API calls under rate limits)
+ */
+export const MAX_CONCURRENT_RESOLUTIONS = 4;
+
+/**
+ * Minimum delay between two `OBR.scene.items` writes, in milliseconds
+ * (keeps loops of token updates under Owlbear's rate limits)
+ */
+export const ITEM_WRITE_MIN_INTERVAL_MS = 100;
+
+/**
+ * localStorage key of the variable errors listed in the Debug tab
+ * (written by ErrorStore in the main window)
+ */
+export const VARIABLE_ERRORS_STORAGE_KEY = 'macroHero_variableErrors';
+
+/**
+ * Number of command runs kept in the undo history (per room)
+ */
+export const MAX_HISTORY_TRANSACTIONS = 50;
+
+/**
+ * Number of command runs kept in the command history panel (per room)
+ */
+export const MAX_COMMAND_HISTORY_ENTRIES = 200;
+
+/**
+ * Number of config snapshots kept in the config modal History tab (per room)
+ */
+export const MAX_CONFIG_SNAPSHOTS = 30;
+
+/**
+ * Variables context menu actions add to their run (the clicked items);
+ * they take precedence over global and page variables of the same name
+ */
+export const CONTEXT_MENU_VARIABLES = ['selection', 'targetIds'];
+
+/**
+ * localStorage key of the `Local` integration data
+ */
+export const LOCAL_INTEGRATION_STORAGE_KEY = 'macroHero_localStorage';
+
+/**
+ * Size limit of the whole room metadata, in bytes (set by Owlbear, shared
+ * with the other extensions); a published config must fit in what is left
+ */
+export const ROOM_METADATA_MAX_BYTES = 16 * 1024;
+
+/**
+ * Size of each room metadata value holding part of a published config, in characters
+ */
+export const SHARED_CONFIG_CHUNK_SIZE = 2000;
+
 export default {
   ASYNC_INTEGRATION_NAMES,
+  DEFAULT_COMMAND_TIMEOUT_MS,
+  MAX_CONCURRENT_RESOLUTIONS,
+  ITEM_WRITE_MIN_INTERVAL_MS,
+  VARIABLE_ERRORS_STORAGE_KEY,
+  MAX_HISTORY_TRANSACTIONS,
+  MAX_COMMAND_HISTORY_ENTRIES,
+  MAX_CONFIG_SNAPSHOTS,
+  LOCAL_INTEGRATION_STORAGE_KEY,
+  ROOM_METADATA_MAX_BYTES,
+  SHARED_CONFIG_CHUNK_SIZE,
 };
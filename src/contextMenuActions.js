@@ -0,0 +1,176 @@
+/**
+ * Context Menu Actions - Macros run from the right-click menu of tokens
+ *
+ * A page declares actions in `contextMenu`:
+ *
+ *   "contextMenu": [
+ *     { "label": "Apply Damage", "commands": ["..."],
+ *       "layers": ["CHARACTER"], "roles": ["GM"], "metadata": ["com.owlbear-rodeo-bubbles-extension/metadata"] }
+ *   ]
+ *
+ * Each action becomes an OBR context menu entry, shown for items on one of
+ * `layers` (CHARACTER by default), to the `roles` listed (everyone by default)
+ * and only when every selected item has all the `metadata` keys. A click runs
+ * the commands through handleButtonClick in the context of that page, with
+ * two more variables:
+ *   selection  ids of the selected items
+ *   targetIds  ids of the items the menu was opened on
+ * They take precedence over global and page variables of the same name
+ * (reported as a warning by the config validation).
+ *
+ * Entries are re-created whenever the config changes; the ids registered last
+ * are kept in localStorage so entries of removed actions are removed too.
+ * Re-registrations run one after the other, so the entries of a config are
+ * never removed while those of an earlier one are still being created.
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import { handleButtonClick } from "./executor.js";
+import { getGlobalVariables } from "./ui.js";
+import { saveConfig, broadcastConfigUpdated } from "./config.js";
+import { createDebugLogger } from "./debugMode.js";
+import { CONTEXT_MENU_VARIABLES } from "./constants.js";
+
+const logger = createDebugLogger('contextMenuActions');
+
+const CONTEXT_MENU_ID = "com.sewef.macrohero/contextMenu";
+const REGISTERED_IDS_KEY = 'macroHero_contextMenuIds';
+const DEFAULT_LAYERS = ['CHARACTER'];
+const DEFAULT_ICON = '/icon.svg';
+
+let currentConfig = null;
+let queue = Promise.resolve(); // Registration in progress (see enqueue)
+
+/**
+ * Run a (re-)registration once the previous ones are done
+ * @param {Function} task - async () => void
+ * @returns {Promise<void>}
+ */
+function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {}); // Reported by the caller
+  return run;
+}
+
+function readRegisteredIds() {
+  try {
+    return JSON.parse(localStorage.getItem(REGISTERED_IDS_KEY) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+function writeRegisteredIds(ids) {
+  try {
+    localStorage.setItem(REGISTERED_IDS_KEY, JSON.stringify(ids));
+  } catch (error) {
+    logger.warn('Could not remember the context menu entries:', error);
+  }
+}
+
+/**
+ * OBR icon filter of an action (items filters are combined left to right)
+ * @param {Object} action
+ * @returns {Object}
+ */
+function buildFilter(action) {
+  const layers = action.layers?.length ? action.layers : DEFAULT_LAYERS;
+  const every = layers.map((layer, i) => ({
+    key: 'layer',
+    value: layer,
+    coordinator: i < layers.length - 1 ? '||' : '&&',
+  }));
+  for (const key of action.metadata ?? []) {
+    every.push({ key: ['metadata', key], value: undefined, operator: '!=' });
+  }
+  delete every[every.length - 1].coordinator;
+
+  const filter = { every };
+  if (action.roles?.length) filter.roles = action.roles;
+  return filter;
+}
+
+async function runAction(pageId, index, context) {
+  const page = currentConfig?.pages?.find(p => p?.id === pageId);
+  const action = page?.contextMenu?.[index];
+  if (!action) {
+    logger.warn(`Context menu action ${pageId}/${index} no longer exists`);
+    return;
+  }
+
+  // Merged after the page variables, so a variable of the same name cannot hide them
+  const variables = {
+    selection: context.selection ?? [],
+    targetIds: (context.items ?? []).map(item => item.id),
+  };
+  logger.log(`Running "${action.label}" on ${variables.targetIds.length} item(s)`);
+
+  try {
+    await handleButtonClick(action.commands, page, getGlobalVariables(), null, page.id, {
+      label: action.label,
+      variables,
+      ...(action.timeout !== undefined && { timeout: action.timeout }),
+    });
+    await saveConfig(currentConfig);
+    await broadcastConfigUpdated();
+  } catch (error) {
+    logger.error(`Action "${action.label}" failed:`, error);
+    await OBR.notification.show(`${action.label}: ${error.message}`, 'ERROR').catch(() => {});
+  }
+}
+
+async function removeRegistered() {
+  const ids = readRegisteredIds();
+  await Promise.all(ids.map(id => OBR.contextMenu.remove(id).catch(() => {})));
+  writeRegisteredIds([]);
+}
+
+async function register(config) {
+  currentConfig = config;
+  await removeRegistered();
+
+  const ids = [];
+  const created = [];
+  for (const page of config?.pages || []) {
+    if (!page?.id || !Array.isArray(page.contextMenu)) continue;
+    const hidden = CONTEXT_MENU_VARIABLES.filter(name => name in (page.variables ?? {}) || name in (config.global?.variables ?? {}));
+    if (hidden.length > 0) {
+      logger.warn(`Page "${page.label}": context menu actions see the clicked items as ${hidden.join(', ')}, not the variable(s) of that name`);
+    }
+    page.contextMenu.forEach((action, index) => {
+      if (!action?.label || !Array.isArray(action.commands) || action.commands.length === 0) return;
+      const id = `${CONTEXT_MENU_ID}/${page.id}/${index}`;
+      ids.push(id);
+      created.push(OBR.contextMenu.create({
+        id,
+        icons: [{ icon: action.icon || DEFAULT_ICON, label: action.label, filter: buildFilter(action) }],
+        onClick: context => runAction(page.id, index, context),
+      }).catch(error => logger.error(`Could not add "${action.label}" to the context menu:`, error)));
+    });
+  }
+
+  await Promise.all(created);
+  writeRegisteredIds(ids);
+  if (ids.length > 0) logger.log(`Registered ${ids.length} context menu action(s)`);
+}
+
+/**
+ * Remove the context menu entries registered last
+ */
+export function removeContextMenuActions() {
+  return enqueue(removeRegistered);
+}
+
+/**
+ * Create a context menu entry for each action of the config, replacing the previous ones
+ * @param {Object} config - Config shown in the popover (actions run on its pages)
+ * @returns {Promise<void>} Resolves once the entries are created
+ */
+export function registerContextMenuActions(config) {
+  return enqueue(() => register(config));
+}
+
+export default {
+  registerContextMenuActions,
+  removeContextMenuActions,
+};
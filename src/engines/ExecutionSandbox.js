@@ -1,18 +1,25 @@
-﻿/**
- * ExecutionSandbox - Safe execution environment for expressions
- * Replaces dangerous new Function() calls with a cleaner, safer approach
- * 
- * Benefits:
- * - Reusable sandbox (no new Function per evaluation)
- * - Cleaner context binding (no massive spread operations)
- * - Better error handling
- * - Security considerations baked in
+/**
+ * ExecutionSandbox - Isolated execution environment for expressions and commands
+ *
+ * User code never runs on the main thread: it is posted to a dedicated Worker
+ * (see sandboxWorker.js) where it has no access to `window`, `localStorage`,
+ * the network or the OBR SDK. Integrations and helpers are exposed inside the
+ * worker as message-passing proxies; every call is checked here against an
+ * explicit capability allowlist before it reaches the real implementation.
+ *
+ * Capabilities:
+ * - Integration namespaces (OwlTrackers.*, Token.*, ...) — every function of
+ *   the namespaces returned by getExpressionContext()
+ * - Fluent builders (Embers.sequence()) — replayed here on their terminal call
+ * - Owlbear.* — only the paths listed in OWLBEAR_CAPABILITIES
+ * - Helpers (setValue, addValue, ...) — per-run functions passed by the caller
  */
 
-import * as math from "mathjs";
 import { getExpressionContext } from "../expressionHelpers.js";
 import { createDebugLogger } from "../debugMode.js";
-import { ASYNC_INTEGRATION_NAMES } from "../constants.js";
+import { ASYNC_INTEGRATION_NAMES, MAX_CONCURRENT_RESOLUTIONS } from "../constants.js";
+import { isErrorValue } from "./errorValues.js";
+import { sceneItemStore } from "../stores/SceneItemStore.js";
 
 const logger = createDebugLogger('ExecutionSandbox');
 
@@ -22,66 +29,419 @@ ASYNC_INTEGRATION_NAMES.forEach(name => {
   INTEGRATION_REGEX_MAP.set(name, new RegExp(`(?<!await\\s+)\\b(${name}\\.\\w+)\\(`, 'g'));
 });
 
+/**
+ * Owlbear SDK paths reachable from user code (Owlbear.<path>(...)): reads,
+ * plus writes that only affect this player's view (notifications, selection,
+ * viewport) and broadcast messages. Metadata and items are written through
+ * the integrations (Token.*, sceneMetadata.*, playerMetadata.*, ...).
+ */
+export const OWLBEAR_CAPABILITIES = new Set([
+  'notification.show', 'notification.close',
+  'player.getId', 'player.getName', 'player.getColor', 'player.getRole',
+  'player.getConnectionId', 'player.getSelection', 'player.select', 'player.deselect',
+  'player.getMetadata',
+  'party.getPlayers',
+  'room.getId', 'room.getMetadata',
+  'scene.isReady', 'scene.getMetadata',
+  'scene.items.getItems',
+  'scene.grid.getDpi', 'scene.grid.getScale', 'scene.grid.getType', 'scene.grid.snapPosition',
+  'viewport.getPosition', 'viewport.getScale', 'viewport.animateTo',
+  'broadcast.sendMessage', 'broadcast.send', 'broadcast.sendLocal',
+  'broadcast.sendToRoom', 'broadcast.sendAll',
+  'image.detectMimeType', 'image.getDimensions', 'image.buildContent',
+  'image.buildGrid', 'image.buildParams',
+]);
+
+/**
+ * Fluent builders: "<Namespace>.<method>" -> terminal methods that trigger the replay
+ */
+const BUILDER_CAPABILITIES = {
+  'Embers.sequence': ['cast'],
+};
+
+/**
+ * Check whether a value survives structured cloning
+ */
+function isCloneable(value) {
+  try {
+    structuredClone(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Make a host value safe to post to the worker
+ */
+function toTransferable(value) {
+  if (isCloneable(value)) return value;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the error used when a run is stopped before it completes
+ * @param {'timeout'|'cancelled'} reason
+ * @param {Object} details - { label, timeout, pendingCalls }
+ * @returns {Error}
+ */
+export function createAbortError(reason, { label = 'Command', timeout, pendingCalls = [] } = {}) {
+  let message = reason === 'timeout'
+    ? `${label} timed out after ${timeout}ms`
+    : `${label} was cancelled`;
+  if (pendingCalls.length > 0) message += ` while waiting on ${pendingCalls.join(', ')}`;
+
+  const error = new Error(message);
+  error.name = reason === 'timeout' ? 'TimeoutError' : 'AbortError';
+  error.reason = reason;
+  error.label = label;
+  error.timeout = timeout;
+  error.pendingCalls = pendingCalls;
+  return error;
+}
+
 class ExecutionSandbox {
   constructor() {
-    // Cache integrated context (functions, etc) to avoid rebuilding
-    this.contextCache = null;
-    this.contextCacheKey = null;
-    
-    // LRU cache for compiled Function objects (max 100 entries)
-    this.functionCache = new Map();
-    this.maxCacheSize = 100;
+    // Shared worker for expression evaluation
+    this.worker = null;
+    // Idle workers reused by abortable runs (each one gets its own worker so it can be terminated)
+    this.idleWorkers = [];
+    this.maxIdleWorkers = MAX_CONCURRENT_RESOLUTIONS;
+    this.nextRunId = 0;
+    // runId -> { worker, dedicated, disposed, resolve, reject, integrations, helpers, activeCalls, ... }
+    this.pendingRuns = new Map();
+    // integrations object -> capability manifest
+    this.manifestCache = new WeakMap();
+  }
+
+  // ==========================================================================
+  // WORKER LIFECYCLE
+  // ==========================================================================
+
+  /**
+   * Spawn a sandbox worker and wire its message handlers
+   */
+  _createWorker() {
+    const worker = new Worker(new URL('./sandboxWorker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('message', (event) => this._handleMessage(worker, event.data));
+    worker.addEventListener('error', (event) => {
+      logger.error('Sandbox worker crashed:', event.message);
+      this._disposeWorker(worker, new Error(`Sandbox worker crashed: ${event.message ?? 'unknown error'}`));
+    });
+
+    logger.log('Sandbox worker started');
+    return worker;
   }
 
   /**
-   * Add to LRU cache with eviction
+   * Get (or lazily create) the shared expression worker
    */
-  _setCacheEntry(key, value) {
-    // Remove oldest entry if at capacity
-    if (this.functionCache.size >= this.maxCacheSize) {
-      const firstKey = this.functionCache.keys().next().value;
-      this.functionCache.delete(firstKey);
+  _getWorker() {
+    if (!this.worker) this.worker = this._createWorker();
+    return this.worker;
+  }
+
+  /**
+   * Take a worker dedicated to a single abortable run
+   */
+  _acquireDedicatedWorker() {
+    return this.idleWorkers.pop() ?? this._createWorker();
+  }
+
+  /**
+   * Return a dedicated worker to the idle pool once its run has finished
+   */
+  _releaseDedicatedWorker(worker) {
+    if (this.idleWorkers.length < this.maxIdleWorkers) this.idleWorkers.push(worker);
+    else worker.terminate();
+  }
+
+  /**
+   * Terminate a worker and reject every run still pending on it
+   */
+  _disposeWorker(worker, reason) {
+    worker.terminate();
+    if (this.worker === worker) this.worker = null;
+    this.idleWorkers = this.idleWorkers.filter(w => w !== worker);
+    for (const [id, run] of this.pendingRuns) {
+      if (run.worker !== worker) continue;
+      this.pendingRuns.delete(id);
+      run.disposed = true;
+      run.reject(reason);
     }
-    this.functionCache.set(key, value);
   }
 
   /**
-   * Simple hash function for expressions
+   * Stop a run by terminating its dedicated worker, which drops every pending
+   * integration promise inside it (code looping synchronously included).
+   * Late host replies are discarded.
+   * @param {number} id - Run id
+   * @param {'timeout'|'cancelled'} reason
+   * @param {number} [timeout] - Time limit reported for a timeout (the run's by default)
+   */
+  _abortRun(id, reason, timeout = undefined) {
+    const run = this.pendingRuns.get(id);
+    if (!run) return;
+    const error = createAbortError(reason, {
+      label: run.label,
+      timeout: timeout ?? run.timeout,
+      pendingCalls: [...run.activeCalls.values()],
+    });
+    logger.warn(error.message);
+    this._disposeWorker(run.worker, error);
+  }
+
+  /**
+   * Route messages coming from a worker
    */
-  _hashExpression(expression) {
-    let hash = 0;
-    for (let i = 0; i < expression.length; i++) {
-      const char = expression.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
+  _handleMessage(worker, msg) {
+    const run = this.pendingRuns.get(msg.id);
+    if (!run || run.worker !== worker) return;
+
+    if (msg.type === 'done') {
+      this.pendingRuns.delete(msg.id);
+      if (run.dedicated) this._releaseDedicatedWorker(worker);
+      if (msg.ok) {
+        run.resolve(msg.value);
+      } else {
+        const error = new Error(msg.error);
+        if (msg.call) error.call = msg.call;
+        run.reject(error);
+      }
+      return;
+    }
+
+    if (msg.type === 'call') {
+      const label = msg.scope === 'owlbear' ? `Owlbear.${msg.path.join('.')}` : msg.path.join('.');
+      run.activeCalls.set(msg.callId, label);
+      try {
+        run.onCall?.(msg);
+      } catch (error) {
+        logger.warn('onCall observer failed:', error);
+      }
+      this._dispatchCall(run, msg)
+        .then(value => isErrorValue(value)
+          ? { ok: false, soft: true, error: value.$error.message }
+          : { ok: true, value: toTransferable(value) })
+        .catch(error => ({ ok: false, error: error?.message ?? String(error) }))
+        .then(payload => {
+          run.activeCalls.delete(msg.callId);
+          try {
+            run.onCallEnd?.(msg);
+          } catch (error) {
+            logger.warn('onCallEnd observer failed:', error);
+          }
+          // Run was aborted meanwhile — its worker is gone
+          if (run.disposed) return;
+          worker.postMessage({ type: 'reply', callId: msg.callId, ...payload });
+        });
     }
-    return 'h' + Math.abs(hash).toString(36);
   }
 
+  // ==========================================================================
+  // CAPABILITIES
+  // ==========================================================================
+
+  /**
+   * Describe the integrations object so the worker can build its proxies.
+   * Only function names and cloneable constants cross the boundary.
+   */
+  _buildManifest(integrations) {
+    const cached = this.manifestCache.get(integrations);
+    if (cached) return cached;
+
+    const manifest = { namespaces: {}, constants: {}, builders: BUILDER_CAPABILITIES, owlbear: false };
+
+    for (const [name, value] of Object.entries(integrations)) {
+      if (name === 'Owlbear') {
+        manifest.owlbear = true;
+      } else if (value && typeof value === 'object') {
+        const spec = { methods: [], constants: {} };
+        for (const [key, member] of Object.entries(value)) {
+          if (typeof member === 'function') spec.methods.push(key);
+          else if (isCloneable(member)) spec.constants[key] = member;
+        }
+        // Plain data objects (e.g. NOTIFICATION_VARIANT) are passed as-is
+        if (spec.methods.length === 0 && isCloneable(value)) manifest.constants[name] = value;
+        else manifest.namespaces[name] = spec;
+      } else if (typeof value !== 'function' && isCloneable(value)) {
+        manifest.constants[name] = value;
+      }
+    }
+
+    this.manifestCache.set(integrations, manifest);
+    return manifest;
+  }
+
+  /**
+   * Perform a call requested by the worker, if it is allowed
+   */
+  async _dispatchCall(run, msg) {
+    const { scope, path = [], args = [], steps = [] } = msg;
+    const label = path.join('.');
+    // Calls that arrive after the run was stopped are not performed
+    run.signal?.throwIfAborted();
+
+    switch (scope) {
+      case 'helper': {
+        const helper = Object.prototype.hasOwnProperty.call(run.helpers, path[0]) ? run.helpers[path[0]] : null;
+        if (typeof helper !== 'function') throw new Error(`Unknown helper: ${label}`);
+        return helper(...args);
+      }
+
+      case 'integration': {
+        const [namespace, method] = path;
+        const target = run.integrations[namespace];
+        if (!target || namespace === 'Owlbear' || typeof target[method] !== 'function'
+            || !Object.prototype.hasOwnProperty.call(target, method)) {
+          throw new Error(`Capability not allowed: ${label}`);
+        }
+        return target[method](...args);
+      }
+
+      case 'builder': {
+        const terminals = BUILDER_CAPABILITIES[label];
+        const [namespace, method] = path;
+        if (!terminals || typeof run.integrations[namespace]?.[method] !== 'function') {
+          throw new Error(`Capability not allowed: ${label}`);
+        }
+        let builder = run.integrations[namespace][method](...args);
+        for (const [i, [step, stepArgs]] of steps.entries()) {
+          const isLast = i === steps.length - 1;
+          if (step.startsWith('_') || step === 'constructor' || typeof builder?.[step] !== 'function'
+              || (isLast && !terminals.includes(step))) {
+            throw new Error(`Capability not allowed: ${label}().${step}`);
+          }
+          builder = isLast ? await builder[step](...stepArgs) : builder[step](...stepArgs);
+        }
+        return builder;
+      }
+
+      case 'owlbear': {
+        if (!OWLBEAR_CAPABILITIES.has(label)) throw new Error(`Capability not allowed: Owlbear.${label}`);
+        let owner = run.integrations.Owlbear;
+        for (const key of path.slice(0, -1)) owner = owner?.[key];
+        const fn = owner?.[path[path.length - 1]];
+        if (typeof fn !== 'function') throw new Error(`Unknown Owlbear method: ${label}`);
+        return fn.apply(owner, args);
+      }
+
+      case 'writes': {
+        if (label !== 'flush') throw new Error(`Unknown write operation: ${label}`);
+        return sceneItemStore.flush(run.batch);
+      }
+
+      default:
+        throw new Error(`Unknown call scope: ${scope}`);
+    }
+  }
+
+  // ==========================================================================
+  // EXECUTION
+  // ==========================================================================
+
   /**
-   * Build execution context with all available functions/values
-   * Cached to avoid rebuilding integrations on every eval
+   * Post a run to a worker and wait for its result
+   * @param {'sync'|'async'|'command'} mode
+   * @param {string} code
+   * @param {Object} options - { variables, integrations, helpers, signal, timeout, label, onCall, onCallEnd, batch }
+   *   `timeout` (ms, 0 = none) and `signal` make the run abortable; abortable
+   *   runs (commands, and the variables resolved for them) get a dedicated
+   *   worker so stopping them does not affect other evaluations. A signal aborted with a timeout error (createAbortError)
+   *   stops the run as a timeout.
+   *   `onCall({ scope, path, args })` observes every call the code makes to the host,
+   *   `onCallEnd` (same argument) is told when the host has performed it.
+   *   `batch` is the SceneItemStore batch of the run, flushed by `batch()` in macros.
+   * @returns {Promise<any>}
    */
-  buildContext(resolvedVars = {}) {
-    const integrations = getExpressionContext();
-    
-    return {
-      // Integrations (GoogleSheets, OwlTrackers, etc)
-      integrations,
-      // Math functions
-      math,
-      // Resolved variables (specific to this evaluation)
-      variables: resolvedVars,
+  _run(mode, code, {
+    variables = {},
+    integrations = getExpressionContext(),
+    helpers = {},
+    signal = null,
+    timeout = 0,
+    label = 'Command',
+    onCall = null,
+    onCallEnd = null,
+    batch = null,
+  } = {}) {
+    if (signal?.aborted) return Promise.reject(signal.reason ?? createAbortError('cancelled', { label }));
+
+    const dedicated = Boolean(signal) || timeout > 0;
+    const worker = dedicated ? this._acquireDedicatedWorker() : this._getWorker();
+    const id = ++this.nextRunId;
+    let timer = null;
+    const onAbort = () => {
+      const reason = signal.reason;
+      if (reason?.reason === 'timeout') this._abortRun(id, 'timeout', reason.timeout);
+      else this._abortRun(id, 'cancelled');
+    };
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
     };
+
+    return new Promise((resolve, reject) => {
+      this.pendingRuns.set(id, {
+        worker,
+        dedicated,
+        disposed: false,
+        signal,
+        label,
+        timeout,
+        integrations,
+        helpers,
+        onCall,
+        onCallEnd,
+        batch,
+        activeCalls: new Map(),
+        resolve: (value) => {
+          cleanup();
+          resolve(value);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        },
+      });
+
+      if (timeout > 0) timer = setTimeout(() => this._abortRun(id, 'timeout'), timeout);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      try {
+        worker.postMessage({
+          type: 'run',
+          id,
+          mode,
+          code,
+          variables: toTransferable(variables) ?? {},
+          helpers: Object.keys(helpers).filter(name => typeof helpers[name] === 'function'),
+          manifest: this._buildManifest(integrations),
+          // Local is synchronous: the worker reads this copy and forwards writes
+          local: typeof integrations.Local?.snapshot === 'function' ? integrations.Local.snapshot() : undefined,
+        });
+      } catch (error) {
+        this.pendingRuns.delete(id);
+        if (dedicated) this._releaseDedicatedWorker(worker);
+        cleanup();
+        reject(error);
+      }
+    });
   }
 
   /**
-   * Execute a simple expression synchronously
+   * Evaluate a simple expression (no integration calls)
    * @param {string|number|boolean} expression - Code to execute
    * @param {Object} resolvedVars - Variables available in scope
-   * @returns {any} Result of evaluation
+   * @param {Object} options - { onCall, signal } (see _run)
+   * @returns {Promise<any>} Result of evaluation
    */
-  executeSync(expression, resolvedVars = {}) {
+  async executeSync(expression, resolvedVars = {}, options = {}) {
     try {
       // Literal values pass through unchanged
       if (expression === null || expression === undefined) return expression;
@@ -90,33 +450,7 @@ class ExecutionSandbox {
 
       logger.log("Executing sync");
 
-      const context = this.buildContext(resolvedVars);
-      
-      // Generate cache key including expression hash
-      const exprHash = this._hashExpression(expression);
-      const integrationKeys = Object.keys(context.integrations).sort().join(', ');
-      const mathKeys = Object.keys(context.math).sort().join(', ');
-      const cacheKey = `sync:${exprHash}:${integrationKeys}|${mathKeys}`;
-
-      // Check if this evaluator is cached
-      let evaluator = this.functionCache.get(cacheKey);
-      
-      if (!evaluator) {
-        // Create new evaluator and cache it
-        evaluator = new Function(
-          'context',
-          `
-            const { ${integrationKeys} } = context.integrations;
-            const { ${mathKeys} } = context.math;
-            with (context.variables) {
-              return (${expression});
-            }
-          `
-        );
-        this._setCacheEntry(cacheKey, evaluator);
-      }
-      
-      const result = evaluator(context);
+      const result = await this._run('sync', expression, { variables: resolvedVars, onCall: options.onCall, signal: options.signal ?? null });
       logger.log('Result:', result);
       return result;
     } catch (error) {
@@ -129,9 +463,10 @@ class ExecutionSandbox {
    * Execute an async expression
    * @param {string|number|boolean} expression - Code to execute (may contain await)
    * @param {Object} resolvedVars - Variables available in scope
+   * @param {Object} options - { onCall, signal } (see _run)
    * @returns {Promise<any>} Result of evaluation
    */
-  async executeAsync(expression, resolvedVars = {}) {
+  async executeAsync(expression, resolvedVars = {}, options = {}) {
     try {
       // Literal values pass through unchanged
       if (expression === null || expression === undefined) return expression;
@@ -140,41 +475,13 @@ class ExecutionSandbox {
 
       logger.log("Executing async");
 
-      const context = this.buildContext(resolvedVars);
-      
       // Process expression to auto-await integration calls using pre-compiled regex
       let processed = expression;
-      for (const [integrationName, regex] of INTEGRATION_REGEX_MAP.entries()) {
+      for (const regex of INTEGRATION_REGEX_MAP.values()) {
         processed = processed.replace(regex, (match, methodCall) => `await ${methodCall}(`);
       }
 
-      // Generate cache key including expression hash
-      const exprHash = this._hashExpression(processed);
-      const integrationKeys = Object.keys(context.integrations).sort().join(', ');
-      const mathKeys = Object.keys(context.math).sort().join(', ');
-      const cacheKey = `async:${exprHash}:${integrationKeys}|${mathKeys}`;
-
-      // Check if this evaluator is cached
-      let evaluator = this.functionCache.get(cacheKey);
-      
-      if (!evaluator) {
-        // Create new evaluator and cache it
-        evaluator = new Function(
-          'context',
-          `
-            return (async () => {
-              const { ${integrationKeys} } = context.integrations;
-              const { ${mathKeys} } = context.math;
-              with (context.variables) {
-                return (${processed});
-              }
-            })();
-          `
-        );
-        this._setCacheEntry(cacheKey, evaluator);
-      }
-      
-      const result = await evaluator(context);
+      const result = await this._run('async', processed, { variables: resolvedVars, onCall: options.onCall, signal: options.signal ?? null });
       logger.log('Result:', result);
       return result;
     } catch (error) {
@@ -187,50 +494,27 @@ class ExecutionSandbox {
    * Execute arbitrary code in sandbox
    * For command execution (not expression evaluation)
    * @param {string|string[]} code - Code to execute
-   * @param {Object} context - Execution context with integrations, math, variables
-   * @returns {Promise<any>} Result of execution
+   * @param {Object} context - Execution context with integrations, variables, helpers
+   * @param {Object} options - { signal, timeout (ms, 0 = none), label, onCall, onCallEnd, batch } — an aborted or
+   *   timed-out run rejects with an error named AbortError / TimeoutError
+   * @returns {Promise<void>}
    */
-  async executeCommand(code, context = {}) {
+  async executeCommand(code, context = {}, options = {}) {
     try {
       const script = Array.isArray(code) ? code.join('\n') : code;
       logger.log("Executing command");
 
-      const fullContext = {
-        integrations: context.integrations || getExpressionContext(),
-        math,
+      await this._run('command', script, {
         variables: context.variables || {},
+        integrations: context.integrations || getExpressionContext(),
         helpers: context.helpers || {},
-      };
-
-      // Generate cache key including code hash
-      const codeHash = this._hashExpression(script);
-      const integrationKeys = Object.keys(fullContext.integrations).sort().join(', ');
-      const mathKeys = Object.keys(fullContext.math).sort().join(', ');
-      const cacheKey = `cmd:${codeHash}:${integrationKeys}|${mathKeys}`;
-
-      // Check if this executor is cached
-      let executor = this.functionCache.get(cacheKey);
-      
-      if (!executor) {
-        // Create new executor and cache it
-        executor = new Function(
-          'context',
-          `
-            return (async () => {
-              const { ${integrationKeys} } = context.integrations;
-              const { ${mathKeys} } = context.math;
-              with (context.helpers) {
-                with (context.variables) {
-                  ${script}
-                }
-              }
-            })();
-          `
-        );
-        this._setCacheEntry(cacheKey, executor);
-      }
-
-      return await executor(fullContext);
+        signal: options.signal ?? null,
+        timeout: options.timeout ?? 0,
+        label: options.label,
+        onCall: options.onCall,
+        onCallEnd: options.onCallEnd,
+        batch: options.batch ?? null,
+      });
     } catch (error) {
       logger.error('Command execution error:', error);
       throw error;
@@ -242,4 +526,3 @@ class ExecutionSandbox {
 export const executionSandbox = new ExecutionSandbox();
 
 export default ExecutionSandbox;
-
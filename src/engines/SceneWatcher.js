@@ -0,0 +1,128 @@
+/**
+ * SceneWatcher - Detects scene item, scene metadata and room metadata changes
+ *
+ * Keeps a snapshot of what OBR last reported and emits
+ * `scene:inputsChanged` (changes) with the change descriptors described in
+ * reactiveInputs.js, so variables reading those inputs can be re-resolved.
+ * Bursts of OBR events are coalesced into a single emit.
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import { eventBus } from "../events/EventBus.js";
+import { createDebugLogger } from "../debugMode.js";
+import { diffItems, diffMetadata, snapshotItem } from "./reactiveInputs.js";
+
+const logger = createDebugLogger('SceneWatcher');
+
+const FLUSH_DELAY_MS = 100;
+
+class SceneWatcher {
+  constructor() {
+    this.items = null;         // Map<id, snapshot>, null until the scene is ready
+    this.sceneMetadata = null;
+    this.roomMetadata = null;
+    this.pendingChanges = [];
+    this.flushTimer = null;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Subscribe to OBR change events (call once OBR is ready)
+   */
+  async start() {
+    if (this.unsubscribers.length > 0) return;
+
+    this.unsubscribers.push(
+      OBR.scene.items.onChange(items => this._onItemsChange(items)),
+      OBR.scene.onMetadataChange(metadata => this._onSceneMetadataChange(metadata)),
+      OBR.room.onMetadataChange(metadata => this._onRoomMetadataChange(metadata)),
+      OBR.scene.onReadyChange(ready => this._onSceneReadyChange(ready)),
+    );
+
+    try {
+      this.roomMetadata = await OBR.room.getMetadata();
+      if (await OBR.scene.isReady()) await this._takeSceneSnapshot();
+    } catch (error) {
+      logger.warn('Initial snapshot failed:', error);
+    }
+
+    logger.log('Watching scene and room changes');
+  }
+
+  /**
+   * Unsubscribe from OBR events and drop snapshots
+   */
+  stop() {
+    this.unsubscribers.forEach(unsub => { try { unsub?.(); } catch { /* ignore */ } });
+    this.unsubscribers = [];
+    clearTimeout(this.flushTimer);
+    this.pendingChanges = [];
+    this.items = null;
+    this.sceneMetadata = null;
+    this.roomMetadata = null;
+  }
+
+  async _takeSceneSnapshot() {
+    const [items, metadata] = await Promise.all([OBR.scene.items.getItems(), OBR.scene.getMetadata()]);
+    this.items = new Map(items.map(item => [item.id, snapshotItem(item)]));
+    this.sceneMetadata = metadata;
+  }
+
+  _onSceneReadyChange(ready) {
+    // A new scene: everything read from the previous one is stale
+    const previous = this.items ?? new Map();
+    const previousMetadata = this.sceneMetadata ?? {};
+    this.items = null;
+    this.sceneMetadata = null;
+
+    if (!ready) {
+      this._queue([...diffItems(previous, new Map()), { source: 'scene', keys: diffMetadata(previousMetadata, {}) }]);
+      return;
+    }
+    this._takeSceneSnapshot()
+      .then(() => this._queue([
+        ...diffItems(previous, this.items),
+        { source: 'scene', keys: diffMetadata(previousMetadata, this.sceneMetadata) },
+      ]))
+      .catch(error => logger.warn('Scene snapshot failed:', error));
+  }
+
+  _onItemsChange(items) {
+    const next = new Map(items.map(item => [item.id, snapshotItem(item)]));
+    const previous = this.items;
+    this.items = next;
+    // First report after a scene load: the ready handler emits the diff
+    if (previous) this._queue(diffItems(previous, next));
+  }
+
+  _onSceneMetadataChange(metadata) {
+    const previous = this.sceneMetadata;
+    this.sceneMetadata = metadata;
+    if (previous) this._queue([{ source: 'scene', keys: diffMetadata(previous, metadata) }]);
+  }
+
+  _onRoomMetadataChange(metadata) {
+    const previous = this.roomMetadata;
+    this.roomMetadata = metadata;
+    if (previous) this._queue([{ source: 'room', keys: diffMetadata(previous, metadata) }]);
+  }
+
+  _queue(changes) {
+    const relevant = changes.filter(change => change.keys === null || change.keys.size > 0 || change.props);
+    if (relevant.length === 0) return;
+
+    this.pendingChanges.push(...relevant);
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => {
+      const pending = this.pendingChanges;
+      this.pendingChanges = [];
+      logger.log(`Emitting ${pending.length} change(s)`);
+      eventBus.emit('scene:inputsChanged', pending);
+    }, FLUSH_DELAY_MS);
+  }
+}
+
+// Singleton instance
+export const sceneWatcher = new SceneWatcher();
+
+export default SceneWatcher;
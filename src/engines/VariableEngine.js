@@ -14,19 +14,42 @@ import * as math from "mathjs";
 import { executionSandbox } from "./ExecutionSandbox.js";
 import { eventBus } from "../events/EventBus.js";
 import { variableStore } from "../stores/VariableStore.js";
+import { sharedVariableStore } from "../stores/SharedVariableStore.js";
+import { sceneVariableStore } from "../stores/SceneVariableStore.js";
 import { createDebugLogger } from "../debugMode.js";
-import { ASYNC_INTEGRATION_NAMES } from "../constants.js";
+import { ASYNC_INTEGRATION_NAMES, MAX_CONCURRENT_RESOLUTIONS } from "../constants.js";
+import {
+  analyzeExpression,
+  analyzeCommand,
+  scanIdentifiers,
+  getExpressionDependencies,
+  buildDependencyGraph,
+  findDependencyCycles,
+  formatCycle,
+} from "./dependencyAnalyzer.js";
+import { createErrorValue, isErrorValue } from "./errorValues.js";
+import { getCallInputs, inputsChanged } from "./reactiveInputs.js";
 
 const logger = createDebugLogger('VariableEngine');
 
 // Cache for dependency graphs
 const dependencyCache = new WeakMap();
+// Cyclic variables per dependency graph: graph -> Map(varName -> cycle path)
+const cycleCache = new WeakMap();
+// Scene inputs read by the last evaluation: variablesConfig -> Map(varName -> inputs)
+const inputsCache = new WeakMap();
+// Runtime values taking the place of a definition: variablesConfig -> Map(varName -> value)
+const overrides = new WeakMap();
+
+// Variable scopes whose values live outside the config (`scope` of a variable definition)
+const SCOPE_STORES = {
+  shared: sharedVariableStore,
+  scene: sceneVariableStore,
+};
 
 // Pre-compiled regex patterns
 const REGEX_PATTERNS = {
   awaitKeyword: /\bawait\s+/,
-  thisReference: /\bthis\.(\w+)/g,
-  variableIdentifier: /\b([a-z_][a-zA-Z0-9_]*)\b/g,
 };
 
 // Build integration detection regex map
@@ -35,6 +58,22 @@ ASYNC_INTEGRATION_NAMES.forEach(name => {
   INTEGRATION_REGEX_MAP.set(name, new RegExp(`\\b${name}\\.\\w+`, 'g'));
 });
 
+/**
+ * Run an async task for each item with at most `limit` tasks in flight
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} task - async (item) => void
+ */
+async function runWithConcurrency(items, limit, task) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
 class VariableEngine {
   constructor() {
     // Event listeners for variable changes
@@ -94,53 +133,25 @@ class VariableEngine {
   }
 
   /**
-   * Track variable dependencies through static identifier analysis.
+   * Track variable dependencies through static, scope-aware analysis.
    * This avoids evaluating expressions during graph construction.
    * @param {string} expression - Expression to analyze
    * @param {Object} variablesConfig - Variable definitions (needed for structure)
    * @returns {Set} Set of variable names actually used
    */
   _trackDependencies(expression, variablesConfig = {}) {
-    const trackedVars = new Set();
-    const varNames = Object.keys(variablesConfig || {});
-    const varSet = new Set(varNames);
-
-    if (!expression || typeof expression !== 'string') {
-      return trackedVars;
-    }
-
-    // Track explicit this.var references first.
-    const thisRefs = expression.matchAll(REGEX_PATTERNS.thisReference);
-    for (const match of thisRefs) {
-      const refName = match[1];
-      if (varSet.has(refName)) {
-        trackedVars.add(refName);
-      }
-    }
-
-    // Ignore quoted string literals to reduce false positives from labels/sheet names.
-    const expressionWithoutQuotedStrings = expression
-      .replace(/"(?:\\.|[^"\\])*"/g, ' ')
-      .replace(/'(?:\\.|[^'\\])*'/g, ' ');
-
-    const identifiers = expressionWithoutQuotedStrings.matchAll(REGEX_PATTERNS.variableIdentifier);
-    for (const match of identifiers) {
-      const identifier = match[1];
-      if (varSet.has(identifier)) {
-        trackedVars.add(identifier);
-      }
-    }
-
-    return trackedVars;
+    return getExpressionDependencies(expression, new Set(Object.keys(variablesConfig || {})));
   }
 
   /**
    * Evaluate a single expression
    * @param {string|number|boolean} expression - Expression to evaluate
    * @param {Object} resolvedVars - Variables available in scope
-   * @returns {Promise<any>} Result
+   * @param {Object} options - { onCall, signal } observer of integration calls and
+   *   AbortSignal stopping the evaluation (see ExecutionSandbox._run)
+   * @returns {Promise<any>} Result, or an error value (see errorValues.js) if evaluation failed
    */
-  async evaluateExpression(expression, resolvedVars = {}) {
+  async evaluateExpression(expression, resolvedVars = {}, options = {}) {
     try {
       // Literal values pass through unchanged
       if (expression === null || expression === undefined) return expression;
@@ -154,13 +165,16 @@ class VariableEngine {
 
       // Execute through sandbox
       const result = hasAsync
-        ? await executionSandbox.executeAsync(expression, resolvedVars)
-        : executionSandbox.executeSync(expression, resolvedVars);
+        ? await executionSandbox.executeAsync(expression, resolvedVars, options)
+        : await executionSandbox.executeSync(expression, resolvedVars, options);
 
       return result;
     } catch (error) {
       logger.error('Evaluation error:', error);
-      return null;
+      return createErrorValue('evaluation', error?.message ?? String(error), {
+        expression: String(expression),
+        call: error?.call ?? null,
+      });
     }
   }
 
@@ -191,53 +205,46 @@ class VariableEngine {
       return dependencyCache.get(variablesConfig);
     }
 
-    const dependencies = new Map();
-    const varNames = Object.keys(variablesConfig || {});
-
-    for (const [varName, varConfig] of Object.entries(variablesConfig || {})) {
-      const deps = [];
-
-      if (varConfig.eval) {
-        const expr = String(varConfig.eval);
-
-        // Use tracking to detect actual dependencies
-        let trackedDeps = this._trackDependencies(expr, variablesConfig);
+    const dependencies = buildDependencyGraph(variablesConfig);
+    dependencyCache.set(variablesConfig, dependencies);
+    return dependencies;
+  }
 
-        // Filter out self-references
-        for (const depVar of trackedDeps) {
-          if (depVar !== varName && !deps.includes(depVar)) {
-            deps.push(depVar);
-          }
-        }
+  /**
+   * Find dependency cycles of a variables map
+   * @param {Object} variablesConfig - Variable definitions
+   * @returns {Map<string, string[]>} Cyclic variable -> cycle path it belongs to
+   */
+  getCyclicVariables(variablesConfig) {
+    const dependencies = this._buildDependencyGraph(variablesConfig || {});
+    if (cycleCache.has(dependencies)) {
+      return cycleCache.get(dependencies);
+    }
 
-        // Fallback: if tracking found nothing, use this.varName references as backup
-        if (deps.length === 0) {
-          const thisRefs = expr.match(REGEX_PATTERNS.thisReference) || [];
-          for (const ref of thisRefs) {
-            const depVar = ref.replace('this.', '');
-            if (depVar in variablesConfig && depVar !== varName) {
-              deps.push(depVar);
-            }
-          }
-        }
+    const cyclic = new Map();
+    for (const cycle of findDependencyCycles(dependencies)) {
+      logger.warn('Circular dependency:', formatCycle(cycle));
+      for (const varName of cycle) {
+        if (!cyclic.has(varName)) cyclic.set(varName, cycle);
       }
-
-      dependencies.set(varName, deps);
     }
 
-    dependencyCache.set(variablesConfig, dependencies);
-    return dependencies;
+    cycleCache.set(dependencies, cyclic);
+    return cyclic;
   }
 
   /**
-   * Resolve variables in dependency order
+   * Resolve variables in dependency order (independent ones concurrently)
    * @param {Object} variablesConfig - Variable definitions
    * @param {Object} resolvedVars - Already-resolved variables
    * @param {Set} varsToResolve - Only resolve these (optional)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the resolution: it rejects with the signal's reason
    * @returns {Promise<Object>} All resolved variables
    */
-  async resolveVariables(variablesConfig, resolvedVars = {}, varsToResolve = null) {
+  async resolveVariables(variablesConfig, resolvedVars = {}, varsToResolve = null, { signal = null } = {}) {
     if (!variablesConfig) return resolvedVars;
+    signal?.throwIfAborted();
 
     const resolved = { ...resolvedVars };
     const dependencies = this._buildDependencyGraph(variablesConfig);
@@ -263,50 +270,205 @@ class VariableEngine {
 
     // Topological sort
     const sorted = this._topologicalSort(dependencies, toResolve, variablesConfig);
+    const cyclic = this.getCyclicVariables(variablesConfig);
 
-    // Resolve in order
-    for (const varName of sorted) {
-      const varConfig = variablesConfig[varName];
-
-      try {
-        let value;
-        const oldValue = resolved[varName];
-
-        if (varConfig.value !== undefined) {
-          value = varConfig.value;
-        } else if (varConfig.eval !== undefined) {
-          value = await this.evaluateExpression(varConfig.eval, resolved);
-        } else {
-          value = null;
-        }
+    // Resolve level by level: variables of the same level do not depend on
+    // each other and are evaluated concurrently (bounded for OBR rate limits)
+    const levels = this._groupByLevel(sorted, dependencies);
+    for (const level of levels) {
+      await runWithConcurrency(level, MAX_CONCURRENT_RESOLUTIONS, async (varName) => {
+        const varConfig = variablesConfig[varName];
+
+        try {
+          let value;
+          const oldValue = resolved[varName];
+
+          // A shared or scene variable is re-resolved when its stored value changes
+          const scopeStore = SCOPE_STORES[varConfig.scope];
+          const scopeInputs = scopeStore?.getInputs(varName) ?? [];
+
+          const override = overrides.get(variablesConfig);
+
+          if (override?.has(varName)) {
+            value = override.get(varName);
+            this._recordInputs(variablesConfig, varName, []);
+          } else if (scopeStore?.has(varName)) {
+            value = scopeStore.get(varName);
+            this._recordInputs(variablesConfig, varName, scopeInputs);
+          } else if (varConfig.value !== undefined) {
+            value = varConfig.value;
+            this._recordInputs(variablesConfig, varName, scopeInputs);
+          } else if (cyclic.has(varName)) {
+            const cycle = cyclic.get(varName);
+            value = createErrorValue('cycle', `Circular dependency: ${formatCycle(cycle)}`, { cycle });
+          } else if (varConfig.eval !== undefined) {
+            const failedDep = this._findFailedDependency(varConfig.eval, resolved);
+            if (failedDep) {
+              value = this._dependencyError(varConfig.eval, failedDep, resolved[failedDep]);
+            } else {
+              const inputs = [...scopeInputs];
+              const onCall = (call) => inputs.push(...getCallInputs(call));
+              value = await this.evaluateExpression(varConfig.eval, resolved, { onCall, signal });
+              this._recordInputs(variablesConfig, varName, inputs);
+            }
+          } else {
+            value = null;
+          }
 
-        resolved[varName] = value;
+          // Stopped meanwhile: the value may be the cancellation, not a result
+          if (signal?.aborted) return;
+          resolved[varName] = value;
 
-        // Notify listeners and emit event for variable resolution
-        if (oldValue !== value) {
-          this._notifyVariableChange(varName, oldValue, value);
+          // Notify listeners and emit event for variable resolution
+          if (oldValue !== value) {
+            this._notifyVariableChange(varName, oldValue, value);
+          }
+          eventBus.emit('engine:variableResolved', varName, value);
+        } catch (error) {
+          if (signal?.aborted) return;
+          logger.error('Error resolving variable:', varName, error);
+          resolved[varName] = createErrorValue('evaluation', error?.message ?? String(error), {
+            expression: varConfig?.eval !== undefined ? String(varConfig.eval) : null,
+          });
+          eventBus.emit('engine:variableResolved', varName, resolved[varName]);
         }
-        eventBus.emit('engine:variableResolved', varName, value);
-      } catch (error) {
-        logger.error('Error resolving variable:', varName, error);
-        resolved[varName] = null;
-      }
+      });
+      signal?.throwIfAborted();
     }
 
     return resolved;
   }
 
   /**
-   * Topological sort of variables
+   * Give a variable a runtime value, used instead of its definition (value,
+   * eval, shared or scene value) until cleared. The definition is untouched,
+   * so the value is never saved with the config (e.g. the item a page is bound to)
+   * @param {Object} variablesConfig - Variable definitions
+   * @param {string} varName - Variable name
+   * @param {*} value - Value, or undefined to go back to the definition
+   * @returns {boolean} Whether the value changed
+   */
+  setOverride(variablesConfig, varName, value) {
+    if (!overrides.has(variablesConfig)) overrides.set(variablesConfig, new Map());
+    const byVar = overrides.get(variablesConfig);
+    if (value === undefined) return byVar.delete(varName);
+    if (byVar.has(varName) && byVar.get(varName) === value) return false;
+    byVar.set(varName, value);
+    return true;
+  }
+
+  /**
+   * Remember the scene inputs a variable read during its last evaluation
+   */
+  _recordInputs(variablesConfig, varName, inputs) {
+    if (!inputsCache.has(variablesConfig)) inputsCache.set(variablesConfig, new Map());
+    const byVar = inputsCache.get(variablesConfig);
+    if (inputs.length > 0) byVar.set(varName, inputs);
+    else byVar.delete(varName);
+  }
+
+  /**
+   * Get variables whose last evaluation read an input touched by the changes
+   * @param {Object} variablesConfig - Variable definitions
+   * @param {Array<Object>} changes - Change descriptors (see reactiveInputs.js)
+   * @returns {Set<string>} Variable names to re-resolve (dependents not included)
+   */
+  getVariablesForChanges(variablesConfig, changes) {
+    const changed = new Set();
+    const byVar = variablesConfig && inputsCache.get(variablesConfig);
+    if (!byVar) return changed;
+
+    for (const [varName, inputs] of byVar) {
+      if (varName in variablesConfig && inputsChanged(inputs, changes)) changed.add(varName);
+    }
+    return changed;
+  }
+
+  /**
+   * Get variables whose expression reads one of the given names
+   * (e.g. page variables reading a global variable that changed)
+   * @param {Object} variablesConfig - Variable definitions
+   * @param {Iterable<string>} names - Names to look for
+   * @returns {Set<string>}
+   */
+  getVariablesReading(variablesConfig, names) {
+    const readers = new Set();
+    const nameSet = new Set(names);
+    if (!variablesConfig || nameSet.size === 0) return readers;
+
+    for (const [varName, varConfig] of Object.entries(variablesConfig)) {
+      if (varConfig?.eval === undefined || varConfig.eval === null) continue;
+      if (getExpressionDependencies(String(varConfig.eval), nameSet).size > 0) readers.add(varName);
+    }
+    return readers;
+  }
+
+  /**
+   * Find a variable read by an expression whose resolved value is an error
+   * @param {string} expression - Expression to check
+   * @param {Object} resolved - Resolved variables (page and global)
+   * @returns {string|null} Name of the first failed dependency
+   */
+  _findFailedDependency(expression, resolved) {
+    const failed = new Set(Object.keys(resolved).filter(name => isErrorValue(resolved[name])));
+    if (failed.size === 0) return null;
+    const [first] = getExpressionDependencies(String(expression), failed);
+    return first ?? null;
+  }
+
+  /**
+   * Error value for an expression that reads a failed variable.
+   * Keeps the root cause so the tooltip explains the original failure.
+   */
+  _dependencyError(expression, depName, depValue) {
+    const depError = depValue.$error;
+    return createErrorValue('dependency', `Depends on "${depName}", which failed`, {
+      expression: String(expression),
+      dependency: depError.dependency ?? depName,
+      cause: depError.cause ?? depError,
+    });
+  }
+
+  /**
+   * Group topologically sorted variables into levels: a variable's level is one
+   * more than the highest level among the dependencies being resolved with it.
+   * Back edges (cycles) are ignored, matching _topologicalSort.
+   * @param {string[]} sorted - Output of _topologicalSort
+   * @param {Map<string, string[]>} dependencies - Dependency graph
+   * @returns {string[][]} Levels, in resolution order
+   */
+  _groupByLevel(sorted, dependencies) {
+    const levelOf = new Map();
+    const levels = [];
+
+    for (const varName of sorted) {
+      let level = 0;
+      for (const dep of dependencies.get(varName) || []) {
+        if (levelOf.has(dep)) level = Math.max(level, levelOf.get(dep) + 1);
+      }
+      levelOf.set(varName, level);
+      (levels[level] ??= []).push(varName);
+    }
+
+    return levels;
+  }
+
+  /**
+   * Topological sort of variables.
+   * Back edges (cycles, see getCyclicVariables) are skipped so every variable
+   * is still visited exactly once.
    */
   _topologicalSort(dependencies, varsToResolve, variablesConfig) {
     const sorted = [];
     const completed = new Set();
+    const visiting = new Set();
 
     const visit = (varName) => {
-      if (completed.has(varName)) return;
+      if (completed.has(varName) || visiting.has(varName)) return;
+      visiting.add(varName);
       const deps = dependencies.get(varName) || [];
       for (const dep of deps) visit(dep);
+      visiting.delete(varName);
       completed.add(varName);
       sorted.push(varName);
     };
@@ -323,50 +485,38 @@ class VariableEngine {
   }
 
   /**
-   * Get variables used in commands
+   * Get variables used in commands (free identifiers of the whole script)
    */
   getVariablesUsedInCommands(commands) {
-    const usedVars = new Set();
-
-    for (const cmd of commands) {
-      const cmdStr = String(cmd);
-      // Match variable identifiers using pre-compiled regex
-      const matches = cmdStr.matchAll(REGEX_PATTERNS.variableIdentifier);
-      for (const match of matches) {
-        usedVars.add(match[1]);
-      }
+    const analysis = analyzeCommand(commands.map(String));
+
+    if (!analysis.parsed) {
+      return scanIdentifiers(commands.join('\n'));
     }
 
-    return usedVars;
+    return new Set([...analysis.free, ...analysis.thisMembers]);
   }
 
   /**
-   * Get variables affected by commands (those using integrations)
+   * Get variables affected by commands (those using the integrations the commands call)
    */
   getAffectedVariables(commands, variablesConfig) {
     const affected = new Set();
     if (!variablesConfig) return affected;
 
-    // Find integration calls in commands
-    const integrationCalls = new Set();
-    for (const cmd of commands) {
-      const cmdStr = String(cmd);
-      for (const [integration, regex] of INTEGRATION_REGEX_MAP.entries()) {
-        if (regex.test(cmdStr)) {
-          integrationCalls.add(integration);
-          regex.lastIndex = 0; // Reset regex state
-        }
-      }
-    }
+    // Find integrations referenced by the commands
+    const usedNames = this.getVariablesUsedInCommands(commands);
+    const integrationCalls = ASYNC_INTEGRATION_NAMES.filter(name => usedNames.has(name));
+    if (integrationCalls.length === 0) return affected;
 
-    // Find variables that use these integrations
+    // Find variables that read these integrations
     for (const [varName, varConfig] of Object.entries(variablesConfig)) {
-      const expr = String(varConfig.eval || '');
-      for (const integration of integrationCalls) {
-        if (expr.includes(integration + '.')) {
-          affected.add(varName);
-          break;
-        }
+      if (varConfig.eval === undefined || varConfig.eval === null) continue;
+      const expr = String(varConfig.eval);
+      const analysis = analyzeExpression(expr);
+      const exprNames = analysis.parsed ? analysis.free : scanIdentifiers(expr);
+      if (integrationCalls.some(name => exprNames.has(name))) {
+        affected.add(varName);
       }
     }
 
@@ -0,0 +1,533 @@
+/**
+ * dependencyAnalyzer - Scope-aware static analysis of expressions and commands
+ *
+ * Parses user code with acorn (wrapped the same way ExecutionSandbox runs it)
+ * and reports its free variables: identifiers that are read or written but
+ * not declared locally. Object keys, member properties, labels and local
+ * bindings (const/let/var, params, catch, functions, classes) are ignored;
+ * template literals and `this.x` / `this['x']` accesses are understood.
+ */
+
+import { parse } from "acorn";
+import { createDebugLogger } from "../debugMode.js";
+
+const logger = createDebugLogger('dependencyAnalyzer');
+
+// Analysis cache: `${mode}:${code}` -> result (max 500 entries)
+const analysisCache = new Map();
+const MAX_CACHE_SIZE = 500;
+
+/**
+ * @typedef {Object} CodeAnalysis
+ * @property {boolean} parsed - False when the code could not be parsed
+ * @property {Set<string>} free - Free identifiers (globals the code relies on)
+ * @property {Set<string>} thisMembers - Properties read through top-level `this`
+ * @property {boolean} dynamicThis - True if `this[expr]` uses a non-literal key
+ * @property {Map<string, Set<string>>} members - Free identifier -> accessed property names
+ *   ('*' for computed access with a non-literal key)
+ */
+
+/**
+ * Analyze an expression (evaluated as `(<code>)` inside an async function)
+ * @param {string} code
+ * @returns {CodeAnalysis}
+ */
+export function analyzeExpression(code) {
+  return analyze(code, 'expression');
+}
+
+/**
+ * Analyze a command script (evaluated as the body of an async function)
+ * @param {string|string[]} code
+ * @returns {CodeAnalysis}
+ */
+export function analyzeCommand(code) {
+  return analyze(Array.isArray(code) ? code.join('\n') : code, 'command');
+}
+
+function analyze(code, mode) {
+  const source = String(code ?? '');
+  const cacheKey = `${mode}:${source}`;
+  const cached = analysisCache.get(cacheKey);
+  if (cached) return cached;
+
+  const result = { parsed: true, free: new Set(), thisMembers: new Set(), dynamicThis: false, members: new Map() };
+
+  try {
+    const wrapped = mode === 'command'
+      ? `(async () => {\n${source}\n})`
+      : `(async () => (\n${source}\n))`;
+    const ast = parse(wrapped, { ecmaVersion: 'latest', sourceType: 'script' });
+    new ScopeWalker(result).walkProgram(ast);
+  } catch (error) {
+    logger.warn('Could not parse code for dependency analysis:', error.message);
+    result.parsed = false;
+  }
+
+  if (analysisCache.size >= MAX_CACHE_SIZE) {
+    analysisCache.delete(analysisCache.keys().next().value);
+  }
+  analysisCache.set(cacheKey, result);
+  return result;
+}
+
+// ============================================================================
+// DEPENDENCY GRAPH
+// ============================================================================
+
+const IDENTIFIER_PATTERN = /\b([a-z_][a-zA-Z0-9_]*)\b/g;
+
+/**
+ * Fallback for code that does not parse: match identifiers outside quoted strings.
+ * The code will fail at evaluation anyway; this only keeps the graph stable.
+ * @param {string} code - Code to scan
+ * @param {Set<string>} [knownNames] - Keep only these names (all identifiers if omitted)
+ * @returns {Set<string>} Matched identifiers
+ */
+export function scanIdentifiers(code, knownNames = null) {
+  const found = new Set();
+  const withoutQuotedStrings = String(code)
+    .replace(/"(?:\\.|[^"\\])*"/g, ' ')
+    .replace(/'(?:\\.|[^'\\])*'/g, ' ');
+
+  for (const match of withoutQuotedStrings.matchAll(IDENTIFIER_PATTERN)) {
+    if (!knownNames || knownNames.has(match[1])) {
+      found.add(match[1]);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Variables an expression depends on
+ * @param {string} expression - Expression to analyze
+ * @param {Set<string>} varNames - Names of the variables in scope
+ * @returns {Set<string>} Subset of varNames read by the expression
+ */
+export function getExpressionDependencies(expression, varNames) {
+  if (!expression || typeof expression !== 'string') return new Set();
+
+  const analysis = analyzeExpression(expression);
+  if (!analysis.parsed) return scanIdentifiers(expression, varNames);
+
+  // Computed this[expr] access may read any variable
+  if (analysis.dynamicThis) return new Set(varNames);
+
+  const deps = new Set();
+  for (const name of [...analysis.free, ...analysis.thisMembers]) {
+    if (varNames.has(name)) deps.add(name);
+  }
+  return deps;
+}
+
+/**
+ * Build the dependency graph of a variables map. A variable reading itself
+ * keeps its self-edge: findDependencyCycles reports it as the cycle a → a
+ * @param {Object} variablesConfig - Variable definitions
+ * @returns {Map<string, string[]>} varName -> names it depends on
+ */
+export function buildDependencyGraph(variablesConfig) {
+  const dependencies = new Map();
+  const varNames = new Set(Object.keys(variablesConfig || {}));
+
+  for (const [varName, varConfig] of Object.entries(variablesConfig || {})) {
+    const deps = varConfig?.eval ? [...getExpressionDependencies(String(varConfig.eval), varNames)] : [];
+    dependencies.set(varName, deps);
+  }
+
+  return dependencies;
+}
+
+/**
+ * Find every elementary cycle reachable in a dependency graph (DFS back edges)
+ * @param {Map<string, string[]>} dependencies - Graph from buildDependencyGraph
+ * @returns {string[][]} Cycle paths, closed on their first node: ['a', 'b', 'c', 'a']
+ */
+export function findDependencyCycles(dependencies) {
+  const cycles = [];
+  const seen = new Set();
+  const done = new Set();
+  const stack = [];
+  const onStack = new Set();
+
+  const visit = (node) => {
+    stack.push(node);
+    onStack.add(node);
+
+    for (const dep of dependencies.get(node) || []) {
+      if (onStack.has(dep)) {
+        const cycle = stack.slice(stack.indexOf(dep));
+        // Same cycle found from another entry point: compare by rotation
+        const start = cycle.indexOf([...cycle].sort()[0]);
+        const key = [...cycle.slice(start), ...cycle.slice(0, start)].join('\u0000');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push([...cycle, dep]);
+        }
+      } else if (!done.has(dep) && dependencies.has(dep)) {
+        visit(dep);
+      }
+    }
+
+    stack.pop();
+    onStack.delete(node);
+    done.add(node);
+  };
+
+  for (const node of dependencies.keys()) {
+    if (!done.has(node)) visit(node);
+  }
+
+  return cycles;
+}
+
+/**
+ * Format a cycle path for display
+ * @param {string[]} cycle - e.g. ['a', 'b', 'a']
+ * @returns {string} "a → b → a"
+ */
+export function formatCycle(cycle) {
+  return cycle.join(' → ');
+}
+
+// ============================================================================
+// SCOPE WALKER
+// ============================================================================
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+class Scope {
+  constructor(parent, isFunction) {
+    this.parent = parent;
+    this.isFunction = isFunction;
+    this.names = new Set();
+  }
+
+  has(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.names.has(name)) return true;
+    }
+    return false;
+  }
+
+  functionScope() {
+    let scope = this;
+    while (!scope.isFunction && scope.parent) scope = scope.parent;
+    return scope;
+  }
+}
+
+class ScopeWalker {
+  constructor(result) {
+    this.result = result;
+    // Depth of non-arrow functions: `this` only refers to the variables object at depth 0
+    this.thisDepth = 0;
+  }
+
+  walkProgram(ast) {
+    const scope = new Scope(null, true);
+    this.hoist(ast.body, scope);
+    for (const statement of ast.body) this.walk(statement, scope);
+  }
+
+  // ── Declarations ──────────────────────────────────────────────────────────
+
+  /**
+   * Declare the bindings of a statement list in their scopes
+   * (var/function hoisting, let/const/class at block level)
+   */
+  hoist(statements, scope) {
+    for (const statement of statements) {
+      this.hoistStatement(statement, scope, scope);
+    }
+  }
+
+  hoistStatement(node, blockScope, lexicalScope) {
+    if (!node) return;
+    switch (node.type) {
+      case 'VariableDeclaration': {
+        const target = node.kind === 'var' ? blockScope.functionScope() : lexicalScope;
+        for (const decl of node.declarations) this.declarePattern(decl.id, target);
+        break;
+      }
+      case 'FunctionDeclaration':
+      case 'ClassDeclaration':
+        if (node.id) lexicalScope.names.add(node.id.name);
+        break;
+      // `var` inside nested statements still hoists to the function scope
+      case 'IfStatement':
+        this.hoistVar(node.consequent, blockScope);
+        this.hoistVar(node.alternate, blockScope);
+        break;
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+      case 'LabeledStatement':
+      case 'TryStatement':
+      case 'SwitchStatement':
+      case 'BlockStatement':
+        this.hoistVar(node, blockScope);
+        break;
+    }
+  }
+
+  /**
+   * Find nested `var` declarations (not crossing function boundaries)
+   */
+  hoistVar(node, scope) {
+    if (!node || typeof node.type !== 'string' || FUNCTION_TYPES.has(node.type)) return;
+    if (node.type === 'VariableDeclaration') {
+      if (node.kind === 'var') {
+        for (const decl of node.declarations) this.declarePattern(decl.id, scope.functionScope());
+      }
+      return;
+    }
+    for (const child of childNodes(node)) this.hoistVar(child, scope);
+  }
+
+  /**
+   * Declare every identifier bound by a pattern
+   */
+  declarePattern(pattern, scope) {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'Identifier':
+        scope.names.add(pattern.name);
+        break;
+      case 'ObjectPattern':
+        for (const prop of pattern.properties) {
+          this.declarePattern(prop.type === 'RestElement' ? prop.argument : prop.value, scope);
+        }
+        break;
+      case 'ArrayPattern':
+        for (const element of pattern.elements) this.declarePattern(element, scope);
+        break;
+      case 'RestElement':
+        this.declarePattern(pattern.argument, scope);
+        break;
+      case 'AssignmentPattern':
+        this.declarePattern(pattern.left, scope);
+        break;
+    }
+  }
+
+  /**
+   * Visit the expressions embedded in a pattern (defaults, computed keys)
+   */
+  walkPattern(pattern, scope) {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'Identifier':
+        break;
+      case 'ObjectPattern':
+        for (const prop of pattern.properties) {
+          if (prop.type === 'RestElement') {
+            this.walkPattern(prop.argument, scope);
+          } else {
+            if (prop.computed) this.walk(prop.key, scope);
+            this.walkPattern(prop.value, scope);
+          }
+        }
+        break;
+      case 'ArrayPattern':
+        for (const element of pattern.elements) this.walkPattern(element, scope);
+        break;
+      case 'RestElement':
+        this.walkPattern(pattern.argument, scope);
+        break;
+      case 'AssignmentPattern':
+        this.walkPattern(pattern.left, scope);
+        this.walk(pattern.right, scope);
+        break;
+      default:
+        // Assignment targets such as `obj.prop = …` or `[a.b] = …`
+        this.walk(pattern, scope);
+    }
+  }
+
+  // ── References ────────────────────────────────────────────────────────────
+
+  reference(name, scope) {
+    if (!scope.has(name)) this.result.free.add(name);
+  }
+
+  walkFunction(node, scope) {
+    const fnScope = new Scope(scope, true);
+    // A named function expression can refer to itself
+    if (node.type === 'FunctionExpression' && node.id) fnScope.names.add(node.id.name);
+    for (const param of node.params) this.declarePattern(param, fnScope);
+
+    const isArrow = node.type === 'ArrowFunctionExpression';
+    if (!isArrow) {
+      fnScope.names.add('arguments');
+      this.thisDepth++;
+    }
+
+    for (const param of node.params) this.walkPattern(param, fnScope);
+    if (node.body.type === 'BlockStatement') {
+      this.hoist(node.body.body, fnScope);
+      for (const statement of node.body.body) this.walk(statement, fnScope);
+    } else {
+      this.walk(node.body, fnScope);
+    }
+
+    if (!isArrow) this.thisDepth--;
+  }
+
+  walkMember(node, scope) {
+    const { object, property, computed } = node;
+    const literalKey = !computed
+      ? property.name
+      : (property.type === 'Literal' && typeof property.value === 'string' ? property.value : null);
+
+    if (object.type === 'ThisExpression' && this.thisDepth === 0) {
+      if (literalKey !== null) this.result.thisMembers.add(literalKey);
+      else this.result.dynamicThis = true;
+    } else if (object.type === 'Identifier' && !scope.has(object.name)) {
+      if (!this.result.members.has(object.name)) this.result.members.set(object.name, new Set());
+      this.result.members.get(object.name).add(literalKey ?? '*');
+    }
+
+    this.walk(object, scope);
+    if (computed) this.walk(property, scope);
+  }
+
+  walk(node, scope) {
+    if (!node || typeof node.type !== 'string') return;
+
+    switch (node.type) {
+      case 'Identifier':
+        this.reference(node.name, scope);
+        return;
+
+      case 'MemberExpression':
+        this.walkMember(node, scope);
+        return;
+
+      case 'FunctionDeclaration':
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        this.walkFunction(node, scope);
+        return;
+
+      case 'ClassDeclaration':
+      case 'ClassExpression': {
+        const classScope = new Scope(scope, false);
+        if (node.id) classScope.names.add(node.id.name);
+        this.walk(node.superClass, classScope);
+        this.thisDepth++;
+        this.walk(node.body, classScope);
+        this.thisDepth--;
+        return;
+      }
+
+      case 'MethodDefinition':
+      case 'PropertyDefinition':
+        if (node.computed) this.walk(node.key, scope);
+        this.walk(node.value, scope);
+        return;
+
+      case 'Property':
+        if (node.computed) this.walk(node.key, scope);
+        this.walk(node.value, scope);
+        return;
+
+      case 'VariableDeclaration':
+        for (const decl of node.declarations) {
+          this.walkPattern(decl.id, scope);
+          this.walk(decl.init, scope);
+        }
+        return;
+
+      case 'AssignmentExpression':
+        // Compound assignments (`x += 1`) also read their target
+        if (node.operator === '=') this.walkPattern(node.left, scope);
+        else this.walk(node.left, scope);
+        this.walk(node.right, scope);
+        return;
+
+      case 'BlockStatement':
+      case 'StaticBlock': {
+        const blockScope = new Scope(scope, false);
+        for (const statement of node.body) this.hoistStatement(statement, blockScope, blockScope);
+        for (const statement of node.body) this.walk(statement, blockScope);
+        return;
+      }
+
+      case 'SwitchStatement': {
+        this.walk(node.discriminant, scope);
+        const switchScope = new Scope(scope, false);
+        for (const switchCase of node.cases) {
+          for (const statement of switchCase.consequent) this.hoistStatement(statement, switchScope, switchScope);
+        }
+        for (const switchCase of node.cases) {
+          this.walk(switchCase.test, switchScope);
+          for (const statement of switchCase.consequent) this.walk(statement, switchScope);
+        }
+        return;
+      }
+
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement': {
+        const loopScope = new Scope(scope, false);
+        const head = node.init ?? node.left;
+        if (head?.type === 'VariableDeclaration') this.hoistStatement(head, loopScope, loopScope);
+        for (const child of childNodes(node)) this.walk(child, loopScope);
+        return;
+      }
+
+      case 'CatchClause': {
+        const catchScope = new Scope(scope, false);
+        this.declarePattern(node.param, catchScope);
+        this.walkPattern(node.param, catchScope);
+        this.walk(node.body, catchScope);
+        return;
+      }
+
+      case 'LabeledStatement':
+        this.walk(node.body, scope);
+        return;
+
+      case 'BreakStatement':
+      case 'ContinueStatement':
+      case 'MetaProperty':
+      case 'ThisExpression':
+      case 'Literal':
+        return;
+
+      default:
+        for (const child of childNodes(node)) this.walk(child, scope);
+    }
+  }
+}
+
+/**
+ * Child AST nodes of a node, in source order
+ */
+function childNodes(node) {
+  const children = [];
+  for (const key of Object.keys(node)) {
+    if (key === 'type' || key === 'start' || key === 'end' || key === 'loc' || key === 'range') continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const item of value) if (item && typeof item.type === 'string') children.push(item);
+    } else if (value && typeof value.type === 'string') {
+      children.push(value);
+    }
+  }
+  return children;
+}
+
+export default {
+  analyzeExpression,
+  analyzeCommand,
+  scanIdentifiers,
+  getExpressionDependencies,
+  buildDependencyGraph,
+  findDependencyCycles,
+  formatCycle,
+};
@@ -0,0 +1,76 @@
+/**
+ * Error values - explicit results for variables that could not be resolved
+ *
+ * Stored in place of the variable value (VariableStore, page._resolved, UI),
+ * so they must stay plain, structured-cloneable objects:
+ *   { $error: { type, message, expression?, call?, dependency?, cause?, ...details } }
+ *
+ * Types:
+ * - 'evaluation'  — the expression threw (syntax error, failed integration call, ...)
+ * - 'integration' — an integration call failed (returned by IntegrationsManager.wrapAsync)
+ * - 'dependency'  — a variable read by the expression is itself an error
+ * - 'cycle'       — the variable is part of a circular dependency
+ */
+
+/**
+ * Short labels shown in place of a value, per error type
+ */
+const ERROR_LABELS = {
+  cycle: '#CYCLE',
+  dependency: '#DEP',
+  integration: '#CALL',
+  evaluation: '#ERROR',
+};
+
+/**
+ * Create an error value
+ * @param {string} type - Error type (see above)
+ * @param {string} message - Human readable description
+ * @param {Object} details - Extra data (e.g. { expression, call, cycle: ['a', 'b', 'a'] })
+ * @returns {{$error: Object}}
+ */
+export function createErrorValue(type, message, details = {}) {
+  return { $error: { type, message, ...details } };
+}
+
+/**
+ * Check whether a resolved value is an error value
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isErrorValue(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.$error === 'object' && value.$error !== null;
+}
+
+/**
+ * Short text displayed in place of an error value
+ * @param {{$error: Object}} value
+ * @returns {string}
+ */
+export function getErrorLabel(value) {
+  return ERROR_LABELS[value.$error.type] ?? '#ERROR';
+}
+
+/**
+ * Multi-line description of an error value (tooltips, Debug tab)
+ * @param {{$error: Object}} value
+ * @returns {string}
+ */
+export function describeErrorValue(value) {
+  const { message, expression, call, dependency, cause } = value.$error;
+  const lines = [message];
+  if (call) lines.push(`Call: ${call}`);
+  if (expression) lines.push(`Expression: ${expression}`);
+  if (dependency && cause) {
+    lines.push(`Cause (${dependency}): ${cause.message}`);
+    if (cause.call) lines.push(`Cause call: ${cause.call}`);
+  }
+  return lines.join('\n');
+}
+
+export default {
+  createErrorValue,
+  isErrorValue,
+  getErrorLabel,
+  describeErrorValue,
+};
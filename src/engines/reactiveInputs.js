@@ -0,0 +1,218 @@
+/**
+ * reactiveInputs - What a variable read from the scene, and what changed since
+ *
+ * While a variable is evaluated, every integration call it makes is turned
+ * into input descriptors:
+ *   { source: 'item',  id, key? }       — metadata key (or any field) of an item
+ *   { source: 'item',  attachedTo }     — items attached to a token (rings, condition markers)
+ *   { source: 'item',  id: '*' }        — any scene item
+ *   { source: 'scene', key? }           — scene metadata key (or all of it)
+ *   { source: 'room',  key? }           — room metadata key (or all of it)
+ *   { source: 'scene'|'room', prefix }  — metadata keys starting with prefix
+ *
+ * SceneWatcher diffs OBR snapshots into change descriptors:
+ *   { source: 'item', id, attachedTo: string[], keys: Set|null, props }
+ *   { source: 'scene'|'room', keys: Set }
+ * where `keys: null` means the item was added or removed.
+ *
+ * A variable is re-resolved when one of its inputs matches a change.
+ */
+
+import { OWLTRACKERS_METADATA_KEY } from "../commands/integrations/OwlTrackers.js";
+import { STATBUBBLES_METADATA_KEY } from "../commands/integrations/StatBubbles.js";
+import { PRETTYSORDID_METADATA_KEY } from "../commands/integrations/PrettySordid.js";
+import { AURORA_METADATA_KEY } from "../commands/integrations/Aurora.js";
+import { AURAS_METADATA_KEY } from "../commands/integrations/Auras.js";
+import { WEATHER_METADATA_KEY } from "../commands/integrations/Weather.js";
+import { ANNOUNCEMENT_KEY } from "../commands/integrations/Announcement.js";
+
+const ANY_ITEM = { source: 'item', id: '*' };
+
+/**
+ * Item id from a call argument (id string or item object)
+ */
+function itemId(arg) {
+  if (typeof arg === 'string') return arg;
+  if (arg && typeof arg === 'object' && typeof arg.id === 'string') return arg.id;
+  return null;
+}
+
+/**
+ * Inputs of a call whose first argument is an item, restricted to one metadata key
+ */
+function itemKeyInputs(key) {
+  return (args) => {
+    const id = itemId(args[0]);
+    return id ? [{ source: 'item', id, key }] : [ANY_ITEM];
+  };
+}
+
+/**
+ * Inputs of a call reading the attachments of the item in its first argument
+ */
+function attachmentInputs(args) {
+  const id = itemId(args[0]);
+  return id ? [{ source: 'item', id }, { source: 'item', attachedTo: id }] : [ANY_ITEM];
+}
+
+/**
+ * Inputs of a call reading any field of the item in its first argument
+ */
+function wholeItemInputs(args) {
+  const id = itemId(args[0]);
+  return id ? [{ source: 'item', id }] : [ANY_ITEM];
+}
+
+/**
+ * Integration namespace -> (args, method) => inputs
+ * Namespaces not listed here do not read the scene (Local, GoogleSheets, dice, ...).
+ */
+const INTEGRATION_INPUTS = {
+  OwlTrackers: itemKeyInputs(OWLTRACKERS_METADATA_KEY),
+  StatBubbles: itemKeyInputs(STATBUBBLES_METADATA_KEY),
+  PrettySordid: itemKeyInputs(PRETTYSORDID_METADATA_KEY),
+  Aurora: itemKeyInputs(AURORA_METADATA_KEY),
+  Auras: itemKeyInputs(AURAS_METADATA_KEY),
+  Weather: itemKeyInputs(WEATHER_METADATA_KEY),
+  ColoredRings: attachmentInputs,
+  ConditionMarkers: attachmentInputs,
+  tokenAttachments: attachmentInputs,
+  tokenMetadata: (args) => {
+    const id = itemId(args[0]);
+    if (!id) return [ANY_ITEM];
+    return [{ source: 'item', id, key: typeof args[1] === 'string' ? args[1] : undefined }];
+  },
+  Token: (args, method) => (method === 'getClosest' ? [ANY_ITEM] : wholeItemInputs(args)),
+  Scene: wholeItemInputs,
+  sceneMetadata: (args, method) => {
+    if (method === 'getSceneMetadataValue') return [{ source: 'scene', key: args[0] }];
+    if (method === 'getSceneItem') return wholeItemInputs(args);
+    if (method === 'getSceneTokens') return [ANY_ITEM];
+    return [{ source: 'scene' }];
+  },
+  Announcement: () => [{ source: 'room', key: ANNOUNCEMENT_KEY }],
+};
+
+/**
+ * Owlbear.* paths -> inputs
+ */
+const OWLBEAR_INPUTS = {
+  'scene.getMetadata': () => [{ source: 'scene' }],
+  'room.getMetadata': () => [{ source: 'room' }],
+  'scene.items.getItems': (args) => {
+    const ids = Array.isArray(args[0]) ? args[0].map(itemId).filter(Boolean) : [];
+    return ids.length > 0 ? ids.map(id => ({ source: 'item', id })) : [ANY_ITEM];
+  },
+};
+
+/**
+ * Describe the scene inputs read by a sandbox call
+ * @param {{scope: string, path: string[], args: any[]}} call - Call forwarded by the sandbox
+ * @returns {Array<Object>} Input descriptors (empty if the call does not read the scene)
+ */
+export function getCallInputs({ scope, path = [], args = [] }) {
+  if (scope === 'integration' || scope === 'builder') {
+    const [namespace, method] = path;
+    const describe = INTEGRATION_INPUTS[namespace];
+    return describe && method && !/^(set|add|remove|clear|delete|update|create|toggle|cast|show|hide)/.test(method)
+      ? describe(args, method)
+      : [];
+  }
+  if (scope === 'owlbear') {
+    return OWLBEAR_INPUTS[path.join('.')]?.(args) ?? [];
+  }
+  return [];
+}
+
+/**
+ * Check whether an input is affected by a change
+ */
+function inputMatches(input, change) {
+  if (input.source !== change.source) return false;
+
+  if (input.source === 'item') {
+    if (input.id === '*') return true;
+    if (input.attachedTo) return change.attachedTo.includes(input.attachedTo);
+    if (input.id !== change.id) return false;
+    if (change.keys === null || input.key === undefined) return true;
+    return change.keys.has(input.key);
+  }
+
+  if (input.prefix !== undefined) return [...change.keys].some(key => key.startsWith(input.prefix));
+  return input.key === undefined || change.keys.has(input.key);
+}
+
+/**
+ * Check whether any of the inputs is affected by any of the changes
+ * @param {Array<Object>} inputs
+ * @param {Array<Object>} changes
+ * @returns {boolean}
+ */
+export function inputsChanged(inputs, changes) {
+  return inputs.some(input => changes.some(change => inputMatches(input, change)));
+}
+
+/**
+ * Keys whose (JSON) value differs between two metadata objects
+ * @param {Object} previous
+ * @param {Object} next
+ * @returns {Set<string>}
+ */
+export function diffMetadata(previous = {}, next = {}) {
+  const keys = new Set();
+  for (const key of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) keys.add(key);
+  }
+  return keys;
+}
+
+/**
+ * Comparable snapshot of an item: metadata per key, other fields as one string
+ * (lastModified fields are ignored, they change on every update)
+ */
+export function snapshotItem(item) {
+  const { metadata = {}, lastModified, lastModifiedUserId, ...props } = item;
+  return {
+    attachedTo: item.attachedTo ?? null,
+    metadata: Object.fromEntries(Object.entries(metadata).map(([key, value]) => [key, JSON.stringify(value)])),
+    props: JSON.stringify(props),
+  };
+}
+
+/**
+ * Diff two item snapshot maps (id -> snapshotItem)
+ * @param {Map<string, Object>} previous
+ * @param {Map<string, Object>} next
+ * @returns {Array<Object>} Item change descriptors
+ */
+export function diffItems(previous, next) {
+  const changes = [];
+
+  for (const [id, snap] of next) {
+    const old = previous.get(id);
+    const attachedTo = [...new Set([snap.attachedTo, old?.attachedTo].filter(Boolean))];
+    if (!old) {
+      changes.push({ source: 'item', id, attachedTo, keys: null, props: true });
+      continue;
+    }
+    const keys = diffMetadata(old.metadata, snap.metadata);
+    const props = old.props !== snap.props;
+    if (keys.size > 0 || props) changes.push({ source: 'item', id, attachedTo, keys, props });
+  }
+
+  for (const [id, old] of previous) {
+    if (!next.has(id)) {
+      changes.push({ source: 'item', id, attachedTo: old.attachedTo ? [old.attachedTo] : [], keys: null, props: true });
+    }
+  }
+
+  return changes;
+}
+
+export default {
+  getCallInputs,
+  inputsChanged,
+  diffMetadata,
+  snapshotItem,
+  diffItems,
+};
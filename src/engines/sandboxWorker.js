@@ -0,0 +1,327 @@
+/**
+ * sandboxWorker - Isolated realm for user expressions and commands
+ *
+ * Runs inside a dedicated module Worker, so user code has no access to
+ * `window`, the DOM, `localStorage` or the OBR SDK. Network, storage and
+ * messaging globals are removed at startup, code can no longer be compiled from
+ * strings (`Function`, `eval`, the function constructors and string timers
+ * are replaced), and `import()` / `import.meta` are rejected before a run is
+ * compiled.
+ *
+ * Integrations and helpers are exposed as message-passing proxies built from
+ * the capability manifest sent by ExecutionSandbox; the main thread decides
+ * which calls are allowed and performs them.
+ *
+ * Protocol (worker <- main):
+ *   { type: 'run', id, mode: 'sync'|'async'|'command', code, variables, helpers, manifest, local? }
+ *   { type: 'reply', callId, ok, value, error, soft? }
+ * Protocol (worker -> main):
+ *   { type: 'call', id, callId, scope: 'integration'|'owlbear'|'helper'|'builder'|'writes', path, args, steps }
+ *   { type: 'done', id, ok, value, error, call? }
+ *
+ * A `soft` reply is an integration that reported a failure instead of
+ * throwing: expressions fail with it (so the variable becomes an error
+ * value), commands keep receiving null as before.
+ *
+ * `Local` is synchronous on the host, so it stays synchronous here: the run
+ * carries a snapshot of its values (`local`), reads are served from it and
+ * writes update it and are forwarded to the host, which applies them in order.
+ */
+
+import * as math from "mathjs";
+
+// ============================================================================
+// REALM LOCKDOWN
+// ============================================================================
+
+const post = self.postMessage.bind(self);
+const listen = self.addEventListener.bind(self);
+const compile = Function;
+
+// Messaging goes through `post` / `listen` only: user code must not read or
+// spoof the replies meant for other runs, nor close the worker
+const BLOCKED_GLOBALS = [
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport',
+  'EventSource', 'importScripts', 'indexedDB', 'caches', 'Worker', 'SharedWorker',
+  'BroadcastChannel', 'postMessage', 'onmessage', 'onmessageerror', 'onerror',
+  'addEventListener', 'removeEventListener', 'dispatchEvent', 'close',
+];
+
+for (const name of BLOCKED_GLOBALS) {
+  // Remove from the global object and every prototype it inherits from
+  for (let target = self; target; target = Object.getPrototypeOf(target)) {
+    try {
+      if (Object.prototype.hasOwnProperty.call(target, name)) delete target[name];
+    } catch { /* non-configurable — shadowed below */ }
+  }
+  try {
+    Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+  } catch { /* ignore */ }
+}
+
+// Code can only be compiled through `compile`, captured above
+const blocked = (name) => function () {
+  throw new Error(`${name} is not allowed in macros`);
+};
+const FUNCTION_PROTOTYPES = [
+  Function.prototype,
+  Object.getPrototypeOf(async function () {}),
+  Object.getPrototypeOf(function* () {}),
+  Object.getPrototypeOf(async function* () {}),
+];
+for (const prototype of FUNCTION_PROTOTYPES) {
+  Object.defineProperty(prototype, 'constructor', { value: blocked('Function'), writable: false, configurable: false });
+}
+for (const name of ['Function', 'eval']) {
+  Object.defineProperty(self, name, { value: blocked(name), writable: false, configurable: false });
+}
+for (const name of ['setTimeout', 'setInterval']) {
+  const timer = self[name].bind(self);
+  Object.defineProperty(self, name, {
+    value: (handler, ...rest) => {
+      if (typeof handler !== 'function') throw new Error(`${name} needs a function in macros`);
+      return timer(handler, ...rest);
+    },
+    writable: false,
+    configurable: false,
+  });
+}
+
+// import( / import.meta, with any whitespace or comments before the ( or .
+const DYNAMIC_IMPORT = /\bimport(?:\s|\/\*[\s\S]*?\*\/|\/\/[^\n]*)*[(.]/;
+const MATH_KEYS = Object.keys(math);
+
+// ============================================================================
+// CALL PROXIES
+// ============================================================================
+
+let nextCallId = 0;
+const pendingCalls = new Map();
+const runModes = new Map();
+
+/**
+ * Forward a call to the main thread and wait for its reply
+ */
+function remoteCall(id, scope, path, args = [], steps) {
+  const callId = ++nextCallId;
+  return new Promise((resolve, reject) => {
+    pendingCalls.set(callId, { id, label: path.join('.'), resolve, reject });
+    try {
+      post({ type: 'call', id, callId, scope, path, args, steps });
+    } catch (error) {
+      pendingCalls.delete(callId);
+      reject(new Error(`Arguments for ${path.join('.')} cannot be sent to the host: ${error.message}`));
+    }
+  });
+}
+
+/**
+ * Owlbear.* — any property path becomes a callable proxy; the host checks
+ * the full path against its allowlist when the call arrives.
+ */
+function createOwlbearProxy(id, path = []) {
+  return new Proxy(function () {}, {
+    get(_, prop) {
+      if (typeof prop === 'symbol' || prop === 'then') return undefined;
+      return createOwlbearProxy(id, [...path, prop]);
+    },
+    apply(_, __, args) {
+      return remoteCall(id, 'owlbear', path, args);
+    },
+  });
+}
+
+/**
+ * Fluent builder (e.g. Embers.sequence()) — chained calls are recorded
+ * locally and replayed on the host when a terminal method is called.
+ */
+function createBuilderProxy(id, path, args, terminals, steps = []) {
+  const builder = new Proxy({}, {
+    get(_, prop) {
+      if (typeof prop === 'symbol' || prop === 'then') return undefined;
+      if (terminals.includes(prop)) {
+        return (...terminalArgs) => remoteCall(id, 'builder', path, args, [...steps, [prop, terminalArgs]]);
+      }
+      return (...stepArgs) => {
+        steps.push([prop, stepArgs]);
+        return builder;
+      };
+    },
+  });
+  return builder;
+}
+
+/**
+ * Synchronous Local namespace over the snapshot sent with the run
+ * @param {number} id - Run id
+ * @param {Object} storage - Snapshot of the Local values (updated by writes)
+ * @param {Array<Promise>} writes - Collects the writes forwarded to the host
+ */
+function createLocalNamespace(id, storage, writes) {
+  const forward = (method, args) => {
+    writes.push(remoteCall(id, 'integration', ['Local', method], args));
+  };
+  return {
+    value: (key, defaultValue = null) => (storage[key] == null ? defaultValue : structuredClone(storage[key])),
+    keys: () => Object.keys(storage),
+    set: (key, value) => {
+      storage[key] = structuredClone(value);
+      forward('set', [key, value]);
+      return value;
+    },
+    clear: () => {
+      for (const key of Object.keys(storage)) delete storage[key];
+      forward('clear', []);
+    },
+  };
+}
+
+/**
+ * Build integration namespaces from the host manifest
+ */
+function buildIntegrations(id, manifest) {
+  const integrations = {};
+
+  for (const [name, spec] of Object.entries(manifest.namespaces)) {
+    const namespace = { ...spec.constants };
+    for (const method of spec.methods) {
+      const builderKey = `${name}.${method}`;
+      if (manifest.builders[builderKey]) {
+        namespace[method] = (...args) => createBuilderProxy(id, [name, method], args, manifest.builders[builderKey]);
+      } else {
+        namespace[method] = (...args) => remoteCall(id, 'integration', [name, method], args);
+      }
+    }
+    integrations[name] = namespace;
+  }
+
+  Object.assign(integrations, manifest.constants);
+  if (manifest.owlbear) integrations.Owlbear = createOwlbearProxy(id);
+
+  return integrations;
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+const identifierCache = new Map();
+
+// LRU cache for compiled functions (max 100 entries)
+const functionCache = new Map();
+const MAX_CACHE_SIZE = 100;
+
+/**
+ * Check that a name can be used as a function parameter
+ */
+function isBindableName(name) {
+  if (identifierCache.has(name)) return identifierCache.get(name);
+  let valid = /^[A-Za-z_$][\w$]*$/.test(name);
+  if (valid) {
+    try { compile(name, ''); } catch { valid = false; }
+  }
+  identifierCache.set(name, valid);
+  return valid;
+}
+
+/**
+ * Compile and run user code with every binding passed as a parameter.
+ * Later bindings shadow earlier ones: math < integrations < helpers < variables.
+ */
+async function run({ id, mode, code, variables = {}, helpers = [], manifest, local }) {
+  if (DYNAMIC_IMPORT.test(code)) {
+    throw new Error('import() and import.meta are not allowed in macros');
+  }
+
+  const integrations = buildIntegrations(id, manifest);
+  const localWrites = [];
+  if (local && integrations.Local) integrations.Local = createLocalNamespace(id, local, localWrites);
+  const helperFns = Object.fromEntries(
+    helpers.map(name => [name, (...args) => remoteCall(id, 'helper', [name], args)])
+  );
+  if (mode === 'command') {
+    // batch(async () => ...) — commit the item updates made inside as one write
+    helperFns.batch = async (fn) => {
+      try {
+        return await fn();
+      } finally {
+        await remoteCall(id, 'writes', ['flush']);
+      }
+    };
+  }
+
+  const bindings = [
+    ...MATH_KEYS.map(key => [key, math[key]]),
+    ...Object.entries(integrations),
+    ...Object.entries(helperFns),
+    ...Object.entries(variables),
+  ].filter(([name]) => isBindableName(name));
+
+  const body = mode === 'command'
+    ? `return (async () => {\n${code}\n})();`
+    : `return (async () => (${code}))();`;
+
+  const names = bindings.map(([name]) => name);
+  const cacheKey = `${body}\u0000${names.join(',')}`;
+  let fn = functionCache.get(cacheKey);
+  if (!fn) {
+    fn = compile(...names, body);
+    if (functionCache.size >= MAX_CACHE_SIZE) {
+      functionCache.delete(functionCache.keys().next().value);
+    }
+    functionCache.set(cacheKey, fn);
+  }
+  try {
+    return await fn.apply(variables, bindings.map(([, value]) => value));
+  } finally {
+    // The run ends once the host has applied its Local writes
+    await Promise.all(localWrites);
+  }
+}
+
+/**
+ * Make a result safe to post back to the host
+ */
+function toTransferable(value) {
+  try {
+    return structuredClone(value);
+  } catch {
+    try {
+      return JSON.parse(JSON.stringify(value));
+    } catch {
+      return null;
+    }
+  }
+}
+
+listen('message', async (event) => {
+  const msg = event.data;
+
+  if (msg.type === 'reply') {
+    const pending = pendingCalls.get(msg.callId);
+    if (!pending) return;
+    pendingCalls.delete(msg.callId);
+    if (msg.ok) {
+      pending.resolve(msg.value);
+    } else if (msg.soft && runModes.get(pending.id) === 'command') {
+      pending.resolve(null);
+    } else {
+      const error = new Error(msg.error);
+      error.call = pending.label;
+      pending.reject(error);
+    }
+    return;
+  }
+
+  if (msg.type === 'run') {
+    runModes.set(msg.id, msg.mode);
+    try {
+      const value = await run(msg);
+      post({ type: 'done', id: msg.id, ok: true, value: msg.mode === 'command' ? null : toTransferable(value) });
+    } catch (error) {
+      post({ type: 'done', id: msg.id, ok: false, error: error?.message ?? String(error), call: error?.call ?? null });
+    } finally {
+      runModes.delete(msg.id);
+    }
+  }
+});
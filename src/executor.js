@@ -9,38 +9,120 @@
  */
 
 import { variableEngine } from "./engines/VariableEngine.js";
-import { executionSandbox } from "./engines/ExecutionSandbox.js";
+import { executionSandbox, createAbortError } from "./engines/ExecutionSandbox.js";
 import { eventBus } from "./events/EventBus.js";
 import { variableStore } from "./stores/VariableStore.js";
-import { updateRenderedValue } from "./ui.js";
-import { updateEvaluatedVariable } from "./storage.js";
+import { updateRenderedValue, findPageById, getGlobalVariables } from "./ui.js";
+import { persistVariableValue } from "./storage.js";
 import { getExpressionContext } from "./expressionHelpers.js";
 import { createDebugLogger } from "./debugMode.js";
+import { DEFAULT_COMMAND_TIMEOUT_MS } from "./constants.js";
+import { sceneItemStore } from "./stores/SceneItemStore.js";
+import { historyStore } from "./stores/HistoryStore.js";
+import { sharedVariableStore, isSharedVariable } from "./stores/SharedVariableStore.js";
+import { isSceneVariable } from "./stores/SceneVariableStore.js";
+import { pickTargets } from "./commands/token/targetPicker.js";
+import OBR from "@owlbear-rodeo/sdk";
 
 const logger = createDebugLogger('executor');
 
-function buildResolvedContext(page, pageIndex = 0, globalVariables = {}) {
-  const storeResolved = variableStore.getAllResolvedVariables(pageIndex) || {};
+function buildResolvedContext(page, pageId = null, globalVariables = {}, runVariables = {}) {
+  const storeResolved = variableStore.getAllResolvedVariables(pageId) || {};
   return {
     ...globalVariables,
     ...storeResolved,
     ...(page?._resolved || {}),
+    ...runVariables,
+  };
+}
+
+/**
+ * Signal of a button run: aborted when the caller's signal is, or with a
+ * TimeoutError once the run has taken `timeout` ms (0 = no limit).
+ * `pause()` stops the clock while the run waits on the player (target
+ * picking) and returns the function restarting it
+ * @returns {{ signal: AbortSignal, pause: Function, dispose: Function }}
+ */
+function createRunSignal(signal, timeout, label) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(createAbortError('cancelled', { label }));
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+
+  let remaining = timeout;
+  let startedAt = 0;
+  let timer = null;
+  let paused = 0;
+  let disposed = false;
+  const start = () => {
+    startedAt = Date.now();
+    timer = setTimeout(() => controller.abort(createAbortError('timeout', { label, timeout })), remaining);
+  };
+  if (timeout > 0) start();
+
+  return {
+    signal: controller.signal,
+    pause: () => {
+      if (!(timeout > 0) || controller.signal.aborted) return () => {};
+      if (paused++ === 0) {
+        clearTimeout(timer);
+        remaining = Math.max(0, remaining - (Date.now() - startedAt));
+      }
+      let resumed = false;
+      return () => {
+        if (resumed) return;
+        resumed = true;
+        if (--paused === 0 && !disposed && !controller.signal.aborted) start();
+      };
+    },
+    dispose: () => {
+      disposed = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    },
   };
 }
 
 /**
  * Handle button click - simplified flow with new architecture
+ * @param {Object} options - { signal, timeout, label }
+ *   - signal: AbortSignal cancelling the run (e.g. button clicked again)
+ *   - timeout: time limit in ms (0 = none), defaults to DEFAULT_COMMAND_TIMEOUT_MS
+ *   Both cover the whole run: resolving the variables it reads, the commands
+ *   and their host calls, and re-resolving the variables they changed. The
+ *   time spent picking targets does not count toward the timeout.
+ *   - label: name reported when the run is stopped, and shown in the undo history
+ *   - variables: values only this run sees (e.g. the items a context menu was
+ *     opened on), taking precedence over global and page variables
  */
-export async function handleButtonClick(commands, page, globalVariables = {}, onVariableResolved = null, pageIndex = 0) {
+export async function handleButtonClick(commands, page, globalVariables = {}, onVariableResolved = null, pageId = null, options = {}) {
   if (!Array.isArray(commands) || commands.length === 0) {
     logger.warn("No commands provided");
     return;
   }
 
+  const { label = 'Command', variables: runVariables = {} } = options;
+  const timeout = options.timeout ?? DEFAULT_COMMAND_TIMEOUT_MS;
+  const run = createRunSignal(options.signal ?? null, timeout, label);
+  const { signal } = run;
+
+  // Run details reported with the executor events (command history panel)
+  const startedAt = Date.now();
+  const calls = [];
+  let before = {};
+  const runDetails = () => ({
+    label,
+    pageId,
+    startedAt,
+    duration: Date.now() - startedAt,
+    changes: getVariableChanges(page, before),
+    calls,
+  });
+
   try {
     logger.log("Button clicked, executing commands");
 
-    if (pageIndex === undefined || pageIndex === null) pageIndex = 0;
+    if (pageId === undefined || pageId === null) pageId = page?.id ?? null;
     if (!page._modifiedVars) page._modifiedVars = new Set();
 
     // Step 1: Find variables USED in commands
@@ -57,27 +139,57 @@ export async function handleButtonClick(commands, page, globalVariables = {}, on
 
     if (varsToResolveBeforeCmd.size > 0) {
       logger.log("Pre-resolving variables");
-      const baseResolved = buildResolvedContext(page, pageIndex, globalVariables);
+      const baseResolved = buildResolvedContext(page, pageId, globalVariables, runVariables);
       const preResolved = await variableEngine.resolveVariables(
         page.variables,
         baseResolved,
-        varsToResolveBeforeCmd
+        varsToResolveBeforeCmd,
+        { signal }
       );
       page._resolved = { ...page._resolved, ...preResolved };
     }
 
-    // Step 3: Build execution context with helpers
-    const executionContext = {
-      integrations: getExpressionContext(),
-      variables: buildResolvedContext(page, pageIndex, globalVariables),
-      helpers: createHelperFunctions(page, pageIndex, globalVariables),
-    };
-
-    // Step 4: Execute commands
-    const script = Array.isArray(commands) ? commands.join('\n') : commands;
-    logger.log("Executing script");
-
-    await executionSandbox.executeCommand(script, executionContext);
+    before = { ...page._resolved };
+
+    // Step 3: Build execution context with helpers (their signal also aborts
+    // when the commands end, so a target picking they left open is cancelled).
+    // The run's side effects are recorded as one undoable history entry
+    const commandsEnded = new AbortController();
+    const history = historyStore.begin(label);
+    try {
+      const executionContext = {
+        integrations: getExpressionContext(),
+        variables: buildResolvedContext(page, pageId, globalVariables, runVariables),
+        helpers: createHelperFunctions(page, pageId, globalVariables, {
+          signal: AbortSignal.any([signal, commandsEnded.signal]),
+          history,
+          pauseTimeout: run.pause,
+        }),
+      };
+
+      // Step 4: Execute commands
+      const script = Array.isArray(commands) ? commands.join('\n') : commands;
+      logger.log("Executing script");
+
+      // Item updates made by the run are merged and committed when it ends
+      // (dropped if it is stopped)
+      await sceneItemStore.batch(
+        (batch) => executionSandbox.executeCommand(script, executionContext, {
+          signal,
+          batch,
+          label,
+          onCall: ({ scope, path, args }) => {
+            historyStore.callStarted(history);
+            if (scope !== 'writes') calls.push({ scope, name: path.join('.'), args });
+          },
+          onCallEnd: () => historyStore.callEnded(history),
+        }),
+        { signal, history }
+      );
+    } finally {
+      commandsEnded.abort();
+      historyStore.commit(history);
+    }
 
     // Step 5: Find variables AFFECTED by commands
     const affectedVars = variableEngine.getAffectedVariables(commands, page.variables);
@@ -95,18 +207,19 @@ export async function handleButtonClick(commands, page, globalVariables = {}, on
       const allAffected = variableEngine.getDependentVariables(page.variables, affectedVars);
       logger.log("Re-resolving affected variables");
 
-      const postBaseResolved = buildResolvedContext(page, pageIndex, globalVariables);
+      const postBaseResolved = buildResolvedContext(page, pageId, globalVariables, runVariables);
       const postResolved = await variableEngine.resolveVariables(
         page.variables,
         postBaseResolved,
-        allAffected
+        allAffected,
+        { signal }
       );
 
       // Update store and UI for each resolved variable
       for (const [varName, value] of Object.entries(postResolved)) {
         if (allAffected.has(varName)) {
           page._resolved[varName] = value;
-          variableStore.setVariableResolved(varName, value, pageIndex);
+          variableStore.setVariableResolved(varName, value, pageId);
           updateRenderedValue(varName, value);
 
           if (onVariableResolved) {
@@ -117,108 +230,184 @@ export async function handleButtonClick(commands, page, globalVariables = {}, on
     }
 
     page._modifiedVars = new Set();
-    eventBus.emit('executor:commandsCompleted', { commands, page, affected: affectedVars });
+    eventBus.emit('executor:commandsCompleted', { commands, page, affected: affectedVars, ...runDetails() });
     logger.log("Execution complete");
   } catch (error) {
     logger.error('Button action failed:', error);
-    eventBus.emit('executor:commandsFailed', { error });
+    eventBus.emit('executor:commandsFailed', { error, commands, page, ...runDetails() });
+    if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+      await notifyStopped(error);
+    }
     throw error;
+  } finally {
+    run.dispose();
   }
 }
 
 /**
- * Create helper functions available in command context
- * Uses VariableStore for centralized state management
+ * Page variables whose resolved value differs from a snapshot taken before the run
+ * @returns {Array<{name: string, from: any, to: any}>}
  */
-function createHelperFunctions(page, pageIndex = 0, globalVariables = {}) {
-  const applyResolvedUpdate = (varName, value) => {
-    page._resolved[varName] = value;
-    variableStore.setVariableResolved(varName, value, pageIndex);
-    updateRenderedValue(varName, value);
-  };
+function getVariableChanges(page, before) {
+  const after = page?._resolved || {};
+  return Object.keys(page?.variables || {})
+    .filter(name => name in before && name in after && JSON.stringify(before[name]) !== JSON.stringify(after[name]))
+    .map(name => ({ name, from: before[name], to: after[name] }));
+}
 
-  const resolveDependents = async (changedVarName) => {
-    const dependentVars = variableEngine.getDependentVariables(page.variables, [changedVarName]);
-    dependentVars.delete(changedVarName);
+/**
+ * Tell the user which command was stopped (timeout or cancellation)
+ */
+async function notifyStopped(error) {
+  try {
+    await OBR.notification.show(`⏹ ${error.message}`, error.name === 'TimeoutError' ? 'WARNING' : 'INFO');
+  } catch (notifyError) {
+    logger.warn('Could not show stop notification:', notifyError);
+  }
+}
 
-    if (dependentVars.size === 0) {
-      return;
-    }
+/**
+ * Set a page variable to a fixed value: update its definition, resolved value,
+ * storage and UI, then re-resolve the variables depending on it.
+ * Shared and scene variables keep their definition (the value only belongs to
+ * the room or the open scene, and the config keeps their eval): their value
+ * lives in sharedVariableStore / sceneVariableStore
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - false when the value is already written
+ *   (a shared variable updated through sharedVariableStore.add)
+ */
+async function applyVariableValue(page, pageId, globalVariables, varName, newValue, { persist = true } = {}) {
+  const variable = page.variables[varName];
+
+  // Update variable definition directly in page
+  if (!isSharedVariable(variable) && !isSceneVariable(variable)) {
+    variable.value = newValue;
+    delete variable.eval;
+    variableEngine.invalidateDependencyGraph(page.variables);
+  }
 
-    logger.log("Re-resolving dependent variables");
-    const baseResolved = buildResolvedContext(page, pageIndex, globalVariables);
-    const resolvedDeps = await variableEngine.resolveVariables(page.variables, baseResolved, dependentVars);
+  // Update resolved value and notify all listeners (Counter, EventBus, ui.js)
+  if (!page._resolved) page._resolved = {};
+  page._resolved[varName] = newValue;
+  variableStore.setVariableResolved(varName, newValue, pageId);
+  updateRenderedValue(varName, newValue);
+  variableStore.markVariableModified(varName);
 
-    for (const depVarName of dependentVars) {
-      const depValue = resolvedDeps[depVarName];
-      applyResolvedUpdate(depVarName, depValue);
-      logger.log('Updated dependent variable:', depVarName, '=', depValue);
-    }
-  };
+  // Persist to storage (shared and scene variables live in room / scene metadata)
+  if (persist) await persistVariableValue(pageId, varName, variable, newValue);
 
-  return {
-    setValue: async (varName, value) => {
-      if (!page.variables || !(varName in page.variables)) {
-        throw new Error(`Variable "${varName}" not found`);
-      }
+  await resolveDependents(page, pageId, globalVariables, varName);
+}
 
-      const variable = page.variables[varName];
-      let newValue = value;
+async function resolveDependents(page, pageId, globalVariables, changedVarName) {
+  const dependentVars = variableEngine.getDependentVariables(page.variables, [changedVarName]);
+  dependentVars.delete(changedVarName);
 
-      // Apply constraints
-      if (variable.min !== undefined && newValue < variable.min) newValue = variable.min;
-      if (variable.max !== undefined && newValue > variable.max) newValue = variable.max;
+  if (dependentVars.size === 0) {
+    return;
+  }
 
-      // Update variable definition directly in page
-      variable.value = newValue;
-      delete variable.eval;
-      variableEngine.invalidateDependencyGraph(page.variables);
-      
-      // Update resolved value and notify all listeners (Counter, EventBus, ui.js)
-      applyResolvedUpdate(varName, newValue);
-      variableStore.markVariableModified(varName);
+  logger.log("Re-resolving dependent variables");
+  const baseResolved = buildResolvedContext(page, pageId, globalVariables);
+  const resolvedDeps = await variableEngine.resolveVariables(page.variables, baseResolved, dependentVars);
 
-      // Persist to storage
-      await updateEvaluatedVariable(pageIndex, varName, newValue);
+  for (const depVarName of dependentVars) {
+    const depValue = resolvedDeps[depVarName];
+    page._resolved[depVarName] = depValue;
+    variableStore.setVariableResolved(depVarName, depValue, pageId);
+    updateRenderedValue(depVarName, depValue);
+    logger.log('Updated dependent variable:', depVarName, '=', depValue);
+  }
+}
 
-      logger.log('Set value:', varName, '=', newValue);
+// Undo/redo of setValue / addValue
+// (an addValue on a shared variable is undone by adding the opposite, keeping the others' changes)
+const replayVariableValue = (side) => async (entry) => {
+  const page = findPageById(entry.pageId);
+  if (!page?.variables || !(entry.varName in page.variables)) {
+    logger.warn(`Cannot restore "${entry.varName}": variable no longer exists`);
+    return;
+  }
+  const variable = page.variables[entry.varName];
+  if (entry.delta !== undefined && isSharedVariable(variable)) {
+    const delta = side === 'from' ? -entry.delta : entry.delta;
+    const value = await sharedVariableStore.add(entry.varName, delta, { initial: entry.from, min: variable.min, max: variable.max });
+    await applyVariableValue(page, entry.pageId, getGlobalVariables(), entry.varName, value, { persist: false });
+    return;
+  }
+  await applyVariableValue(page, entry.pageId, getGlobalVariables(), entry.varName, entry[side]);
+};
+historyStore.registerHandler('variable', { undo: replayVariableValue('from'), redo: replayVariableValue('to') });
 
-      await resolveDependents(varName);
-      
-      return newValue;
-    },
+/**
+ * Create helper functions available in command context
+ * Uses VariableStore for centralized state management
+ * @param {Object} [run]
+ * @param {AbortSignal} [run.signal] - Aborted when the run is stopped or its commands end:
+ *   helpers called after that throw instead of changing anything, and target picking is cancelled
+ * @param {string} [run.history] - History transaction of the run
+ * @param {Function} [run.pauseTimeout] - Stops the run timeout while the player picks targets;
+ *   returns the function restarting it
+ */
+function createHelperFunctions(page, pageId = null, globalVariables = {}, { signal = null, history = null, pauseTimeout = null } = {}) {
+  const getVariable = (varName) => {
+    if (!page.variables || !(varName in page.variables)) {
+      throw new Error(`Variable "${varName}" not found`);
+    }
+    return page.variables[varName];
+  };
 
-    addValue: async (varName, delta) => {
-      if (!page.variables || !(varName in page.variables)) {
-        throw new Error(`Variable "${varName}" not found`);
-      }
+  const getCurrentValue = (varName) => variableStore.getVariableResolved(varName, pageId) ?? page._resolved?.[varName];
 
-      const variable = page.variables[varName];
-      const currentValue = Number(variableStore.getVariableResolved(varName, pageIndex) ?? page._resolved[varName]) || 0;
-      let newValue = currentValue + Number(delta);
+  const setVariable = async (varName, value) => {
+    const variable = page.variables[varName];
+    let newValue = value;
 
-      // Apply constraints
-      if (variable.min !== undefined && newValue < variable.min) newValue = variable.min;
-      if (variable.max !== undefined && newValue > variable.max) newValue = variable.max;
+    // Apply constraints
+    if (variable.min !== undefined && newValue < variable.min) newValue = variable.min;
+    if (variable.max !== undefined && newValue > variable.max) newValue = variable.max;
 
-      // Update variable definition directly in page
-      variable.value = newValue;
-      delete variable.eval;
-      variableEngine.invalidateDependencyGraph(page.variables);
-      
-      // Update resolved value and notify all listeners (Counter, EventBus, ui.js)
-      applyResolvedUpdate(varName, newValue);
-      variableStore.markVariableModified(varName);
+    historyStore.record({ type: 'variable', pageId, varName, from: getCurrentValue(varName) ?? null, to: newValue }, history);
+    await applyVariableValue(page, pageId, globalVariables, varName, newValue);
+    return newValue;
+  };
 
-      // Persist to storage
-      await updateEvaluatedVariable(pageIndex, varName, newValue);
+  return {
+    setValue: async (varName, value) => {
+      signal?.throwIfAborted();
+      getVariable(varName);
+      const newValue = await setVariable(varName, value);
+      logger.log('Set value:', varName, '=', newValue);
+      return newValue;
+    },
 
+    addValue: async (varName, delta) => {
+      signal?.throwIfAborted();
+      const variable = getVariable(varName);
+      const currentValue = Number(getCurrentValue(varName)) || 0;
+      if (isSharedVariable(variable)) {
+        // Added to the room value, which other players may be changing too
+        const newValue = await sharedVariableStore.add(varName, delta, { initial: currentValue, min: variable.min, max: variable.max });
+        historyStore.record({ type: 'variable', pageId, varName, from: currentValue, to: newValue, delta: newValue - currentValue }, history);
+        await applyVariableValue(page, pageId, globalVariables, varName, newValue, { persist: false });
+        logger.log('Add shared value:', varName, '+=', delta, '=>', newValue);
+        return newValue;
+      }
+      const newValue = await setVariable(varName, currentValue + Number(delta));
       logger.log('Add value:', varName, '+=', delta, '=>', newValue);
-
-      await resolveDependents(varName);
-      
       return newValue;
     },
+
+    // Rejects when the player presses Escape, unlike integrations which return null on errors
+    // The run timeout is paused while the player picks
+    pickTargets: async (options = {}) => {
+      const resume = pauseTimeout?.();
+      try {
+        return await pickTargets(options, signal);
+      } finally {
+        resume?.();
+      }
+    },
   };
 }
 
@@ -229,7 +418,7 @@ export async function executeCommand(command, page) {
   const script = Array.isArray(command) ? command.join('\n') : command;
   const context = {
     variables: page?._resolved || {},
-    helpers: createHelperFunctions(page, page?._pageIndex ?? 0, {}),
+    helpers: createHelperFunctions(page, page?.id ?? null, {}),
   };
   return executionSandbox.executeCommand(script, context);
 }
@@ -5,7 +5,20 @@ import { resolveVariables } from "./expressionEvaluator.js";
 import { initializeExpressions } from "./expressionHelpers.js";
 import { getGoogleSheetsCredentials } from "./commands/integrations/GoogleSheets.js";
 import { flushPendingChanges } from "./storage.js";
+import "./stores/ErrorStore.js"; // Tracks variable errors for the Debug tab
+import { sceneWatcher } from "./engines/SceneWatcher.js";
+import { sceneItemStore } from "./stores/SceneItemStore.js";
+import { sharedVariableStore } from "./stores/SharedVariableStore.js";
+import { sceneVariableStore } from "./stores/SceneVariableStore.js";
+import { historyStore } from "./stores/HistoryStore.js";
+import { commandHistoryStore } from "./stores/CommandHistoryStore.js";
+import { initHistoryPanel } from "./ui/historyPanel.js";
+import { initSharedConfigBanner, refreshSharedConfigBanner } from "./ui/sharedConfigBanner.js";
+import { initSelectionBinding } from "./ui/selectionBinding.js";
+import { registerContextMenuActions } from "./contextMenuActions.js";
+import { eventBus } from "./events/EventBus.js";
 import { createDebugLogger } from "./debugMode.js";
+import { getProfiles, getProfileScope, loadProfiles, setActiveProfile, PROFILES_CHANGED_MESSAGE } from "./profiles.js";
 
 // Debug logger
 const logger = createDebugLogger('main');
@@ -36,6 +49,62 @@ function applyTheme(theme) {
 document.getElementById("configBtn").onclick = openConfigModal;
 document.getElementById("reloadBtn").onclick = reloadCurrentPage;
 
+// Undo / redo the side effects of the last command run
+const undoBtn = document.getElementById("undoBtn");
+const redoBtn = document.getElementById("redoBtn");
+undoBtn.onclick = () => historyStore.undo().catch(err => logger.error("Undo failed:", err));
+redoBtn.onclick = () => historyStore.redo().catch(err => logger.error("Redo failed:", err));
+eventBus.on('history:changed', ({ canUndo, canRedo, undoLabel, redoLabel }) => {
+  undoBtn.disabled = !canUndo;
+  redoBtn.disabled = !canRedo;
+  undoBtn.title = undoLabel ? `Undo: ${undoLabel}` : "Nothing to undo";
+  redoBtn.title = redoLabel ? `Redo: ${redoLabel}` : "Nothing to redo";
+});
+
+// Log of command runs (📜)
+initHistoryPanel();
+
+// Profile switcher (hidden while the room has a single profile)
+const profileSelect = document.getElementById("profileSelect");
+profileSelect.onchange = () => switchProfile(profileSelect.value).catch(err => logger.error("Profile switch failed:", err));
+
+async function refreshProfileSelect() {
+  const { active, profiles } = await getProfiles();
+  profileSelect.innerHTML = '';
+  for (const profile of profiles) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    profileSelect.appendChild(option);
+  }
+  profileSelect.value = active;
+  profileSelect.style.display = profiles.length > 1 ? '' : 'none';
+}
+
+/**
+ * Swap the config, stored values and undo history for those of another profile
+ * @param {string} profileId
+ */
+async function switchProfile(profileId) {
+  // Values still queued belong to the profile being left
+  await flushPendingChanges();
+  await setActiveProfile(profileId);
+
+  const cfg = await loadConfig();
+  historyStore.load(await getProfileScope());
+
+  if (cfg.global?.width || cfg.global?.height) {
+    await OBR.action.setWidth(cfg.global.width || 400);
+    await OBR.action.setHeight(cfg.global.height || 600);
+  }
+
+  await updateConfig(cfg);
+  await registerContextMenuActions(cfg);
+  await refreshProfileSelect();
+  await refreshSharedConfigBanner();
+  logger.log(`Switched to profile ${profileId}`);
+}
+
 // Ensure pending localStorage changes are saved before page unloads
 window.addEventListener('beforeunload', async () => {
   await flushPendingChanges();
@@ -63,6 +132,7 @@ OBR.onReady(async () => {
     }
 
     const cfg = await loadConfig();
+    await refreshProfileSelect();
 
     // Initialize expression system with Google Sheets from localStorage
     const { apiKey } = getGoogleSheetsCredentials();
@@ -73,6 +143,20 @@ OBR.onReady(async () => {
       logger.warn("Google Sheets not configured: missing API key");
     }
 
+    // Token integrations read scene items from one shared, live copy
+    sceneItemStore.start();
+
+    // Values of the variables shared with the room or kept in the scene, needed before resolving them
+    await sharedVariableStore.start()
+      .catch(err => logger.warn('Shared variables unavailable:', err));
+    await sceneVariableStore.start()
+      .catch(err => logger.warn('Scene variables unavailable:', err));
+
+    // Undo history of this profile and command log of this room (kept across popover reloads)
+    const roomId = OBR.room.id || (typeof OBR.room.getId === 'function' ? await OBR.room.getId() : 'unknown');
+    historyStore.load(await getProfileScope());
+    commandHistoryStore.load(roomId);
+
     // Resolve global variables (these are needed immediately for page variable expressions)
     const globalVars = await resolveVariables(cfg.global?.variables);
 
@@ -90,15 +174,32 @@ OBR.onReady(async () => {
 
     // Don't pre-resolve page variables here - let renderPageContent do it
     // This allows live updates as variables resolve
-    for (let i = 0; i < (cfg.pages || []).length; i++) {
-      const page = cfg.pages[i];
+    for (const page of cfg.pages || []) {
       page._resolved = {}; // Start with empty resolved set
-      page._pageIndex = i; // Store page index for later use
+    }
+
+    // Pages bound to the selection need it for their first render
+    try {
+      broadcastUnsubs.push(await initSelectionBinding());
+    } catch (err) {
+      logger.warn('Selection binding unavailable:', err);
     }
 
     // Initialize UI immediately so it's visible even if the scene isn't ready yet.
     initUI(cfg);
 
+    // Actions the pages add to the right-click menu of tokens
+    registerContextMenuActions(cfg)
+      .catch(err => logger.warn('Context menu actions unavailable:', err));
+
+    // Offer the config the GM published to the room
+    initSharedConfigBanner()
+      .then(unsub => { if (unsub) broadcastUnsubs.push(unsub); })
+      .catch(err => logger.warn('Shared config banner unavailable:', err));
+
+    // Re-resolve variables when tokens, scene or room metadata change
+    sceneWatcher.start().catch(err => logger.warn('Scene watcher unavailable:', err));
+
     // Handle optional scene-dependent logging asynchronously; don't block UI init.
     (async () => {
       try {
@@ -172,6 +273,8 @@ OBR.onReady(async () => {
       }
 
       updateConfig(newConfig);
+      registerContextMenuActions(newConfig)
+        .catch(err => logger.warn('Could not update the context menu actions:', err));
     });
     if (configUpdatedUnsub) broadcastUnsubs.push(configUpdatedUnsub);
 
@@ -182,6 +285,25 @@ OBR.onReady(async () => {
       // to let other modules know the debug modes have changed
     });
     if (debugModesUnsub) broadcastUnsubs.push(debugModesUnsub);
+
+    // Profiles created, renamed or deleted from the config modal
+    const profilesUnsub = OBR.broadcast.onMessage(PROFILES_CHANGED_MESSAGE, async () => {
+      try {
+        // Save queued values under the profile on screen before re-reading the registry
+        await flushPendingChanges();
+        const shownProfile = profileSelect.value;
+        const { active } = await loadProfiles(true);
+        if (active !== shownProfile) {
+          // The profile on screen was deleted (or made inactive): show the active one
+          await switchProfile(active);
+        } else {
+          await refreshProfileSelect();
+        }
+      } catch (err) {
+        logger.error("Failed to refresh profiles:", err);
+      }
+    });
+    if (profilesUnsub) broadcastUnsubs.push(profilesUnsub);
   } catch (error) {
     logger.error("Error during initialization:", error);
   }
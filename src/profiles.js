@@ -0,0 +1,238 @@
+/**
+ * Profiles - Named configs per room (one per character / NPC sheet)
+ *
+ * Each profile has its own config, evaluated variables, config snapshots and
+ * undo history. Their storage keys are scoped by getProfileScope():
+ * `<roomId>` for the default profile (the keys used before profiles existed)
+ * and `<roomId>/<profileId>` for the others.
+ *
+ * The list of profiles and the active one are kept per room, through the
+ * selected storage adapter. Changes made from the config modal are broadcast
+ * (`macrohero.profiles.changed`) so the popover can refresh its switcher.
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import { getRoomId, LOCAL_STORAGE_CONFIG_KEY } from "./config.js";
+import { readStored, writeStored, removeStored } from "./storageAdapters/index.js";
+import { createDebugLogger } from "./debugMode.js";
+import { generateId } from "./utils.js";
+
+const logger = createDebugLogger('profiles');
+
+const PROFILES_KEY = "com.sewef.macrohero/profiles";
+export const DEFAULT_PROFILE_ID = 'default';
+export const PROFILES_CHANGED_MESSAGE = 'macrohero.profiles.changed';
+
+let registry = null; // { active, profiles: [{ id, name, createdAt }] }
+
+async function getRegistryKey() {
+  return `${PROFILES_KEY}/${await getRoomId()}`;
+}
+
+function defaultRegistry() {
+  return { active: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default', createdAt: null }] };
+}
+
+async function saveRegistry() {
+  await writeStored(await getRegistryKey(), registry);
+}
+
+function findProfile(id) {
+  return registry.profiles.find(profile => profile.id === id) || null;
+}
+
+function checkName(name, exceptId = null) {
+  const trimmed = String(name ?? '').trim();
+  if (!trimmed) throw new Error('Profile name is required');
+  const taken = registry.profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === trimmed.toLowerCase());
+  if (taken) throw new Error(`A profile named "${trimmed}" already exists`);
+  return trimmed;
+}
+
+/**
+ * Load the profiles of the current room
+ * @param {boolean} [force=false] - Re-read storage (after changes made in another window)
+ * @returns {Promise<{active: string, profiles: Array<{id: string, name: string, createdAt: number|null}>}>}
+ */
+export async function loadProfiles(force = false) {
+  if (registry && !force) return registry;
+  try {
+    const saved = await readStored(await getRegistryKey());
+    registry = saved && Array.isArray(saved.profiles) && saved.profiles.length ? saved : defaultRegistry();
+  } catch (error) {
+    logger.error('Error loading profiles:', error);
+    registry = defaultRegistry();
+  }
+  if (!findProfile(registry.active)) registry.active = registry.profiles[0].id;
+  return registry;
+}
+
+/**
+ * Profiles of the current room (copy)
+ * @returns {Promise<{active: string, profiles: Array<Object>}>}
+ */
+export async function getProfiles() {
+  const { active, profiles } = await loadProfiles();
+  return { active, profiles: profiles.map(profile => ({ ...profile })) };
+}
+
+/**
+ * Id of the active profile
+ * @returns {Promise<string>}
+ */
+export async function getActiveProfileId() {
+  return (await loadProfiles()).active;
+}
+
+/**
+ * Storage scope of a profile, used in its storage keys
+ * @param {string} [profileId] - Defaults to the active profile
+ * @returns {Promise<string>} `<roomId>` or `<roomId>/<profileId>`
+ */
+export async function getProfileScope(profileId = null) {
+  const id = profileId ?? await getActiveProfileId();
+  const roomId = await getRoomId();
+  return id === DEFAULT_PROFILE_ID ? roomId : `${roomId}/${id}`;
+}
+
+/**
+ * Storage keys holding the data of a profile
+ * (evaluated variables and config snapshots keys mirror storage.js / configHistory.js)
+ */
+async function getProfileKeys(profileId) {
+  const scope = await getProfileScope(profileId);
+  return {
+    config: `${LOCAL_STORAGE_CONFIG_KEY}/${scope}`,
+    variables: `macroHero_evaluatedVariables_${scope}`,
+    configHistory: `com.sewef.macrohero/configHistory/${scope}`,
+    undoHistory: `macroHero_history_${scope}`,
+  };
+}
+
+/**
+ * Keys the active profile keeps in the storage backend (used to check a
+ * backend can hold them before switching to it)
+ * @returns {Promise<string[]>}
+ */
+export async function getProfileStorageKeys() {
+  const { config, variables, configHistory } = await getProfileKeys(await getActiveProfileId());
+  return [await getRegistryKey(), config, variables, configHistory];
+}
+
+/**
+ * Tell the other windows (popover / config modal) that profiles changed
+ * They re-read the registry, and follow the active profile if it changed
+ */
+export async function notifyProfilesChanged() {
+  try {
+    await OBR.broadcast.sendMessage(PROFILES_CHANGED_MESSAGE, {}, { destination: 'LOCAL' });
+  } catch (error) {
+    logger.warn('Could not broadcast profile change:', error);
+  }
+}
+
+/**
+ * Make a profile the active one
+ * @param {string} id - Profile id
+ */
+export async function setActiveProfile(id) {
+  await loadProfiles();
+  if (!findProfile(id)) throw new Error(`Unknown profile "${id}"`);
+  if (registry.active === id) return;
+  registry.active = id;
+  await saveRegistry();
+  logger.log(`Active profile: ${id}`);
+}
+
+/**
+ * Create an empty profile (its config starts from the packaged default on first load)
+ * @param {string} name
+ * @returns {Promise<Object>} The new profile
+ */
+export async function createProfile(name) {
+  await loadProfiles(true);
+  const profile = { id: generateId('profile'), name: checkName(name), createdAt: Date.now() };
+  registry.profiles.push(profile);
+  await saveRegistry();
+  logger.log(`Profile created: ${profile.name}`);
+  return { ...profile };
+}
+
+/**
+ * Create a profile with a copy of another profile's config and variable values
+ * @param {string} id - Profile to copy
+ * @param {string} name - Name of the copy
+ * @returns {Promise<Object>} The new profile
+ */
+export async function duplicateProfile(id, name) {
+  await loadProfiles(true);
+  if (!findProfile(id)) throw new Error(`Unknown profile "${id}"`);
+  const profile = { id: generateId('profile'), name: checkName(name), createdAt: Date.now() };
+
+  const source = await getProfileKeys(id);
+  const target = await getProfileKeys(profile.id);
+  for (const key of ['config', 'variables']) {
+    const value = await readStored(source[key]);
+    if (value !== undefined) await writeStored(target[key], value);
+  }
+
+  registry.profiles.push(profile);
+  await saveRegistry();
+  logger.log(`Profile duplicated: ${findProfile(id).name} -> ${profile.name}`);
+  return { ...profile };
+}
+
+/**
+ * Rename a profile
+ * @param {string} id
+ * @param {string} name
+ */
+export async function renameProfile(id, name) {
+  await loadProfiles(true);
+  const profile = findProfile(id);
+  if (!profile) throw new Error(`Unknown profile "${id}"`);
+  profile.name = checkName(name, id);
+  await saveRegistry();
+}
+
+/**
+ * Delete a profile and its data (the last profile cannot be deleted)
+ * @param {string} id
+ * @returns {Promise<string>} Id of the active profile afterwards
+ */
+export async function deleteProfile(id) {
+  await loadProfiles(true);
+  if (!findProfile(id)) throw new Error(`Unknown profile "${id}"`);
+  if (registry.profiles.length === 1) throw new Error('The last profile cannot be deleted');
+
+  const keys = await getProfileKeys(id);
+  for (const key of [keys.config, keys.variables, keys.configHistory]) {
+    try {
+      await removeStored(key);
+    } catch (error) {
+      logger.warn(`Could not remove ${key}:`, error);
+    }
+  }
+  localStorage.removeItem(keys.undoHistory);
+
+  registry.profiles = registry.profiles.filter(profile => profile.id !== id);
+  if (registry.active === id) registry.active = registry.profiles[0].id;
+  await saveRegistry();
+  logger.log(`Profile deleted: ${id}`);
+  return registry.active;
+}
+
+export default {
+  DEFAULT_PROFILE_ID,
+  loadProfiles,
+  getProfiles,
+  getActiveProfileId,
+  getProfileScope,
+  setActiveProfile,
+  createProfile,
+  duplicateProfile,
+  renameProfile,
+  deleteProfile,
+  getProfileStorageKeys,
+  notifyProfilesChanged,
+};
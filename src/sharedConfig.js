@@ -0,0 +1,256 @@
+/**
+ * Shared Config - A config (or some of its pages) published by the GM to the room
+ *
+ * The GM publishes from the config modal's Share tab. The config is gzipped,
+ * base64-encoded and split in chunks stored in room metadata, next to a
+ * manifest describing it:
+ *
+ *   com.sewef.macrohero/sharedConfig     { id, title, pages, partial, ..., chunks, length }
+ *   com.sewef.macrohero/sharedConfig/0   first chunk
+ *   com.sewef.macrohero/sharedConfig/1   ...
+ *
+ * Everything is written in one setMetadata call, so players never read chunks
+ * of two publications. Players get a banner in the popover and install it:
+ * a whole config replaces theirs, selected pages are merged into it. Pages keep
+ * the ids the player already has for them, so their evaluated variable values
+ * (stored by page id) carry over. The replaced config stays in the History tab.
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import {
+  cleanConfigForSave,
+  loadConfig,
+  saveConfigToLocalStorage,
+  broadcastConfigUpdated,
+} from "./config.js";
+import { recordConfigSnapshot } from "./configHistory.js";
+import { planImport } from "./configBundle.js";
+import { migrateConfig } from "./configMigrations.js";
+import { getProfileScope } from "./profiles.js";
+import { readStored, writeStored } from "./storageAdapters/index.js";
+import { createDebugLogger } from "./debugMode.js";
+import { deepClone, generateId, ensureConfigIds } from "./utils.js";
+import { ROOM_METADATA_MAX_BYTES, SHARED_CONFIG_CHUNK_SIZE } from "./constants.js";
+
+const logger = createDebugLogger('sharedConfig');
+
+export const SHARED_CONFIG_KEY = "com.sewef.macrohero/sharedConfig";
+const SHARED_STATE_KEY = "com.sewef.macrohero/sharedConfigState";
+
+const chunkKey = index => `${SHARED_CONFIG_KEY}/${index}`;
+const byteSize = value => new Blob([JSON.stringify(value)]).size;
+
+// ── Encoding ──────────────────────────────────────────────────────────────────
+
+async function compress(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+async function decompress(base64) {
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+// ── Publishing (GM) ───────────────────────────────────────────────────────────
+
+/** Chunk keys found in room metadata */
+function existingChunkKeys(metadata) {
+  return Object.keys(metadata).filter(key => key.startsWith(`${SHARED_CONFIG_KEY}/`));
+}
+
+/**
+ * Publish a config to the room (GM only)
+ * @param {Object} config - Config to publish
+ * @param {Object} [options]
+ * @param {string[]|null} [options.pageIds] - Publish only these pages (with the global variables)
+ * @returns {Promise<Object>} Manifest of the publication
+ */
+export async function publishConfig(config, { pageIds = null } = {}) {
+  if (await OBR.player.getRole() !== 'GM') throw new Error('Only the GM can publish a config');
+
+  const cleaned = cleanConfigForSave(config);
+  const partial = Array.isArray(pageIds);
+  const pages = partial ? (cleaned.pages || []).filter(page => pageIds.includes(page.id)) : (cleaned.pages || []);
+  if (partial && pages.length === 0) throw new Error('Select at least one page to publish');
+  const published = partial
+    ? { version: cleaned.version, global: { variables: cleaned.global?.variables ?? {} }, pages }
+    : cleaned;
+
+  const data = await compress(JSON.stringify(published));
+  const chunks = [];
+  for (let i = 0; i < data.length; i += SHARED_CONFIG_CHUNK_SIZE) chunks.push(data.slice(i, i + SHARED_CONFIG_CHUNK_SIZE));
+
+  const manifest = {
+    id: generateId('pub'),
+    title: cleaned.global?.title || 'Macro Hero',
+    pages: pages.map(page => page.label ?? 'Page'),
+    partial,
+    version: published.version ?? 0,
+    publishedAt: Date.now(),
+    publishedBy: await OBR.player.getId(),
+    publisherName: await OBR.player.getName(),
+    chunks: chunks.length,
+    length: data.length,
+  };
+
+  const metadata = await OBR.room.getMetadata();
+  const previousChunks = existingChunkKeys(metadata);
+  const written = { [SHARED_CONFIG_KEY]: manifest };
+  chunks.forEach((chunk, i) => { written[chunkKey(i)] = chunk; });
+  // Drop the chunks of the previous publication that are not overwritten
+  const update = { ...written };
+  for (const key of previousChunks) {
+    if (!(key in update)) update[key] = undefined;
+  }
+
+  const others = Object.fromEntries(Object.entries(metadata).filter(([key]) => key !== SHARED_CONFIG_KEY && !previousChunks.includes(key)));
+  const needed = byteSize(written);
+  const free = ROOM_METADATA_MAX_BYTES - byteSize(others);
+  if (needed > free) {
+    throw new Error(`The config is too big to publish: ${(needed / 1024).toFixed(1)} kB compressed, ${(Math.max(0, free) / 1024).toFixed(1)} kB free in room metadata. Publish fewer pages.`);
+  }
+
+  await OBR.room.setMetadata(update);
+  logger.log(`Published "${manifest.title}" (${pages.length} page(s), ${chunks.length} chunk(s), ${(needed / 1024).toFixed(1)} kB)`);
+  return { ...manifest, size: needed };
+}
+
+/**
+ * Remove the published config from the room (GM only)
+ */
+export async function unpublishConfig() {
+  if (await OBR.player.getRole() !== 'GM') throw new Error('Only the GM can unpublish a config');
+  const metadata = await OBR.room.getMetadata();
+  const update = { [SHARED_CONFIG_KEY]: undefined };
+  for (const key of existingChunkKeys(metadata)) update[key] = undefined;
+  await OBR.room.setMetadata(update);
+  logger.log('Published config removed');
+}
+
+// ── Reading (players) ─────────────────────────────────────────────────────────
+
+/**
+ * Manifest of the config published in the room
+ * @param {Object} [metadata] - Room metadata (fetched if omitted)
+ * @returns {Promise<Object|null>}
+ */
+export async function getPublishedManifest(metadata = null) {
+  const room = metadata ?? await OBR.room.getMetadata();
+  const manifest = room[SHARED_CONFIG_KEY];
+  return manifest && typeof manifest === 'object' && manifest.id ? manifest : null;
+}
+
+/**
+ * Decode the config published in the room
+ * @returns {Promise<{manifest: Object, config: Object}>}
+ */
+export async function readPublishedConfig() {
+  const metadata = await OBR.room.getMetadata();
+  const manifest = await getPublishedManifest(metadata);
+  if (!manifest) throw new Error('No config is published in this room');
+
+  const parts = [];
+  for (let i = 0; i < manifest.chunks; i++) {
+    const chunk = metadata[chunkKey(i)];
+    if (typeof chunk !== 'string') throw new Error(`The published config is incomplete (part ${i + 1} of ${manifest.chunks} is missing)`);
+    parts.push(chunk);
+  }
+  const data = parts.join('');
+  if (data.length !== manifest.length) throw new Error('The published config is corrupted (size mismatch)');
+  return { manifest, config: JSON.parse(await decompress(data)) };
+}
+
+async function getStateKey() {
+  return `${SHARED_STATE_KEY}/${await getProfileScope()}`;
+}
+
+async function readState() {
+  return (await readStored(await getStateKey())) ?? {};
+}
+
+async function writeState(changes) {
+  await writeStored(await getStateKey(), { ...(await readState()), ...changes });
+}
+
+/**
+ * Where the player stands with a publication
+ * @param {Object} manifest
+ * @returns {Promise<'own'|'installed'|'dismissed'|'update'|'new'>}
+ *   update: an earlier publication was installed in this profile
+ */
+export async function getPublicationStatus(manifest) {
+  if (manifest.publishedBy === await OBR.player.getId()) return 'own';
+  const state = await readState();
+  if (state.installed === manifest.id) return 'installed';
+  if (state.dismissed === manifest.id) return 'dismissed';
+  return state.installed ? 'update' : 'new';
+}
+
+/**
+ * Do not offer this publication again (in this profile)
+ * @param {Object} manifest
+ */
+export async function dismissPublication(manifest) {
+  await writeState({ dismissed: manifest.id });
+}
+
+/** Give published pages the ids this player already has for them (same id, or same label) */
+function keepPageIds(config, current) {
+  const ids = new Set((current?.pages || []).map(page => page.id));
+  const byLabel = new Map((current?.pages || []).map(page => [page.label, page.id]));
+  const used = new Set();
+  for (const page of config.pages || []) {
+    const id = ids.has(page.id) ? page.id : byLabel.get(page.label);
+    if (id && !used.has(id)) page.id = id;
+    used.add(page.id);
+  }
+}
+
+/**
+ * Install the published config in the active profile, keeping the player's
+ * variable values, then refresh the popover
+ * @returns {Promise<Object>} Installed config
+ */
+export async function installPublishedConfig() {
+  const { manifest, config: publishedConfig } = await readPublishedConfig();
+  const published = migrateConfig(publishedConfig).config;
+  const current = await loadConfig();
+
+  let config;
+  if (manifest.partial) {
+    // Selected pages: merged by label (a page already there keeps its id)
+    config = planImport(current, { config: published }, { mode: 'merge', pageConflict: 'imported', variableConflict: 'imported' }).config;
+  } else {
+    config = deepClone(published);
+    keepPageIds(config, current);
+  }
+  ensureConfigIds(config);
+
+  if (!(await saveConfigToLocalStorage(config))) {
+    throw new Error('Could not save the config to the selected storage (see Storage in Integrations)');
+  }
+  await recordConfigSnapshot(config, current);
+  await writeState({ installed: manifest.id, dismissed: null });
+  logger.log(`Installed "${manifest.title}" published by ${manifest.publisherName}`);
+
+  await broadcastConfigUpdated({ savedFromModal: true });
+  return config;
+}
+
+export default {
+  SHARED_CONFIG_KEY,
+  publishConfig,
+  unpublishConfig,
+  getPublishedManifest,
+  readPublishedConfig,
+  getPublicationStatus,
+  dismissPublication,
+  installPublishedConfig,
+};
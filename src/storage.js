@@ -1,20 +1,20 @@
 ﻿/**
  * Centralized Storage Manager
- * Handles all localStorage operations with batching and debouncing
+ * Handles evaluated variable persistence with batching and debouncing
  * Ensures a single source of truth for persisted data
+ * Values go through the selected storage adapter (see storageAdapters/)
  */
 
-import OBR from "@owlbear-rodeo/sdk";
-import { ensureOBRReady } from "./config.js";
 import { createDebugLogger } from "./debugMode.js";
+import { readStored, writeStored, removeStored } from "./storageAdapters/index.js";
+import { getProfileScope } from "./profiles.js";
+import { sharedVariableStore, isSharedVariable } from "./stores/SharedVariableStore.js";
+import { sceneVariableStore, isSceneVariable } from "./stores/SceneVariableStore.js";
 
 // Debug mode constants
 const logger = createDebugLogger("storage");
 
-// Cache for room ID to avoid repeated lookups
-let roomIdCache = null;
-
-// In-memory cache for evaluated variables (maps pageIndex -> varName -> value)
+// In-memory cache for evaluated variables (maps page id -> varName -> value)
 let evaluatedVariablesCache = {};
 
 // Batching system - accumulate changes before writing
@@ -24,30 +24,21 @@ const BATCH_DEBOUNCE_MS = 150; // Wait 150ms to batch multiple changes
 
 /**
  * Get room-scoped key for storing evaluated variables
+ * Scoped by the active profile, so it is not cached (see profiles.js)
  */
 async function getRoomScopedEvaluatedVarsKey() {
-  if (!roomIdCache) {
-    await ensureOBRReady();
-    const roomId = (window.OBR && OBR.room && OBR.room.id)
-      ? OBR.room.id
-      : (OBR.room && typeof OBR.room.getId === 'function' 
-        ? await OBR.room.getId() 
-        : 'unknown');
-    roomIdCache = `macroHero_evaluatedVariables_${roomId}`;
-  }
-  return roomIdCache;
+  return `macroHero_evaluatedVariables_${await getProfileScope()}`;
 }
 
 /**
- * Load all evaluated variables from localStorage (with caching)
+ * Load all evaluated variables from storage (with caching)
  * Called once at startup to prime the cache
  */
 export async function loadAllEvaluatedVariables() {
   const key = await getRoomScopedEvaluatedVarsKey();
   try {
-    const json = localStorage.getItem(key);
-    evaluatedVariablesCache = json ? JSON.parse(json) : {};
-    logger.log("Evaluated variables loaded from localStorage");
+    evaluatedVariablesCache = (await readStored(key)) ?? {};
+    logger.log("Evaluated variables loaded from storage");
     return evaluatedVariablesCache;
   } catch (error) {
     logger.error('Error loading evaluated variables:', error);
@@ -56,50 +47,90 @@ export async function loadAllEvaluatedVariables() {
   }
 }
 
+/**
+ * Re-key values saved by page index (before pages had ids) by page id
+ * Indexes are mapped with the current page order, once; ids already present win.
+ * @param {Array<Object>} pages - Config pages (with ids)
+ */
+export async function migrateIndexKeyedVariables(pages = []) {
+  const indexKeys = Object.keys(evaluatedVariablesCache).filter(key => /^\d+$/.test(key));
+  if (indexKeys.length === 0) return;
+
+  for (const key of indexKeys) {
+    const pageId = pages[Number(key)]?.id;
+    if (pageId && !evaluatedVariablesCache[pageId]) {
+      evaluatedVariablesCache[pageId] = evaluatedVariablesCache[key];
+      pendingChanges[pageId] = { ...evaluatedVariablesCache[key] };
+    }
+    delete evaluatedVariablesCache[key];
+  }
+  logger.log(`Migrated evaluated variables of ${indexKeys.length} page(s) from index to id keys`);
+  await flushPendingChanges(true);
+}
+
 /**
  * Load evaluated variables for a specific page
  */
-export async function loadEvaluatedVariablesForPage(pageIndex) {
+export async function loadEvaluatedVariablesForPage(pageId) {
   // Ensure cache is primed
   if (!Object.keys(evaluatedVariablesCache).length) {
     await loadAllEvaluatedVariables();
   }
-  return evaluatedVariablesCache[pageIndex] || {};
+  return evaluatedVariablesCache[pageId] || {};
 }
 
 /**
  * Get evaluated variable value directly from cache
  */
-export function getEvaluatedVariable(pageIndex, varName) {
-  return evaluatedVariablesCache[pageIndex]?.[varName];
+export function getEvaluatedVariable(pageId, varName) {
+  return evaluatedVariablesCache[pageId]?.[varName];
 }
 
 /**
  * Update a variable and queue it for saving
- * This batches multiple updates into a single localStorage write
+ * This batches multiple updates into a single storage write
+ * @param {string} pageId - Id of the page owning the variable
  */
-export async function updateEvaluatedVariable(pageIndex, varName, value) {
+export async function updateEvaluatedVariable(pageId, varName, value) {
   // Update in-memory cache immediately
-  if (!evaluatedVariablesCache[pageIndex]) {
-    evaluatedVariablesCache[pageIndex] = {};
+  if (!evaluatedVariablesCache[pageId]) {
+    evaluatedVariablesCache[pageId] = {};
   }
-  evaluatedVariablesCache[pageIndex][varName] = value;
+  evaluatedVariablesCache[pageId][varName] = value;
   
   // Track the change for batching
-  if (!pendingChanges[pageIndex]) {
-    pendingChanges[pageIndex] = {};
+  if (!pendingChanges[pageId]) {
+    pendingChanges[pageId] = {};
   }
-  pendingChanges[pageIndex][varName] = value;
+  pendingChanges[pageId][varName] = value;
   
   // Schedule a batched write
   await scheduleBatchSave();
   
-    logger.log(`Variable queued: page${pageIndex}.${varName}`);
+    logger.log(`Variable queued: ${pageId}.${varName}`);
+}
+
+/**
+ * Save a variable value where its scope keeps it: room metadata for shared
+ * variables, scene metadata for scene variables, the player's storage otherwise
+ * @param {string|null} pageId - Id of the page owning the variable
+ * @param {string} varName
+ * @param {Object} variable - Variable definition
+ * @param {*} value
+ */
+export async function persistVariableValue(pageId, varName, variable, value) {
+  if (isSharedVariable(variable)) {
+    await sharedVariableStore.set(varName, value);
+  } else if (isSceneVariable(variable)) {
+    await sceneVariableStore.set(varName, value);
+  } else if (pageId) {
+    await updateEvaluatedVariable(pageId, varName, value);
+  }
 }
 
 /**
  * Schedule a batched save operation
- * Multiple variable updates get coalesced into a single localStorage write
+ * Multiple variable updates get coalesced into a single storage write
  */
 async function scheduleBatchSave() {
   // Clear existing timer if any
@@ -116,7 +147,7 @@ async function scheduleBatchSave() {
     try {
       const key = await getRoomScopedEvaluatedVarsKey();
       const json = JSON.stringify(evaluatedVariablesCache);
-      localStorage.setItem(key, json);
+      await writeStored(key, evaluatedVariablesCache);
       const sizeKB = (new Blob([json]).size / 1024).toFixed(2);
       logger.log(`Batch saved evaluated variables (${sizeKB}KB)`);
       
@@ -134,14 +165,15 @@ async function scheduleBatchSave() {
 /**
  * Force immediate save of all pending changes
  * Called when page is unloading or config is being saved
+ * @param {boolean} force - Save even if no change is pending (e.g. after removing keys)
  */
-export async function flushPendingChanges() {
+export async function flushPendingChanges(force = false) {
   if (saveBatchTimer) {
     clearTimeout(saveBatchTimer);
     saveBatchTimer = null;
   }
   
-  if (Object.keys(pendingChanges).length === 0) {
+  if (!force && Object.keys(pendingChanges).length === 0) {
     logger.log("No pending changes to flush");
     return;
   }
@@ -149,7 +181,7 @@ export async function flushPendingChanges() {
   try {
     const key = await getRoomScopedEvaluatedVarsKey();
     const json = JSON.stringify(evaluatedVariablesCache);
-    localStorage.setItem(key, json);
+    await writeStored(key, evaluatedVariablesCache);
     const sizeKB = (new Blob([json]).size / 1024).toFixed(2);
     logger.log(`Flushed evaluated variables (${sizeKB}KB)`);
     pendingChanges = {};
@@ -158,6 +190,24 @@ export async function flushPendingChanges() {
   }
 }
 
+/**
+ * Write imported evaluated variables (config bundle import)
+ * Each page listed replaces the values stored for that page.
+ * @param {Object} values - varName -> value maps, by page id
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Drop the values of the pages not listed
+ */
+export async function importEvaluatedVariables(values, { replace = false } = {}) {
+  await loadAllEvaluatedVariables();
+  if (replace) evaluatedVariablesCache = {};
+  for (const [pageId, vars] of Object.entries(values)) {
+    evaluatedVariablesCache[pageId] = { ...vars };
+    pendingChanges[pageId] = { ...vars };
+  }
+  await flushPendingChanges(true);
+  logger.log(`Imported evaluated variables of ${Object.keys(values).length} page(s)`);
+}
+
 /**
  * Clear all evaluated variables (resets to defaults)
  */
@@ -167,7 +217,7 @@ export async function clearAllEvaluatedVariables() {
   
   try {
     const key = await getRoomScopedEvaluatedVarsKey();
-    localStorage.removeItem(key);
+    await removeStored(key);
     logger.log("All evaluated variables cleared");
   } catch (error) {
     logger.error('Error clearing variables:', error);
@@ -0,0 +1,78 @@
+/**
+ * IndexedDBAdapter - Storage backend on IndexedDB
+ *
+ * One object store of key -> value (values are stored as structured clones,
+ * not JSON strings). Not bound by the localStorage quota, so large configs fit.
+ */
+
+const DB_NAME = 'macroHero';
+const DB_VERSION = 1;
+const STORE_NAME = 'kv';
+
+/**
+ * Promise for an IDBRequest
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class IndexedDBAdapter {
+  constructor() {
+    this.name = 'indexedDB';
+    this.db = null; // Promise<IDBDatabase>, opened on first use
+  }
+
+  _open() {
+    if (!this.db) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+          request.result.createObjectStore(STORE_NAME);
+        }
+      };
+      this.db = promisify(request).catch((error) => {
+        this.db = null;
+        throw error;
+      });
+    }
+    return this.db;
+  }
+
+  async _store(mode) {
+    const db = await this._open();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  async isAvailable() {
+    if (typeof indexedDB === 'undefined') return false;
+    try {
+      await this._open();
+      return true;
+    } catch {
+      // e.g. disabled in private browsing or blocked third-party iframe storage
+      return false;
+    }
+  }
+
+  async get(key) {
+    return promisify((await this._store('readonly')).get(key));
+  }
+
+  async set(key, value) {
+    await promisify((await this._store('readwrite')).put(value, key));
+  }
+
+  async remove(key) {
+    await promisify((await this._store('readwrite')).delete(key));
+  }
+
+  async keys(prefix = '') {
+    const keys = await promisify((await this._store('readonly')).getAllKeys());
+    return keys.map(String).filter(key => key.startsWith(prefix));
+  }
+}
+
+export default IndexedDBAdapter;
@@ -0,0 +1,39 @@
+/**
+ * LocalStorageAdapter - Storage backend on the browser's localStorage
+ *
+ * Values are stored as JSON strings under the key as given, so data written
+ * before storage adapters existed is read as-is. Limited to ~5 MB per origin.
+ */
+
+class LocalStorageAdapter {
+  constructor() {
+    this.name = 'localStorage';
+  }
+
+  async isAvailable() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch {
+      return false;
+    }
+  }
+
+  async get(key) {
+    const json = localStorage.getItem(key);
+    return json === null ? undefined : JSON.parse(json);
+  }
+
+  async set(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    localStorage.removeItem(key);
+  }
+
+  async keys(prefix = '') {
+    return Object.keys(localStorage).filter(key => key.startsWith(prefix));
+  }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,80 @@
+/**
+ * OBRMetadataAdapter - Storage backend on Owlbear Rodeo metadata
+ *
+ * 'room' scope stores values in the room metadata, under a key namespaced by
+ * the player id, so a player finds their data on any device joining the room.
+ * 'player' scope stores values in the player's own metadata.
+ *
+ * Owlbear limits metadata to 16 KB per room/player: writes over that limit
+ * are rejected before reaching OBR, and `measure` lets the backend selector
+ * check that the data fits before switching to it.
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+
+const METADATA_PREFIX = 'com.sewef.macrohero/storage';
+const MAX_METADATA_BYTES = 16 * 1024;
+
+class OBRMetadataAdapter {
+  /**
+   * @param {'room'|'player'} scope - Metadata to store values in
+   */
+  constructor(scope = 'room') {
+    this.scope = scope;
+    this.name = scope === 'room' ? 'roomMetadata' : 'playerMetadata';
+    this.maxBytes = MAX_METADATA_BYTES;
+  }
+
+  get _api() {
+    return this.scope === 'room' ? OBR.room : OBR.player;
+  }
+
+  async _prefix() {
+    return this.scope === 'room'
+      ? `${METADATA_PREFIX}/${await OBR.player.getId()}/`
+      : `${METADATA_PREFIX}/`;
+  }
+
+  async isAvailable() {
+    return OBR.isAvailable;
+  }
+
+  async get(key) {
+    const metadata = await this._api.getMetadata();
+    return metadata[`${await this._prefix()}${key}`];
+  }
+
+  /**
+   * Size the metadata would have with these values stored
+   * @param {Object} values - key -> value
+   * @returns {Promise<number>} Bytes
+   */
+  async measure(values = {}) {
+    const prefix = await this._prefix();
+    const metadata = await this._api.getMetadata();
+    for (const [key, value] of Object.entries(values)) metadata[`${prefix}${key}`] = value;
+    return new Blob([JSON.stringify(metadata)]).size;
+  }
+
+  async set(key, value) {
+    const size = await this.measure({ [key]: value });
+    if (size > MAX_METADATA_BYTES) {
+      throw new Error(`${this.name} is full: ${(size / 1024).toFixed(1)} KB would exceed the ${MAX_METADATA_BYTES / 1024} KB limit`);
+    }
+    await this._api.setMetadata({ [`${await this._prefix()}${key}`]: value });
+  }
+
+  async remove(key) {
+    await this._api.setMetadata({ [`${await this._prefix()}${key}`]: undefined });
+  }
+
+  async keys(prefix = '') {
+    const metadataPrefix = await this._prefix();
+    return Object.keys(await this._api.getMetadata())
+      .filter(key => key.startsWith(metadataPrefix))
+      .map(key => key.slice(metadataPrefix.length))
+      .filter(key => key.startsWith(prefix));
+  }
+}
+
+export default OBRMetadataAdapter;
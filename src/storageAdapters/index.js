@@ -0,0 +1,202 @@
+/**
+ * Storage adapters - Where the config and evaluated variables are persisted
+ *
+ * Every backend implements the same async interface:
+ *   name                  backend id (see STORAGE_BACKENDS)
+ *   isAvailable()         false when the backend cannot be used here
+ *   get(key)              stored value, or undefined
+ *   set(key, value)       store a JSON-serializable value
+ *   remove(key)
+ *   keys(prefix?)         stored keys starting with prefix
+ * Size-limited backends also have `maxBytes` and `measure(values)` (bytes
+ * used once `values` are stored).
+ *
+ * The backend is chosen per device (localStorage key below, set from the
+ * config modal) and defaults to IndexedDB, falling back to localStorage.
+ *
+ * Migration: when a key is missing from the current backend, it is looked up
+ * in the previously used backend, then in localStorage (where everything was
+ * stored before adapters existed), and copied over on first read.
+ */
+
+import { createDebugLogger } from "../debugMode.js";
+import LocalStorageAdapter from "./LocalStorageAdapter.js";
+import IndexedDBAdapter from "./IndexedDBAdapter.js";
+import OBRMetadataAdapter from "./OBRMetadataAdapter.js";
+
+const logger = createDebugLogger('storageAdapters');
+
+const BACKEND_KEY = 'macroHero_storageBackend';
+const PREVIOUS_BACKEND_KEY = 'macroHero_storageBackend_previous';
+const DEFAULT_BACKEND = 'indexedDB';
+
+/**
+ * Available backends: id -> { label, create }
+ */
+export const STORAGE_BACKENDS = {
+  indexedDB: { label: 'IndexedDB (this device)', create: () => new IndexedDBAdapter() },
+  localStorage: { label: 'localStorage (this device, ~5 MB)', create: () => new LocalStorageAdapter() },
+  roomMetadata: { label: 'Room metadata (synced, 16 KB)', create: () => new OBRMetadataAdapter('room') },
+  playerMetadata: { label: 'Player metadata (synced, 16 KB)', create: () => new OBRMetadataAdapter('player') },
+};
+
+const instances = new Map();
+let currentAdapter = null; // Promise<adapter>
+
+function getInstance(name) {
+  if (!instances.has(name)) instances.set(name, STORAGE_BACKENDS[name].create());
+  return instances.get(name);
+}
+
+/**
+ * Backend selected on this device
+ * @returns {string} Backend id
+ */
+export function getStorageBackend() {
+  const name = localStorage.getItem(BACKEND_KEY);
+  return name in STORAGE_BACKENDS ? name : DEFAULT_BACKEND;
+}
+
+/**
+ * Select the backend used from now on (existing data is migrated on first read)
+ * @param {string} name - Backend id
+ */
+export function setStorageBackend(name) {
+  if (!(name in STORAGE_BACKENDS)) throw new Error(`Unknown storage backend "${name}"`);
+  const previous = getStorageBackend();
+  if (previous === name) return;
+  localStorage.setItem(PREVIOUS_BACKEND_KEY, previous);
+  localStorage.setItem(BACKEND_KEY, name);
+  currentAdapter = null;
+  logger.log(`Storage backend changed: ${previous} -> ${name}`);
+}
+
+/**
+ * Adapter of the selected backend (localStorage if it is not available)
+ * @returns {Promise<Object>}
+ */
+export function getStorageAdapter() {
+  if (!currentAdapter) {
+    currentAdapter = (async () => {
+      const name = getStorageBackend();
+      const adapter = getInstance(name);
+      if (await adapter.isAvailable()) {
+        logger.log(`Using ${name}`);
+        return adapter;
+      }
+      logger.warn(`${name} unavailable, using localStorage`);
+      return getInstance('localStorage');
+    })();
+  }
+  return currentAdapter;
+}
+
+/**
+ * Backends that may still hold data written before the current one was used
+ */
+function getMigrationSources(current) {
+  const sources = [localStorage.getItem(PREVIOUS_BACKEND_KEY), 'localStorage']
+    .filter(name => name in STORAGE_BACKENDS && name !== current.name);
+  return [...new Set(sources)];
+}
+
+/**
+ * Read a value, migrating it from an older backend if needed
+ * @param {string} key
+ * @returns {Promise<any>} Stored value, or undefined
+ */
+export async function readStored(key) {
+  const adapter = await getStorageAdapter();
+  const value = await adapter.get(key);
+  if (value !== undefined) return value;
+
+  for (const name of getMigrationSources(adapter)) {
+    try {
+      const source = getInstance(name);
+      if (!(await source.isAvailable())) continue;
+      const legacy = await source.get(key);
+      if (legacy === undefined) continue;
+      await adapter.set(key, legacy);
+      logger.log(`Migrated "${key}" from ${name} to ${adapter.name}`);
+      return legacy;
+    } catch (error) {
+      logger.warn(`Could not migrate "${key}" from ${name}:`, error);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Value from the current backend or the ones it migrates from, without migrating it
+ */
+async function peekStored(key) {
+  const adapter = await getStorageAdapter();
+  const value = await adapter.get(key);
+  if (value !== undefined) return value;
+  for (const name of getMigrationSources(adapter)) {
+    const source = getInstance(name);
+    if (!(await source.isAvailable())) continue;
+    const legacy = await source.get(key);
+    if (legacy !== undefined) return legacy;
+  }
+  return undefined;
+}
+
+/**
+ * How much of a size-limited backend the stored data would use once moved there
+ * @param {string} name - Backend id
+ * @param {string[]} keys - Keys that would be stored there
+ * @returns {Promise<{bytes: number, limit: number}|null>} null when the backend has no limit
+ */
+export async function estimateBackendUsage(name, keys) {
+  if (!(name in STORAGE_BACKENDS)) throw new Error(`Unknown storage backend "${name}"`);
+  const target = getInstance(name);
+  if (!target.maxBytes || typeof target.measure !== 'function') return null;
+
+  const values = {};
+  for (const key of keys) {
+    const value = await peekStored(key);
+    if (value !== undefined) values[key] = value;
+  }
+  const bytes = await target.measure(values);
+  logger.log(`${name} would hold ${bytes} of ${target.maxBytes} bytes`);
+  return { bytes, limit: target.maxBytes };
+}
+
+/**
+ * Store a value in the current backend
+ * @param {string} key
+ * @param {any} value - JSON-serializable value
+ */
+export async function writeStored(key, value) {
+  const adapter = await getStorageAdapter();
+  await adapter.set(key, value);
+}
+
+/**
+ * Remove a value from the current backend, and its older copies so it is
+ * not migrated back on the next read
+ * @param {string} key
+ */
+export async function removeStored(key) {
+  const adapter = await getStorageAdapter();
+  await adapter.remove(key);
+  for (const name of getMigrationSources(adapter)) {
+    try {
+      await getInstance(name).remove(key);
+    } catch (error) {
+      logger.warn(`Could not remove "${key}" from ${name}:`, error);
+    }
+  }
+}
+
+export default {
+  STORAGE_BACKENDS,
+  getStorageBackend,
+  setStorageBackend,
+  getStorageAdapter,
+  estimateBackendUsage,
+  readStored,
+  writeStored,
+  removeStored,
+};
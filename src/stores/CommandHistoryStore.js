@@ -0,0 +1,150 @@
+/**
+ * CommandHistoryStore - Log of button command runs
+ *
+ * Listens to `executor:commandsCompleted` / `executor:commandsFailed` and keeps
+ * one entry per run: when, which button and page, how long it took, the
+ * variables it changed, the integration calls it made and its error, if any.
+ * The log is kept per room in localStorage so it survives popover reloads,
+ * and is shown (filterable, exportable as JSON) in the history panel.
+ */
+
+import { eventBus } from "../events/EventBus.js";
+import { createDebugLogger } from "../debugMode.js";
+import { MAX_COMMAND_HISTORY_ENTRIES } from "../constants.js";
+
+const logger = createDebugLogger('CommandHistoryStore');
+
+const STORAGE_KEY_PREFIX = 'macroHero_commandHistory_';
+const PERSIST_DELAY_MS = 250;
+const MAX_VALUE_LENGTH = 500;
+
+/**
+ * JSON-safe copy of a logged value; large values are cut down to a string
+ */
+function toLogValue(value) {
+  if (value === undefined) return null;
+  try {
+    const json = JSON.stringify(value);
+    if (json === undefined) return String(value);
+    return json.length > MAX_VALUE_LENGTH ? `${json.slice(0, MAX_VALUE_LENGTH)}…` : JSON.parse(json);
+  } catch {
+    return String(value);
+  }
+}
+
+class CommandHistoryStore {
+  constructor() {
+    this.entries = []; // Most recent first
+    this.storageKey = null;
+    this.persistTimer = null;
+
+    eventBus.on('executor:commandsCompleted', (run) => this.record(run, null));
+    eventBus.on('executor:commandsFailed', (run) => this.record(run, run.error));
+  }
+
+  /**
+   * Load the persisted log of a room
+   * @param {string} roomId
+   */
+  load(roomId) {
+    this.storageKey = `${STORAGE_KEY_PREFIX}${roomId || 'unknown'}`;
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      // Keep runs recorded before the log was loaded
+      this.entries = [...this.entries, ...(Array.isArray(saved) ? saved : [])].slice(0, MAX_COMMAND_HISTORY_ENTRIES);
+      logger.log(`Loaded ${this.entries.length} run(s)`);
+    } catch (error) {
+      logger.warn('Failed to load command history:', error);
+    }
+    eventBus.emit('commandHistory:changed');
+  }
+
+  /**
+   * Add a run to the log
+   * @param {Object} run - Executor event payload
+   * @param {Error|null} error - Error of a failed run
+   */
+  record(run, error) {
+    const page = run.page;
+    const entry = {
+      id: `${run.startedAt ?? Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      time: run.startedAt ?? Date.now(),
+      label: run.label ?? 'Command',
+      page: page ? (page.title ?? page.label ?? page.id ?? null) : null,
+      pageId: run.pageId ?? null,
+      duration: run.duration ?? null,
+      status: !error ? 'ok' : (error.name === 'TimeoutError' || error.name === 'AbortError') ? 'stopped' : 'failed',
+      changes: (run.changes || []).map(({ name, from, to }) => ({ name, from: toLogValue(from), to: toLogValue(to) })),
+      calls: (run.calls || []).map(({ scope, name, args }) => ({ scope, name, args: toLogValue(args) })),
+      error: error ? { name: error.name, message: error.message ?? String(error), call: error.call ?? null } : null,
+    };
+
+    this.entries.unshift(entry);
+    if (this.entries.length > MAX_COMMAND_HISTORY_ENTRIES) this.entries.length = MAX_COMMAND_HISTORY_ENTRIES;
+    logger.log(`Recorded run "${entry.label}" (${entry.status})`);
+    this.schedulePersist();
+    eventBus.emit('commandHistory:changed');
+  }
+
+  /**
+   * Get logged runs, most recent first
+   * @param {Object} [filter] - { text, status }
+   *   - text: matched (case-insensitive) against label, page, variable and call names, error
+   *   - status: 'ok' | 'failed' | 'stopped' ('all' or empty for every run)
+   * @returns {Array<Object>}
+   */
+  getEntries({ text = '', status = '' } = {}) {
+    const needle = text.trim().toLowerCase();
+    return this.entries.filter(entry => {
+      if (status && status !== 'all' && entry.status !== status) return false;
+      if (!needle) return true;
+      const haystack = [
+        entry.label,
+        entry.page,
+        entry.error?.message,
+        ...entry.changes.map(change => change.name),
+        ...entry.calls.map(call => call.name),
+      ].filter(Boolean).join('\n').toLowerCase();
+      return haystack.includes(needle);
+    });
+  }
+
+  /**
+   * Serialize runs for export
+   * @param {Array<Object>} [entries] - Runs to export (defaults to all)
+   * @returns {string} JSON
+   */
+  exportJSON(entries = this.entries) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), runs: entries }, null, 2);
+  }
+
+  /**
+   * Forget all runs
+   */
+  clear() {
+    this.entries = [];
+    this.schedulePersist();
+    eventBus.emit('commandHistory:changed');
+  }
+
+  /**
+   * Debounced write to localStorage
+   */
+  schedulePersist() {
+    if (!this.storageKey) return;
+    clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+      } catch (error) {
+        logger.warn('Failed to persist command history:', error);
+      }
+    }, PERSIST_DELAY_MS);
+  }
+}
+
+// Singleton instance
+export const commandHistoryStore = new CommandHistoryStore();
+
+export default CommandHistoryStore;
@@ -0,0 +1,87 @@
+/**
+ * ErrorStore - Variables currently resolved to an error value
+ *
+ * Listens to variable resolution and keeps the latest error of each variable
+ * until it resolves cleanly again. The list is mirrored to localStorage so
+ * the config modal (a separate window) can show it in the Debug tab.
+ */
+
+import { eventBus } from "../events/EventBus.js";
+import { createDebugLogger } from "../debugMode.js";
+import { isErrorValue } from "../engines/errorValues.js";
+import { VARIABLE_ERRORS_STORAGE_KEY } from "../constants.js";
+
+const logger = createDebugLogger('ErrorStore');
+
+const PERSIST_DELAY_MS = 250;
+
+class ErrorStore {
+  constructor() {
+    this.errors = new Map(); // varName -> { varName, error, time }
+    this.persistTimer = null;
+
+    eventBus.on('engine:variableResolved', (varName, value) => this.record(varName, value));
+
+    // The Debug tab clears the list by removing the storage key
+    window.addEventListener('storage', (event) => {
+      if (event.key === VARIABLE_ERRORS_STORAGE_KEY && event.newValue === null) {
+        this.errors.clear();
+        logger.log('Cleared from Debug tab');
+      }
+    });
+  }
+
+  /**
+   * Track (or forget) the error of a variable after it resolves
+   * @param {string} varName
+   * @param {any} value - Resolved value
+   */
+  record(varName, value) {
+    if (isErrorValue(value)) {
+      this.errors.set(varName, { varName, error: value.$error, time: Date.now() });
+      logger.log(`Error recorded: ${varName}`, value.$error.message);
+    } else if (this.errors.has(varName)) {
+      this.errors.delete(varName);
+      logger.log(`Error cleared: ${varName}`);
+    } else {
+      return;
+    }
+    this.schedulePersist();
+  }
+
+  /**
+   * Get all current errors, most recent first
+   * @returns {Array<{varName: string, error: Object, time: number}>}
+   */
+  getErrors() {
+    return [...this.errors.values()].sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Forget all errors
+   */
+  clear() {
+    this.errors.clear();
+    this.schedulePersist();
+  }
+
+  /**
+   * Debounced write to localStorage (resolution emits one event per variable)
+   */
+  schedulePersist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      try {
+        localStorage.setItem(VARIABLE_ERRORS_STORAGE_KEY, JSON.stringify(this.getErrors()));
+      } catch (error) {
+        logger.warn('Failed to persist errors:', error);
+      }
+    }, PERSIST_DELAY_MS);
+  }
+}
+
+// Singleton instance
+export const errorStore = new ErrorStore();
+
+export default ErrorStore;
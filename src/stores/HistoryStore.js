@@ -0,0 +1,229 @@
+/**
+ * HistoryStore - Undo/redo log of command side effects
+ *
+ * The executor opens a transaction around each command run; while it is
+ * open, modules that change state record plain-data entries describing the
+ * change (before and after). Overlapping runs each have their own
+ * transaction: an entry goes to the run given to record(), else to the only
+ * open run, else to the only run waiting on a host call (callStarted /
+ * callEnded), else to the latest run. Each entry type has a handler, registered by
+ * the module that owns the state, that knows how to reapply either side:
+ *   - 'items'     SceneItemStore: item field and metadata patches
+ *   - 'addItems' / 'deleteItems'  SceneItemStore
+ *   - 'variable'  executor: setValue / addValue on page variables
+ *   - 'local'     Local integration
+ *   - 'condition' ConditionMarkers
+ *
+ * Entries are JSON so the history survives a popover reload (stored per room).
+ */
+
+import { eventBus } from "../events/EventBus.js";
+import { createDebugLogger } from "../debugMode.js";
+import { MAX_HISTORY_TRANSACTIONS } from "../constants.js";
+
+const logger = createDebugLogger('HistoryStore');
+
+const STORAGE_KEY_PREFIX = 'macroHero_history_';
+
+class HistoryStore {
+  constructor() {
+    this.undoStack = [];   // [{ id, label, time, entries }], oldest first
+    this.redoStack = [];
+    this.open = new Map(); // Open transactions by id, oldest first
+    this.replaying = false;
+    this.handlers = new Map();
+    this.storageKey = null;
+  }
+
+  /**
+   * Register how entries of a type are undone and redone
+   * @param {string} type - Entry type
+   * @param {{undo: Function, redo: Function}} handler - async (entry) => void
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Load the persisted history of a room
+   * @param {string} roomId
+   */
+  load(roomId) {
+    this.storageKey = `${STORAGE_KEY_PREFIX}${roomId || 'unknown'}`;
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      this.undoStack = Array.isArray(saved?.undo) ? saved.undo : [];
+      this.redoStack = Array.isArray(saved?.redo) ? saved.redo : [];
+      logger.log(`Loaded ${this.undoStack.length} undo / ${this.redoStack.length} redo transaction(s)`);
+    } catch (error) {
+      logger.warn('Failed to load history:', error);
+      this.undoStack = [];
+      this.redoStack = [];
+    }
+    this._changed(false);
+  }
+
+  _save() {
+    if (!this.storageKey) return;
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ undo: this.undoStack, redo: this.redoStack }));
+    } catch (error) {
+      logger.warn('Failed to save history:', error);
+    }
+  }
+
+  _changed(save = true) {
+    if (save) this._save();
+    eventBus.emit('history:changed', this.getState());
+  }
+
+  /**
+   * Open the transaction of a run
+   * @param {string} label - Shown in the undo/redo button tooltips
+   * @returns {string} Transaction id, for record() and commit()
+   */
+  begin(label) {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.open.set(id, { id, label, time: Date.now(), entries: [], calls: 0 });
+    this._changed(false);
+    return id;
+  }
+
+  /**
+   * Close the transaction of a run; it is kept only if something was recorded
+   * @param {string} id - Returned by begin()
+   */
+  commit(id) {
+    const open = this.open.get(id);
+    if (!open) return;
+    this.open.delete(id);
+
+    const { calls, ...transaction } = open;
+    if (transaction.entries.length > 0) {
+      this.undoStack.push(transaction);
+      if (this.undoStack.length > MAX_HISTORY_TRANSACTIONS) this.undoStack.shift();
+      this.redoStack = [];
+      logger.log(`Recorded "${transaction.label}" (${transaction.entries.length} change(s))`);
+    }
+    this._changed(transaction.entries.length > 0);
+  }
+
+  /**
+   * Count a host call made by a run (see record)
+   * @param {string} id - Transaction id
+   */
+  callStarted(id) {
+    const transaction = this.open.get(id);
+    if (transaction) transaction.calls++;
+  }
+
+  /**
+   * @param {string} id - Transaction id
+   */
+  callEnded(id) {
+    const transaction = this.open.get(id);
+    if (transaction) transaction.calls = Math.max(0, transaction.calls - 1);
+  }
+
+  /**
+   * Whether changes made now should be recorded
+   */
+  isRecording() {
+    return this.open.size > 0 && !this.replaying;
+  }
+
+  /**
+   * Add an entry to a run's transaction (ignored when not recording)
+   * @param {Object} entry - { type, ...data } — must be JSON serializable
+   * @param {string} [id] - Transaction of the run that made the change, when known
+   */
+  record(entry, id = null) {
+    if (!this.isRecording()) return;
+    this._transactionFor(id).entries.push(entry);
+  }
+
+  /**
+   * Transaction a change belongs to when the caller does not know its run
+   */
+  _transactionFor(id) {
+    if (this.open.has(id)) return this.open.get(id);
+    const open = [...this.open.values()];
+    if (open.length === 1) return open[0];
+    const calling = open.filter(transaction => transaction.calls > 0);
+    if (calling.length === 1) return calling[0];
+    logger.warn(`Change made while ${open.length} runs are open, recorded with the latest`);
+    return (calling.length > 0 ? calling : open).at(-1);
+  }
+
+  /**
+   * Undo/redo availability, for the header buttons
+   */
+  getState() {
+    const busy = this.open.size > 0 || this.replaying;
+    return {
+      canUndo: !busy && this.undoStack.length > 0,
+      canRedo: !busy && this.redoStack.length > 0,
+      undoLabel: this.undoStack[this.undoStack.length - 1]?.label ?? null,
+      redoLabel: this.redoStack[this.redoStack.length - 1]?.label ?? null,
+    };
+  }
+
+  async _replay(transaction, direction) {
+    const entries = direction === 'undo' ? [...transaction.entries].reverse() : transaction.entries;
+    for (const entry of entries) {
+      const handler = this.handlers.get(entry.type);
+      if (!handler) {
+        logger.warn(`No history handler for "${entry.type}"`);
+        continue;
+      }
+      try {
+        await handler[direction](entry);
+      } catch (error) {
+        logger.error(`Failed to ${direction} ${entry.type} change:`, error);
+      }
+    }
+  }
+
+  /**
+   * Revert the last recorded run
+   * @returns {Promise<string|null>} Label of the undone run
+   */
+  async undo() {
+    if (!this.getState().canUndo) return null;
+    const transaction = this.undoStack.pop();
+    this.replaying = true;
+    this._changed(false);
+    try {
+      await this._replay(transaction, 'undo');
+    } finally {
+      this.replaying = false;
+      this.redoStack.push(transaction);
+      this._changed();
+    }
+    return transaction.label;
+  }
+
+  /**
+   * Reapply the last undone run
+   * @returns {Promise<string|null>} Label of the redone run
+   */
+  async redo() {
+    if (!this.getState().canRedo) return null;
+    const transaction = this.redoStack.pop();
+    this.replaying = true;
+    this._changed(false);
+    try {
+      await this._replay(transaction, 'redo');
+    } finally {
+      this.replaying = false;
+      this.undoStack.push(transaction);
+      this._changed();
+    }
+    return transaction.label;
+  }
+}
+
+// Singleton instance
+export const historyStore = new HistoryStore();
+
+export default HistoryStore;
@@ -0,0 +1,445 @@
+/**
+ * SceneItemStore - Shared in-memory copy of the scene items
+ *
+ * Token integrations read items through this store instead of calling
+ * `OBR.scene.items.getItems` each time: the first read fetches every item
+ * once (concurrent readers share that request), then the copy is kept up to
+ * date by `OBR.scene.items.onChange`.
+ *
+ * Writes go to OBR one at a time, at most one every ITEM_WRITE_MIN_INTERVAL_MS.
+ * Once a write succeeds, its effect is applied to the copy (unless onChange
+ * refreshed it meanwhile) so reads right after it are not stale; the copy is
+ * only dropped when a write fails.
+ *
+ * Inside a batch (a command run, or `batch(async () => ...)` in macros),
+ * `updateItems` calls are queued and committed as a single `updateItems`
+ * on flush. `batch()` in a macro flushes only the updates of its own run
+ * (those no other open run shares). Queued updaters are replayed in call order on the same drafts,
+ * so when two patches touch the same field the last call wins. Reads made
+ * during the batch see the queued updates. When a batch ends, the updates
+ * queued while it was open are committed, except those queued while another
+ * batch (an overlapping command run) was open too: they wait for it.
+ *
+ * A batch given an aborted signal (a run cancelled or timed out) drops the
+ * updates queued while it was the only open batch instead of committing them;
+ * updates queued while another run was open too are kept for that run.
+ *
+ * While a history transaction is open, writes are recorded as field and
+ * metadata patches (or added/deleted items) so the run can be undone.
+ *
+ * Until start() is called (e.g. in the config modal) reads and writes go to
+ * OBR directly.
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import { createDebugLogger } from "../debugMode.js";
+import { ITEM_WRITE_MIN_INTERVAL_MS } from "../constants.js";
+import { historyStore } from "./HistoryStore.js";
+
+const logger = createDebugLogger('SceneItemStore');
+
+// Item fields never restored by undo
+const UNTRACKED_FIELDS = new Set(['id', 'metadata', 'lastModified', 'lastModifiedUserId']);
+
+const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Differences between two versions of an item, as { field|key, from, to }
+ * (`from`/`to` are omitted when the field did not exist)
+ */
+function diffItem(before, after) {
+  const entry = (name, from, to) => ({
+    ...name,
+    ...(from !== undefined && { from: structuredClone(from) }),
+    ...(to !== undefined && { to: structuredClone(to) }),
+  });
+  const fields = [];
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!UNTRACKED_FIELDS.has(field) && !sameJSON(before[field], after[field])) {
+      fields.push(entry({ field }, before[field], after[field]));
+    }
+  }
+  const metadata = [];
+  const beforeMeta = before.metadata ?? {};
+  const afterMeta = after.metadata ?? {};
+  for (const key of new Set([...Object.keys(beforeMeta), ...Object.keys(afterMeta)])) {
+    if (!sameJSON(beforeMeta[key], afterMeta[key])) {
+      metadata.push(entry({ key }, beforeMeta[key], afterMeta[key]));
+    }
+  }
+  return { fields, metadata };
+}
+
+/**
+ * Apply one side ('from' or 'to') of recorded patches to item drafts
+ */
+function applyPatches(patches, side, drafts) {
+  const byId = new Map(patches.map(patch => [patch.id, patch]));
+  for (const draft of drafts) {
+    const patch = byId.get(draft.id);
+    if (!patch) continue;
+    for (const change of patch.fields) {
+      if (side in change) draft[change.field] = structuredClone(change[side]);
+      else delete draft[change.field];
+    }
+    for (const change of patch.metadata) {
+      if (side in change) draft.metadata[change.key] = structuredClone(change[side]);
+      else delete draft.metadata[change.key];
+    }
+  }
+}
+
+class SceneItemStore {
+  constructor() {
+    this.items = null;      // Map<id, item>, null when not loaded or stale
+    this.loading = null;    // In-flight full fetch shared by concurrent readers
+    this.generation = 0;    // Bumped on invalidation so late fetches are discarded
+    this.unsubscribers = [];
+
+    // Write batching
+    this.batches = new Set();  // Open batches: { signal }
+    this.pendingUpdates = []; // [{ ids, update, batches }] in call order
+    this.writeChain = Promise.resolve();
+    this.lastWriteAt = 0;
+
+    this._registerHistoryHandlers();
+  }
+
+  _registerHistoryHandlers() {
+    historyStore.registerHandler('items', {
+      undo: ({ patches }) => this.updateItems(patches.map(p => p.id), drafts => applyPatches(patches, 'from', drafts)),
+      redo: ({ patches }) => this.updateItems(patches.map(p => p.id), drafts => applyPatches(patches, 'to', drafts)),
+    });
+    historyStore.registerHandler('addItems', {
+      undo: ({ items }) => this.deleteItems(items.map(item => item.id)),
+      redo: ({ items }) => this.addItems(structuredClone(items)),
+    });
+    historyStore.registerHandler('deleteItems', {
+      undo: ({ items }) => this.addItems(structuredClone(items)),
+      redo: ({ items }) => this.deleteItems(items.map(item => item.id)),
+    });
+  }
+
+  /**
+   * Record the effect of updaters on the current items in the open transaction
+   * @param {Array<{ids: string[], update: Function}>} updates - In call order
+   * @param {string} [history] - Transaction of the run that made them (see HistoryStore.record)
+   * @param {Map} [working] - Items as changed by updates recorded just before (updated here)
+   */
+  async _recordUpdates(updates, history = null, working = null) {
+    if (!historyStore.isRecording()) return;
+
+    const ids = [...new Set(updates.flatMap(entry => entry.ids))];
+    const before = this.unsubscribers.length > 0 || working
+      ? structuredClone(ids.map(id => working?.get(id) ?? this.items?.get(id) ?? null).filter(Boolean))
+      : [];
+    // Ids missing from the copy (not loaded yet, or store not started)
+    const missing = ids.filter(id => !before.some(item => item.id === id));
+    if (missing.length > 0) before.push(...await OBR.scene.items.getItems(missing));
+
+    const after = structuredClone(before);
+    const byId = new Map(after.map(item => [item.id, item]));
+    for (const { ids: targetIds, update } of updates) {
+      this._runUpdate(update, targetIds.map(id => byId.get(id)).filter(Boolean));
+    }
+
+    for (const item of after) working?.set(item.id, item);
+
+    const patches = before
+      .map(item => ({ id: item.id, ...diffItem(item, byId.get(item.id)) }))
+      .filter(patch => patch.fields.length > 0 || patch.metadata.length > 0);
+    if (patches.length > 0) historyStore.record({ type: 'items', patches }, history);
+  }
+
+  /**
+   * Keep the copy in sync with the scene (call once OBR is ready)
+   */
+  start() {
+    if (this.unsubscribers.length > 0) return;
+    this.unsubscribers.push(
+      OBR.scene.items.onChange(items => this._setItems(items)),
+      OBR.scene.onReadyChange(() => this.invalidate()),
+    );
+    logger.log('Started');
+  }
+
+  /**
+   * Stop syncing and drop the copy
+   */
+  stop() {
+    this.unsubscribers.forEach(unsub => { try { unsub?.(); } catch { /* ignore */ } });
+    this.unsubscribers = [];
+    this.invalidate();
+  }
+
+  /**
+   * Drop the copy; the next read fetches the items again
+   */
+  invalidate() {
+    this.items = null;
+    this.loading = null;
+    this.generation++;
+  }
+
+  _setItems(items) {
+    this.items = new Map(items.map(item => [item.id, item]));
+    this.loading = null;
+    this.generation++;
+  }
+
+  async _load() {
+    if (this.items) return this.items;
+    if (!this.loading) {
+      const generation = this.generation;
+      this.loading = OBR.scene.items.getItems().then(items => {
+        // Invalidated or refreshed by onChange meanwhile: keep the newer state
+        if (generation === this.generation) this._setItems(items);
+        return new Map(items.map(item => [item.id, item]));
+      }).finally(() => {
+        if (generation === this.generation) this.loading = null;
+      });
+      logger.log('Fetching scene items');
+    }
+    return this.loading;
+  }
+
+  /**
+   * Get scene items, like `OBR.scene.items.getItems`
+   * @param {string[]|Function} [filter] - Item ids, or a predicate
+   * @returns {Promise<Array<Object>>} Copies of the matching items
+   */
+  async getItems(filter) {
+    if (this.unsubscribers.length === 0) return OBR.scene.items.getItems(filter);
+
+    const items = this._applyPending(await this._load());
+    let result;
+    if (Array.isArray(filter)) {
+      result = filter.map(id => items.get(id)).filter(Boolean);
+    } else if (typeof filter === 'function') {
+      result = [...items.values()].filter(filter);
+    } else {
+      result = [...items.values()];
+    }
+    return structuredClone(result);
+  }
+
+  /**
+   * Overlay queued updates on a copy of the touched items
+   */
+  _applyPending(items) {
+    if (this.pendingUpdates.length === 0) return items;
+
+    const view = new Map(items);
+    const touched = new Set(this.pendingUpdates.flatMap(({ ids }) => ids));
+    for (const id of touched) {
+      if (view.has(id)) view.set(id, structuredClone(view.get(id)));
+    }
+    for (const { ids, update } of this.pendingUpdates) {
+      this._runUpdate(update, ids.map(id => view.get(id)).filter(Boolean));
+    }
+    return view;
+  }
+
+  _runUpdate(update, drafts) {
+    try {
+      update(drafts);
+    } catch (error) {
+      logger.error('Item updater failed:', error);
+    }
+  }
+
+  /**
+   * Ids targeted by an `updateItems` filter (ids, items or predicate)
+   */
+  async _resolveIds(target) {
+    if (Array.isArray(target)) {
+      return target.map(entry => (typeof entry === 'string' ? entry : entry?.id)).filter(Boolean);
+    }
+    return (await this.getItems(target)).map(item => item.id);
+  }
+
+  /**
+   * Run an OBR write after the previous one, respecting the minimum interval
+   * @param {Function} fn - async () => any, the OBR call
+   * @param {Function} [patch] - (items) => void, applies the write to a copy of the items map
+   */
+  _write(fn, patch = null) {
+    const result = this.writeChain.then(async () => {
+      const wait = this.lastWriteAt + ITEM_WRITE_MIN_INTERVAL_MS - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+      // Computed before the write: re-running updaters on items onChange
+      // already updated would apply relative changes twice
+      const generation = this.generation;
+      let next = null;
+      if (this.items && patch) {
+        next = new Map(this.items);
+        patch(next);
+      }
+      try {
+        const value = await fn();
+        if (next && generation === this.generation) this.items = next;
+        else if (!next && this.loading) this.invalidate(); // A fetch started before the write may miss it
+        return value;
+      } catch (error) {
+        this.invalidate();
+        throw error;
+      } finally {
+        this.lastWriteAt = Date.now();
+      }
+    });
+    this.writeChain = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Patch running updaters in call order on copies of the items they target
+   * @param {Array<{ids: string[]|Function, update: Function}>} updates - Ids or a predicate
+   */
+  _updatePatch(updates) {
+    return (items) => {
+      for (const { ids, update } of updates) {
+        const targets = typeof ids === 'function' ? [...items.values()].filter(ids) : ids.map(id => items.get(id));
+        const drafts = targets.filter(Boolean).map(item => structuredClone(item));
+        this._runUpdate(update, drafts);
+        for (const draft of drafts) items.set(draft.id, draft);
+      }
+    };
+  }
+
+  /**
+   * Start a batch
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - When aborted, the batch's own updates are dropped
+   * @param {string} [options.history] - History transaction its updates are recorded in
+   * @returns {Object} Batch, to pass to endBatch
+   */
+  beginBatch({ signal = null, history = null } = {}) {
+    const batch = { signal, history };
+    this.batches.add(batch);
+    return batch;
+  }
+
+  /**
+   * End a batch and commit the queued updates no other open batch shares
+   * @param {Object} batch - Returned by beginBatch
+   */
+  async endBatch(batch) {
+    this.batches.delete(batch);
+    if (batch?.signal?.aborted) {
+      const kept = this.pendingUpdates.filter(entry => ![...entry.batches].every(b => b.signal?.aborted));
+      const dropped = this.pendingUpdates.length - kept.length;
+      this.pendingUpdates = kept;
+      if (dropped > 0) logger.log(`Dropped ${dropped} update(s) of a stopped run`);
+    }
+
+    const ready = this.pendingUpdates.filter(entry => ![...entry.batches].some(b => this.batches.has(b)));
+    if (ready.length === 0) return;
+    this.pendingUpdates = this.pendingUpdates.filter(entry => !ready.includes(entry));
+    await this._commit(ready, batch?.history ?? null);
+  }
+
+  /**
+   * Run a function with its item updates merged into a single write
+   * @param {Function} fn - async (batch) => any
+   * @param {Object} [options] - { signal, history } (see beginBatch)
+   * @returns {Promise<any>} Result of fn
+   */
+  async batch(fn, options = {}) {
+    const batch = this.beginBatch(options);
+    try {
+      return await fn(batch);
+    } finally {
+      await this.endBatch(batch);
+    }
+  }
+
+  /**
+   * Commit queued updates as one `updateItems` call, merged per item
+   * @param {Object} [batch] - Only commit the updates of this open batch that
+   *   no other open batch shares (they stay queued for it); all of them if omitted
+   */
+  async flush(batch = null) {
+    const pending = batch
+      ? this.pendingUpdates.filter(entry => entry.batches.has(batch)
+        && [...entry.batches].every(b => b === batch || !this.batches.has(b)))
+      : this.pendingUpdates;
+    if (pending.length === 0) return;
+    this.pendingUpdates = this.pendingUpdates.filter(entry => !pending.includes(entry));
+    await this._commit(pending, batch?.history ?? null);
+  }
+
+  /**
+   * Record and write queued updates; those queued by a single batch are
+   * recorded in its history transaction, the others in `history`
+   */
+  async _commit(pending, history = null) {
+    const ids = [...new Set(pending.flatMap(entry => entry.ids))];
+    logger.log(`Committing ${pending.length} update(s) on ${ids.length} item(s)`);
+
+    const byHistory = new Map();
+    for (const entry of pending) {
+      const key = entry.batches.size === 1 ? [...entry.batches][0].history ?? history : history;
+      if (!byHistory.has(key)) byHistory.set(key, []);
+      byHistory.get(key).push(entry);
+    }
+    const working = new Map();
+    for (const [key, updates] of byHistory) await this._recordUpdates(updates, key, working);
+
+    await this._write(() => OBR.scene.items.updateItems(ids, (drafts) => {
+      const byId = new Map(drafts.map(draft => [draft.id, draft]));
+      for (const { ids: targetIds, update } of pending) {
+        this._runUpdate(update, targetIds.map(id => byId.get(id)).filter(Boolean));
+      }
+    }), this._updatePatch(pending));
+  }
+
+  /**
+   * Update items (same arguments as `OBR.scene.items.updateItems`);
+   * queued until the end of the current batch, if any
+   */
+  async updateItems(target, update) {
+    if (this.batches.size === 0 || this.unsubscribers.length === 0) {
+      if (historyStore.isRecording()) {
+        await this._recordUpdates([{ ids: await this._resolveIds(target), update }]);
+      }
+      const ids = Array.isArray(target) ? await this._resolveIds(target) : target;
+      return this._write(() => OBR.scene.items.updateItems(target, update), this._updatePatch([{ ids, update }]));
+    }
+    const ids = await this._resolveIds(target);
+    if (ids.length > 0) this.pendingUpdates.push({ ids, update, batches: new Set(this.batches) });
+  }
+
+  /**
+   * Add items through OBR (queued updates are committed first)
+   */
+  async addItems(items) {
+    await this.flush();
+    if (historyStore.isRecording()) {
+      historyStore.record({ type: 'addItems', items: JSON.parse(JSON.stringify(items)) });
+    }
+    const added = structuredClone(items);
+    return this._write(() => OBR.scene.items.addItems(items), (copy) => {
+      for (const item of added) copy.set(item.id, item);
+    });
+  }
+
+  /**
+   * Delete items through OBR (queued updates are committed first)
+   */
+  async deleteItems(ids) {
+    await this.flush();
+    if (historyStore.isRecording()) {
+      const items = await this.getItems(ids);
+      if (items.length > 0) historyStore.record({ type: 'deleteItems', items });
+    }
+    return this._write(() => OBR.scene.items.deleteItems(ids), (copy) => {
+      for (const id of ids) copy.delete(id);
+    });
+  }
+}
+
+// Singleton instance
+export const sceneItemStore = new SceneItemStore();
+
+export default SceneItemStore;
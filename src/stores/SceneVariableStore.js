@@ -0,0 +1,155 @@
+/**
+ * SceneVariableStore - Variables that belong to the open scene
+ *
+ * A variable defined with `scope: 'scene'` (trap triggered, doors opened,
+ * light level, ...) keeps its value in the metadata of the scene, one key per
+ * variable name:
+ *
+ *   com.sewef.macrohero/sceneVariables/<name>   value
+ *
+ * Every map has its own values; while no scene is open, or until someone
+ * writes it in this scene, a scene variable resolves from its definition.
+ * VariableEngine reads the value from here and records the key as a scene
+ * input of the variable, so SceneWatcher re-resolves it when it changes.
+ * When the GM switches scenes the values are reloaded and
+ * `store:sceneVariablesReloaded` (keys) is emitted with the keys that changed.
+ */
+
+import {
+  getSceneMetadata,
+  updateSceneMetadata,
+  onSceneMetadataChange,
+  onSceneReadyChange,
+  isSceneReady,
+} from "../commands/scene/sceneMetadata.js";
+import { eventBus } from "../events/EventBus.js";
+import { createDebugLogger } from "../debugMode.js";
+
+const logger = createDebugLogger('SceneVariableStore');
+
+export const SCENE_VARIABLES_KEY = "com.sewef.macrohero/sceneVariables";
+
+/**
+ * Whether a variable definition belongs to the scene
+ * @param {Object} variable - Variable definition
+ * @returns {boolean}
+ */
+export const isSceneVariable = variable => variable?.scope === 'scene';
+
+/**
+ * Scene metadata key of a scene variable
+ * @param {string} name - Variable name
+ * @returns {string}
+ */
+export const sceneVariableKey = name => `${SCENE_VARIABLES_KEY}/${name}`;
+
+class SceneVariableStore {
+  constructor() {
+    this.values = new Map(); // name -> value in the open scene
+    this.ready = false;
+    this.generation = 0;     // Bumped on scene switches so late loads are discarded
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Load the values of the open scene and follow changes and scene switches
+   * (call once OBR is ready)
+   */
+  async start() {
+    if (this.unsubscribers.length > 0) return;
+    this.unsubscribers.push(
+      onSceneMetadataChange(metadata => { if (this.ready) this._setMetadata(metadata); }),
+      onSceneReadyChange(ready => {
+        this._reload(ready).catch(error => logger.warn('Could not reload scene variables:', error));
+      }),
+    );
+    await this._reload(await isSceneReady(), { silent: true });
+    logger.log(`Started (${this.values.size} scene value(s))`);
+  }
+
+  /**
+   * Stop following changes and drop the values
+   */
+  stop() {
+    this.unsubscribers.forEach(unsub => { try { unsub?.(); } catch { /* ignore */ } });
+    this.unsubscribers = [];
+    this.values.clear();
+    this.ready = false;
+    this.generation++;
+  }
+
+  /**
+   * Whether the variable has a value in the open scene
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.values.has(name);
+  }
+
+  /**
+   * Value of a scene variable in the open scene
+   * @param {string} name
+   * @returns {*} Value, or undefined if the scene has none
+   */
+  get(name) {
+    return this.values.get(name);
+  }
+
+  /**
+   * Inputs to watch for a scene variable (see reactiveInputs.js)
+   * @param {string} name
+   * @returns {Array<Object>}
+   */
+  getInputs(name) {
+    return [{ source: 'scene', key: sceneVariableKey(name) }];
+  }
+
+  /**
+   * Set a scene variable in the open scene
+   * @param {string} name
+   * @param {*} value
+   * @returns {Promise<*>} Value written
+   */
+  async set(name, value) {
+    if (!this.ready) throw new Error(`No scene is open: "${name}" cannot be saved`);
+    this.values.set(name, value);
+    await updateSceneMetadata({ [sceneVariableKey(name)]: value });
+    logger.log(`Set ${name} = ${JSON.stringify(value)}`);
+    return value;
+  }
+
+  async _reload(ready, { silent = false } = {}) {
+    const generation = ++this.generation;
+    const metadata = ready ? await getSceneMetadata() : {};
+    if (generation !== this.generation) return;
+
+    this.ready = ready;
+    const keys = this._setMetadata(metadata);
+    logger.log(ready ? `Scene opened (${this.values.size} scene value(s))` : 'Scene closed');
+    if (!silent && keys.size > 0) eventBus.emit('store:sceneVariablesReloaded', keys);
+  }
+
+  /**
+   * Replace the values with those of the scene metadata
+   * @returns {Set<string>} Keys whose value changed
+   */
+  _setMetadata(metadata) {
+    const prefix = `${SCENE_VARIABLES_KEY}/`;
+    const next = new Map();
+    for (const [key, value] of Object.entries(metadata)) {
+      if (key.startsWith(prefix) && value !== undefined) next.set(key.slice(prefix.length), value);
+    }
+    const changed = new Set();
+    for (const name of new Set([...this.values.keys(), ...next.keys()])) {
+      if (JSON.stringify(this.values.get(name)) !== JSON.stringify(next.get(name))) changed.add(sceneVariableKey(name));
+    }
+    this.values = next;
+    return changed;
+  }
+}
+
+// Singleton instance
+export const sceneVariableStore = new SceneVariableStore();
+
+export default SceneVariableStore;
@@ -0,0 +1,190 @@
+/**
+ * SharedVariableStore - Variables shared by everyone in the room
+ *
+ * A variable defined with `scope: 'shared'` (party gold, a doom clock, ...)
+ * keeps its value in room metadata instead of each player's storage, matched
+ * by name whatever page defines it. Until someone writes it, it resolves from
+ * its definition. VariableEngine reads the value from here and records the
+ * keys below as room inputs of the variable (getInputs), so SceneWatcher
+ * re-resolves it (and its dependents) when another player changes it.
+ *
+ * Room metadata is last-writer-wins, so two players incrementing a counter at
+ * the same time must not write the same key. Each player only writes their own
+ * running total of additions, and a set records everyone's totals at that time:
+ *
+ *   com.sewef.macrohero/sharedVariables/<name>             { value, by, base: { playerId: total } }
+ *   com.sewef.macrohero/sharedVariables/<name>/<playerId>  total added by that player
+ *
+ *   value = set.value + Σ (total - base[playerId])
+ *
+ * Concurrent additions all count; concurrent sets keep the last one written
+ * (additions the setter had not seen yet are kept on top of it).
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import { createDebugLogger } from "../debugMode.js";
+
+const logger = createDebugLogger('SharedVariableStore');
+
+export const SHARED_VARIABLES_KEY = "com.sewef.macrohero/sharedVariables";
+
+/**
+ * Whether a variable definition is shared with the room
+ * @param {Object} variable - Variable definition
+ * @returns {boolean}
+ */
+export const isSharedVariable = variable => variable?.scope === 'shared';
+
+/**
+ * Room metadata key of a shared variable (its last set; additions are stored under `<key>/<playerId>`)
+ * @param {string} name - Variable name
+ * @returns {string}
+ */
+export const sharedVariableKey = name => `${SHARED_VARIABLES_KEY}/${name}`;
+
+const clamp = (value, { min, max } = {}) => {
+  if (min !== undefined && value < min) return min;
+  if (max !== undefined && value > max) return max;
+  return value;
+};
+
+class SharedVariableStore {
+  constructor() {
+    this.sets = new Map();    // name -> { value, by, base }
+    this.totals = new Map();  // name -> Map(playerId -> total added)
+    this.ownTotals = new Map(); // name -> total added by this player (only written here, never read back)
+    this.playerId = null;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Load the shared values and follow room metadata changes (call once OBR is ready)
+   */
+  async start() {
+    if (this.unsubscribers.length > 0) return;
+    this.unsubscribers.push(OBR.room.onMetadataChange(metadata => this._setMetadata(metadata)));
+    this.playerId = await OBR.player.getId();
+    this._setMetadata(await OBR.room.getMetadata());
+    logger.log(`Started (${this.sets.size} shared value(s) in the room)`);
+  }
+
+  /**
+   * Stop following changes and drop the values
+   */
+  stop() {
+    this.unsubscribers.forEach(unsub => { try { unsub?.(); } catch { /* ignore */ } });
+    this.unsubscribers = [];
+    this.sets.clear();
+    this.totals.clear();
+    this.ownTotals.clear();
+  }
+
+  /**
+   * Whether someone has written the variable in this room
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.sets.has(name);
+  }
+
+  /**
+   * Room value of a shared variable
+   * @param {string} name
+   * @returns {*} Value, or undefined if nobody has written it yet
+   */
+  get(name) {
+    const set = this.sets.get(name);
+    if (!set) return undefined;
+    let added = 0;
+    for (const [playerId, total] of this.totals.get(name) ?? []) {
+      added += total - (Number(set.base?.[playerId]) || 0);
+    }
+    return added === 0 ? set.value : (Number(set.value) || 0) + added;
+  }
+
+  /**
+   * Inputs to watch for a shared variable: its set and everyone's additions (see reactiveInputs.js)
+   * @param {string} name
+   * @returns {Array<Object>}
+   */
+  getInputs(name) {
+    const key = sharedVariableKey(name);
+    return [{ source: 'room', key }, { source: 'room', prefix: `${key}/` }];
+  }
+
+  /**
+   * Set a shared variable for the whole room
+   * @param {string} name
+   * @param {*} value
+   * @returns {Promise<*>} Value written
+   */
+  async set(name, value) {
+    const base = Object.fromEntries(this.totals.get(name) ?? []);
+    const set = { value, by: this.playerId, base };
+    this.sets.set(name, set);
+    await OBR.room.setMetadata({ [sharedVariableKey(name)]: set });
+    logger.log(`Set ${name} = ${JSON.stringify(value)}`);
+    return value;
+  }
+
+  /**
+   * Add to a numeric shared variable; additions made at the same time by
+   * other players all count
+   * @param {string} name
+   * @param {number} delta
+   * @param {Object} [options]
+   * @param {number} [options.initial=0] - Value to start from if nobody has written it yet
+   * @param {number} [options.min] - Constraints of the variable, checked against the value known here
+   * @param {number} [options.max]
+   * @returns {Promise<number>} New value
+   */
+  async add(name, delta, { initial = 0, min, max } = {}) {
+    const update = {};
+    if (!this.has(name)) {
+      // First write: the initial value goes with the addition, so that players
+      // adding to it at the same time write the same set and all their additions
+      const set = { value: Number(initial) || 0, by: this.playerId, base: Object.fromEntries(this.totals.get(name) ?? []) };
+      this.sets.set(name, set);
+      update[sharedVariableKey(name)] = set;
+    }
+    const current = Number(this.get(name)) || 0;
+    const next = clamp(current + (Number(delta) || 0), { min, max });
+
+    if (next !== current) {
+      const total = (this.ownTotals.get(name) ?? this.totals.get(name)?.get(this.playerId) ?? 0) + (next - current);
+      this.ownTotals.set(name, total);
+      if (!this.totals.has(name)) this.totals.set(name, new Map());
+      this.totals.get(name).set(this.playerId, total);
+      update[`${sharedVariableKey(name)}/${this.playerId}`] = total;
+    }
+    if (Object.keys(update).length > 0) await OBR.room.setMetadata(update);
+    logger.log(`Added ${next - current} to ${name} = ${next}`);
+    return next;
+  }
+
+  _setMetadata(metadata) {
+    const prefix = `${SHARED_VARIABLES_KEY}/`;
+    this.sets.clear();
+    this.totals.clear();
+    // Our own totals are ahead of metadata reported before our last writes landed
+    for (const [name, total] of this.ownTotals) {
+      this.totals.set(name, new Map([[this.playerId, total]]));
+    }
+    for (const [key, entry] of Object.entries(metadata)) {
+      if (!key.startsWith(prefix)) continue;
+      const [name, playerId] = key.slice(prefix.length).split('/');
+      if (playerId === undefined) {
+        if (entry && typeof entry === 'object') this.sets.set(name, entry);
+      } else if (Number.isFinite(entry) && !(playerId === this.playerId && this.ownTotals.has(name))) {
+        if (!this.totals.has(name)) this.totals.set(name, new Map());
+        this.totals.get(name).set(playerId, entry);
+      }
+    }
+  }
+}
+
+// Singleton instance
+export const sharedVariableStore = new SharedVariableStore();
+
+export default SharedVariableStore;
@@ -14,14 +14,14 @@ class VariableStore {
   constructor() {
     // Configuration
     this.config = null;
-    this.currentPageIndex = null;
+    this.currentPageId = null;
 
     // Variables state
     this.globalVariablesConfig = {}; // Variable definitions (not resolved values)
     this.globalVariablesResolved = {}; // Resolved values
     
-    this.pageVariablesConfigs = []; // Array of page variable definitions
-    this.pageVariablesResolved = []; // Array of resolved page variables
+    this.pageVariablesConfigs = {}; // Page id -> page variable definitions
+    this.pageVariablesResolved = {}; // Page id -> resolved page variables
     
     // Metadata
     this.modifiedVariables = new Set(); // Track which variables were modified
@@ -47,50 +47,58 @@ class VariableStore {
   }
 
   /**
-   * Set current page index and initialize its resolved variables
+   * Find a configured page by id
    */
-  setCurrentPage(pageIndex) {
-    if (pageIndex < 0 || pageIndex >= (this.config?.pages || []).length) {
-      logger.warn('Invalid page index:', pageIndex);
+  _findPage(pageId) {
+    return this.config?.pages?.find(page => page?.id === pageId) || null;
+  }
+
+  /**
+   * Set current page and initialize its resolved variables
+   * @param {string} pageId - Page id
+   */
+  setCurrentPage(pageId) {
+    const page = this._findPage(pageId);
+    if (!page) {
+      logger.warn('Invalid page id:', pageId);
       return;
     }
 
-    this.currentPageIndex = pageIndex;
-    const page = this.config.pages[pageIndex];
+    this.currentPageId = pageId;
     
     // Initialize resolved page variables if not already done
-    if (!this.pageVariablesResolved[pageIndex]) {
-      this.pageVariablesResolved[pageIndex] = { ...this.globalVariablesResolved };
+    if (!this.pageVariablesResolved[pageId]) {
+      this.pageVariablesResolved[pageId] = { ...this.globalVariablesResolved };
     }
 
-    logger.log('Current page set:', pageIndex);
-    eventBus.emit('store:pageChanged', pageIndex, page);
+    logger.log('Current page set:', pageId);
+    eventBus.emit('store:pageChanged', pageId, page);
   }
 
   /**
    * Get current page
    */
   getCurrentPage() {
-    if (this.currentPageIndex === null) return null;
-    return this.config?.pages?.[this.currentPageIndex] || null;
+    if (this.currentPageId === null) return null;
+    return this._findPage(this.currentPageId);
   }
 
   /**
    * Get current page resolved variables
    */
   getCurrentPageVariablesResolved() {
-    if (this.currentPageIndex === null) return {};
-    return this.pageVariablesResolved[this.currentPageIndex] || {};
+    if (this.currentPageId === null) return {};
+    return this.pageVariablesResolved[this.currentPageId] || {};
   }
 
   /**
    * Update a resolved variable value
    * Emits event for UI updates
    */
-  setVariableResolved(varName, value, pageIndex = null) {
-    const targetIndex = pageIndex !== null ? pageIndex : this.currentPageIndex;
+  setVariableResolved(varName, value, pageId = null) {
+    const targetId = pageId !== null ? pageId : this.currentPageId;
 
-    if (targetIndex === null) {
+    if (targetId === null) {
       // Global variable
       this.globalVariablesResolved[varName] = value;
       this.modifiedVariables.add(varName);
@@ -98,41 +106,41 @@ class VariableStore {
       eventBus.emit('store:variableResolved', varName, value, 'global');
     } else {
       // Page variable
-      if (!this.pageVariablesResolved[targetIndex]) {
-        this.pageVariablesResolved[targetIndex] = {};
+      if (!this.pageVariablesResolved[targetId]) {
+        this.pageVariablesResolved[targetId] = {};
       }
-      this.pageVariablesResolved[targetIndex][varName] = value;
+      this.pageVariablesResolved[targetId][varName] = value;
       this.modifiedVariables.add(varName);
       logger.log('Page variable resolved:', varName, '=', value);
-      eventBus.emit('store:variableResolved', varName, value, 'page', targetIndex);
+      eventBus.emit('store:variableResolved', varName, value, 'page', targetId);
     }
   }
 
   /**
    * Get a resolved variable value
    */
-  getVariableResolved(varName, pageIndex = null) {
-    const targetIndex = pageIndex !== null ? pageIndex : this.currentPageIndex;
+  getVariableResolved(varName, pageId = null) {
+    const targetId = pageId !== null ? pageId : this.currentPageId;
 
-    if (targetIndex === null) {
+    if (targetId === null) {
       return this.globalVariablesResolved[varName];
     } else {
-      return this.pageVariablesResolved[targetIndex]?.[varName];
+      return this.pageVariablesResolved[targetId]?.[varName];
     }
   }
 
   /**
    * Get all resolved variables (merged: global + page)
    */
-  getAllResolvedVariables(pageIndex = null) {
-    const targetIndex = pageIndex !== null ? pageIndex : this.currentPageIndex;
+  getAllResolvedVariables(pageId = null) {
+    const targetId = pageId !== null ? pageId : this.currentPageId;
 
-    if (targetIndex === null) {
+    if (targetId === null) {
       return { ...this.globalVariablesResolved };
     } else {
       return {
         ...this.globalVariablesResolved,
-        ...(this.pageVariablesResolved[targetIndex] || {}),
+        ...(this.pageVariablesResolved[targetId] || {}),
       };
     }
   }
@@ -140,37 +148,38 @@ class VariableStore {
   /**
    * Get variable configuration (definition, not resolved value)
    */
-  getVariableConfig(varName, pageIndex = null) {
-    const targetIndex = pageIndex !== null ? pageIndex : this.currentPageIndex;
+  getVariableConfig(varName, pageId = null) {
+    const targetId = pageId !== null ? pageId : this.currentPageId;
 
-    if (targetIndex === null) {
+    if (targetId === null) {
       return this.globalVariablesConfig[varName];
     } else {
-      return this.config?.pages?.[targetIndex]?.variables?.[varName];
+      return this._findPage(targetId)?.variables?.[varName];
     }
   }
 
   /**
    * Update a variable definition (for setValue, addValue, etc)
    */
-  setVariableConfig(varName, config, pageIndex = null) {
-    const targetIndex = pageIndex !== null ? pageIndex : this.currentPageIndex;
+  setVariableConfig(varName, config, pageId = null) {
+    const targetId = pageId !== null ? pageId : this.currentPageId;
 
     // If config is available, update it
     if (this.config) {
-      if (targetIndex === null) {
+      if (targetId === null) {
         this.globalVariablesConfig[varName] = config;
       } else {
-        if (this.config.pages && this.config.pages[targetIndex]) {
-          if (!this.config.pages[targetIndex].variables) {
-            this.config.pages[targetIndex].variables = {};
+        const page = this._findPage(targetId);
+        if (page) {
+          if (!page.variables) {
+            page.variables = {};
           }
-          this.config.pages[targetIndex].variables[varName] = config;
+          page.variables[varName] = config;
         }
       }
     } else {
       // If config is not initialized yet, just update the in-memory config
-      if (targetIndex === null) {
+      if (targetId === null) {
         this.globalVariablesConfig[varName] = config;
       }
       // For page variables without config, we can't do much - the page object itself maintains the source of truth
@@ -199,11 +208,11 @@ class VariableStore {
    */
   clear() {
     this.config = null;
-    this.currentPageIndex = null;
+    this.currentPageId = null;
     this.globalVariablesConfig = {};
     this.globalVariablesResolved = {};
-    this.pageVariablesConfigs = [];
-    this.pageVariablesResolved = [];
+    this.pageVariablesConfigs = {};
+    this.pageVariablesResolved = {};
     this.modifiedVariables.clear();
     logger.log("Store cleared");
   }
@@ -7,34 +7,28 @@ import { createDebugLogger } from "./debugMode.js";
 import { eventBus as EventBus } from "./events/EventBus.js";
 import { variableStore } from "./stores/VariableStore.js";
 import { ComponentRegistry } from "./ui/ComponentRegistry.js";
+import { UIComponent } from "./ui/UIComponent.js";
+import { isErrorValue, getErrorLabel } from "./engines/errorValues.js";
 
 // Debug logger
 const logger = createDebugLogger('ui');
 
 let config = null;
 let currentPage = null;
+let currentPageId = null; // Id of the current page: finds it again if the pages are reordered
 let globalVariables = {}; // Store global variables for use in button clicks
 let renderedValueElements = {}; // Map of varName -> DOM element for live updates
 let renderedCheckboxElements = {}; // Map of varName -> checkbox input element for live updates
 let renderedExpressionElements = []; // Array of { element, item, page } for title/text expression evaluation
 
 import OBR from "@owlbear-rodeo/sdk";
-import { STORAGE_KEY, MODAL_LABEL, loadConfig, saveConfig } from "./config.js";
+import { STORAGE_KEY, MODAL_LABEL, loadConfig, saveConfig, broadcastConfigUpdated } from "./config.js";
 import { handleButtonClick } from "./executor.js";
 import { resolveVariables, getDependentVariables, evaluateExpression } from "./expressionEvaluator.js";
+import { variableEngine } from "./engines/VariableEngine.js";
 import { eventBus } from "./events/EventBus.js";
-
-/**
- * Broadcast config update notification to refresh pages across the app
- */
-async function broadcastConfigUpdated() {
-  try {
-    await OBR.broadcast.sendMessage("macrohero.config.updated", { savedFromUI: true }, { destination: "LOCAL" });
-    logger.log("Config update broadcasted");
-  } catch (err) {
-    logger.warn('Failed to broadcast config update:', err);
-  }
-}
+import { isSceneVariable } from "./stores/SceneVariableStore.js";
+import { getBindingVar, getBindingTarget, renderBindingBar, updateBindingBar } from "./ui/selectionBinding.js";
 
 /**
  * Initialize the UI with the given configuration
@@ -53,6 +47,25 @@ export function initUI(cfg) {
     logger.log('Variable updated:', varName, '=', value);
     updateRenderedValue(varName, value);
   });
+
+  // Re-resolve variables whose scene inputs changed outside of our buttons
+  eventBus.on('scene:inputsChanged', (changes) => {
+    refreshChangedVariables(changes)
+      .catch(err => logger.error('Error refreshing changed variables:', err));
+  });
+
+  // Bound pages follow the selected (or pinned) item
+  eventBus.on('selection:changed', () => {
+    applySelectionBinding()
+      .catch(err => logger.error('Error applying the selection binding:', err));
+  });
+
+  // Another scene was opened: show the values of its scene variables
+  eventBus.on('store:sceneVariablesReloaded', (keys) => {
+    invalidateSceneVariables();
+    refreshChangedVariables([{ source: 'scene', keys }])
+      .catch(err => logger.error('Error refreshing scene variables:', err));
+  });
 }
 
 // Show a loading overlay and hide content while config is loading
@@ -94,6 +107,14 @@ export function setGlobalVariables(vars) {
   logger.log("Global variables stored");
 }
 
+/**
+ * Get the resolved global variables
+ * @returns {Object} Global variables object
+ */
+export function getGlobalVariables() {
+  return globalVariables;
+}
+
 // ============================================
 // RENDER HELPERS - Page Navigation
 // ============================================
@@ -131,6 +152,7 @@ function renderPageButtons() {
       btn.textContent = p.title ?? p.label ?? `Page ${index + 1}`;
       btn.addEventListener('click', async () => {
         currentPage = index;
+        currentPageId = p.id ?? null;
         renderPageButtons();
         await renderPageContent(p);
       });
@@ -151,12 +173,14 @@ function selectFirstPage() {
   if (config.pages?.length) {
     const first = config.pages[0];
     currentPage = 0;
+    currentPageId = first.id ?? null;
     // Ensure the tabs update to reflect the selected page
     renderPageButtons();
     renderPageContent(first).catch(err => logger.error('Error rendering first page:', err));
   } else {
       // No pages configured
       currentPage = null;
+      currentPageId = null;
   }
 }
 
@@ -165,14 +189,143 @@ function selectFirstPage() {
 // ============================================
 
 export async function reloadCurrentPage() {
-  if (currentPage !== null && config?.pages?.[currentPage]) {
-    const page = config.pages[currentPage];
+  const page = getCurrentPage();
+  if (page) {
     // Force reset resolved variables so they get re-evaluated on reload
     page._resolved = {};
     await renderPageContent(page);
   }
 }
 
+/**
+ * Page shown in the popover, found by id (by index for a page without id)
+ * @returns {Object|null}
+ */
+function getCurrentPage() {
+  if (currentPageId) return findPageById(currentPageId);
+  return currentPage !== null ? config?.pages?.[currentPage] ?? null : null;
+}
+
+/**
+ * Forget the resolved scene variables (and their dependents) of the pages not
+ * shown, so they are resolved with the new scene's values when opened
+ */
+function invalidateSceneVariables() {
+  const sceneVarsOf = (variables = {}) => Object.keys(variables).filter(varName => isSceneVariable(variables[varName]));
+  const globalSceneVars = sceneVarsOf(config?.global?.variables);
+  const current = getCurrentPage();
+
+  for (const page of config?.pages || []) {
+    if (page === current || !page.variables || !page._resolved) continue;
+    const seeds = new Set([
+      ...sceneVarsOf(page.variables),
+      ...variableEngine.getVariablesReading(page.variables, globalSceneVars),
+    ]);
+    if (seeds.size === 0) continue;
+    for (const varName of variableEngine.getDependentVariables(page.variables, seeds)) {
+      delete page._resolved[varName];
+    }
+  }
+}
+
+/**
+ * Re-resolve the global and current page variables whose last evaluation
+ * read a scene item, scene metadata or room metadata key that changed
+ * @param {Array<Object>} changes - Change descriptors from SceneWatcher
+ */
+async function refreshChangedVariables(changes) {
+  if (!config) return;
+
+  // Global variables first: page variables may read them
+  const globalsConfig = config.global?.variables;
+  const globalSeeds = variableEngine.getVariablesForChanges(globalsConfig, changes);
+  const changedGlobals = globalSeeds.size > 0
+    ? variableEngine.getDependentVariables(globalsConfig, globalSeeds)
+    : new Set();
+
+  if (changedGlobals.size > 0) {
+    logger.log(`Re-resolving ${changedGlobals.size} global variable(s) after scene change`);
+    const resolved = await variableEngine.resolveVariables(globalsConfig, globalVariables, changedGlobals);
+    for (const varName of changedGlobals) {
+      globalVariables[varName] = resolved[varName];
+      for (const page of config.pages || []) {
+        if (page._resolved) page._resolved[varName] = resolved[varName];
+      }
+      updateRenderedValue(varName, resolved[varName]);
+    }
+    variableStore.setGlobalVariablesResolved(globalVariables);
+  }
+
+  const page = getCurrentPage();
+  if (!page?.variables || !page._resolved) return;
+
+  const pageSeeds = variableEngine.getVariablesForChanges(page.variables, changes);
+  for (const varName of variableEngine.getVariablesReading(page.variables, changedGlobals)) {
+    pageSeeds.add(varName);
+  }
+  if (pageSeeds.size === 0) return;
+
+  const toResolve = variableEngine.getDependentVariables(page.variables, pageSeeds);
+  logger.log(`Re-resolving ${toResolve.size} page variable(s) after scene change`);
+  const resolved = await variableEngine.resolveVariables(page.variables, page._resolved, toResolve);
+  for (const varName of toResolve) {
+    page._resolved[varName] = resolved[varName];
+    if (page.id) {
+      variableStore.setVariableResolved(varName, resolved[varName], page.id);
+    }
+    updateRenderedValue(varName, resolved[varName]);
+  }
+}
+
+/**
+ * Point the bound variable of a page at the selected (or pinned) item. The
+ * item is a runtime override: the variable definition is left as configured,
+ * so the selection is never saved or shared with the config
+ * @param {Object} page
+ * @returns {Set<string>} Variables to resolve again (the bound one and its dependents), empty if unchanged
+ */
+function applyBindingTarget(page) {
+  const varName = getBindingVar(page);
+  if (!varName) return new Set();
+  if (!page.variables?.[varName]) {
+    logger.warn(`Page "${page.label}" is bound to "${varName}", which is not one of its variables`);
+    return new Set();
+  }
+  const target = getBindingTarget(page);
+  if (target === null || !variableEngine.setOverride(page.variables, varName, target)) return new Set();
+  return variableEngine.getDependentVariables(page.variables, [varName]);
+}
+
+/**
+ * Point the bound pages at the selected (or pinned) item: the current page
+ * re-resolves the variables depending on it, the others when next shown
+ */
+async function applySelectionBinding() {
+  if (!config) return;
+  const current = getCurrentPage();
+  for (const page of config.pages || []) {
+    if (!getBindingVar(page)) continue;
+    const affected = applyBindingTarget(page);
+
+    if (page !== current) {
+      for (const varName of affected) delete page._resolved?.[varName];
+      continue;
+    }
+
+    const bar = document.querySelector('#content .mh-binding-bar');
+    if (bar) updateBindingBar(bar, page).catch(err => logger.warn('Error updating the binding bar:', err));
+    if (affected.size === 0 || !page._resolved) continue;
+
+    logger.log(`Re-resolving ${affected.size} variable(s) for the selected item`);
+    const resolved = await variableEngine.resolveVariables(page.variables, page._resolved, affected);
+    for (const varName of affected) {
+      page._resolved[varName] = resolved[varName];
+      if (page.id) variableStore.setVariableResolved(varName, resolved[varName], page.id);
+      updateRenderedValue(varName, resolved[varName]);
+    }
+  }
+}
+
 async function renderPageContent(page) {
   const container = document.getElementById("content");
   
@@ -189,9 +342,14 @@ async function renderPageContent(page) {
     page._resolved = { ...globalVariables, ...page._resolved };
   }
 
+  // A page bound to the selection shows the selected item
+  for (const varName of applyBindingTarget(page)) delete page._resolved[varName];
+
   // IMMEDIATE RENDER: Build and display content right away with default/loading values
   // This allows the page to be visible instantly, even if variables are still resolving
   const tempContainer = document.createElement('div');
+
+  if (getBindingVar(page)) tempContainer.appendChild(renderBindingBar(page));
   
   if (page.layout && Array.isArray(page.layout)) {
     renderLayout(tempContainer, page.layout, page);
@@ -253,26 +411,26 @@ export function updateRenderedValue(varName, value) {
     // Update value display
     const contentDiv = element.querySelector(".mh-value-content");
     if (contentDiv) {
-      contentDiv.textContent = value ?? "N/A";
-      contentDiv.classList.remove("mh-loading");
+      UIComponent.setValueContent(contentDiv, value);
     }
 
     // Update counter input if this is a counter
     const counterInput = element.querySelector(".mh-counter-input");
     if (counterInput) {
-      counterInput.value = value ?? 0;
+      counterInput.value = isErrorValue(value) ? "" : value ?? 0;
+      UIComponent.setErrorBadge(element, value);
     }
 
     // Update input field if this is an input
     const inputField = element.querySelector(".mh-input-field");
     if (inputField) {
-      inputField.value = value ?? "";
+      inputField.value = isErrorValue(value) ? "" : value ?? "";
     }
 
     // Update dropdown select if this is a dropdown
     const selectField = element.querySelector(".mh-dropdown-select");
     if (selectField) {
-      selectField.value = value ?? "";
+      selectField.value = isErrorValue(value) ? "" : value ?? "";
     }
   }
 
@@ -298,8 +456,8 @@ export function updateRenderedValue(varName, value) {
           // Custom updater (e.g. HTML text with ${vars})
           entry.updateFn(resolvedVars);
         } else {
-          evaluateItemText(entry.item, resolvedVars)
-            .then(res => { entry.element.textContent = res; })
+          evaluateItemParts(entry.item, resolvedVars)
+            .then(parts => setElementParts(entry.element, parts))
             .catch(err => logger.error('Error evaluating layout expression:', err));
         }
       }
@@ -318,32 +476,62 @@ export function updateRenderedValue(varName, value) {
  * Does NOT evaluate expressions - just replaces {variable} with resolved values
  */
 /**
- * Evaluate item text - supports ${variable} and ${expression} syntax
+ * Evaluate item text into parts - supports ${variable} and ${expression} syntax
  * @param {Object} item - Layout item with label, text, or content property
  * @param {Object} resolvedVars - Resolved variables for evaluation
- * @returns {Promise<string>} Evaluated text
+ * @returns {Promise<Array<string|Object>>} Text parts; failed expressions or
+ *   variables are kept as error values so callers can render them as badges
  */
-async function evaluateItemText(item, resolvedVars) {
+async function evaluateItemParts(item, resolvedVars) {
   let text = item.label ?? item.content ?? item.text ?? "";
   
-  if (!text) return "";
+  if (!text) return [];
   
   // If entire text is ${expression}, try to evaluate as expression
   const match = text.match(/^\$\{(.+)\}$/);
   if (match) {
     try {
       const res = await evaluateExpression(match[1], resolvedVars);
-      return (res === null || res === undefined) ? "" : String(res);
+      if (isErrorValue(res)) return [res];
+      return [(res === null || res === undefined) ? "" : String(res)];
     } catch (err) {
       // Fall through to variable substitution if expression fails
     }
   }
   
   // Substitute ${variable} placeholders
-  return text.replace(/\$\{([a-zA-Z_]\w*)\}/g, (match, varName) => {
-    const value = resolvedVars[varName];
-    return value !== undefined ? String(value) : match;
-  });
+  const parts = [];
+  let last = 0;
+  for (const m of text.matchAll(/\$\{([a-zA-Z_]\w*)\}/g)) {
+    const value = resolvedVars[m[1]];
+    parts.push(text.slice(last, m.index));
+    parts.push(isErrorValue(value) ? value : (value !== undefined ? String(value) : m[0]));
+    last = m.index + m[0].length;
+  }
+  parts.push(text.slice(last));
+  return parts.filter(part => part !== "");
+}
+
+/**
+ * Evaluate item text - supports ${variable} and ${expression} syntax
+ * @param {Object} item - Layout item with label, text, or content property
+ * @param {Object} resolvedVars - Resolved variables for evaluation
+ * @returns {Promise<string>} Evaluated text (errors are shown as their short label)
+ */
+async function evaluateItemText(item, resolvedVars) {
+  const parts = await evaluateItemParts(item, resolvedVars);
+  return parts.map(part => isErrorValue(part) ? getErrorLabel(part) : part).join("");
+}
+
+/**
+ * Replace an element's content with evaluated text parts
+ * @param {HTMLElement} element - Target element
+ * @param {Array<string|Object>} parts - Parts from evaluateItemParts
+ */
+function setElementParts(element, parts) {
+  element.replaceChildren(...parts.map(part =>
+    isErrorValue(part) ? UIComponent.createErrorBadge(part) : document.createTextNode(part)
+  ));
 }
 
 /**
@@ -360,8 +548,8 @@ function evaluateAndSetElementText(element, item, page) {
   element.textContent = "";
   renderedExpressionElements.push({ element, item, page });
   const resolvedVars = { ...globalVariables, ...(page?._resolved || {}) };
-  evaluateItemText(item, resolvedVars)
-    .then(res => { element.textContent = res; })
+  evaluateItemParts(item, resolvedVars)
+    .then(parts => setElementParts(element, parts))
     .catch(err => { logger.error('Error evaluating element text:', err); });
   
   return true;
@@ -402,8 +590,17 @@ function createDynamicLabel(item, page, inStack = false, suffix = "") {
  * @param {number} pageIndex - Page index
  * @returns {Object|null} Page object or null
  */
-function findPageByIndex(pageIndex) {
-  return config.pages?.[pageIndex] || null;
+export function findPageByIndex(pageIndex) {
+  return config?.pages?.[pageIndex] || null;
+}
+
+/**
+ * Find a page by its id in the config
+ * @param {string} pageId - Page id
+ * @returns {Object|null} Page object or null
+ */
+export function findPageById(pageId) {
+  return config?.pages?.find(page => page?.id === pageId) || null;
 }
 
 /**
@@ -437,7 +634,9 @@ function renderElement(type, item, page, inStack = false) {
   };
 
   // Use ComponentRegistry
-  return ComponentRegistry.render(type, item, page, services, inStack);
+  const element = ComponentRegistry.render(type, item, page, services, inStack);
+  if (element instanceof HTMLElement && item?.id) element.dataset.elementId = item.id;
+  return element;
 }
 
 function renderLayout(container, layoutItems, page) {
@@ -487,11 +686,15 @@ export function renderConfigUI() {
       return;
     }
 
+    // Follow the current page if the pages were reordered
+    const current = getCurrentPage();
+    if (current) currentPage = config.pages.indexOf(current);
+
     renderPageButtons();
 
     // If we have a current page index, re-render it; otherwise select first
     if (currentPage !== null && currentPage !== undefined) {
-      const page = config.pages?.[currentPage];
+      const page = current;
       if (page) {
         renderPageContent(page);
       } else {
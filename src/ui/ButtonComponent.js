@@ -28,6 +28,8 @@ export class ButtonComponent extends UIComponent {
     const hasOnrightclick = this.item.onrightclick && Array.isArray(this.item.onrightclick) && this.item.onrightclick.length > 0;
     if (hasOnclick) {
       this.addEventListener(btn, "click", async () => {
+        // Clicking a running button cancels it
+        if (this.cancelRun(btn)) return;
         await this.executeCommands(btn);
       });
     } else if (!hasOnrightclick) {
@@ -45,6 +47,7 @@ export class ButtonComponent extends UIComponent {
     if (this.item.onrightclick && Array.isArray(this.item.onrightclick) && this.item.onrightclick.length > 0) {
       this.addEventListener(btn, "contextmenu", async (event) => {
         event.preventDefault();
+        if (this.cancelRun(btn)) return;
         await this.executeRightClickCommands(btn);
       });
     }
@@ -57,7 +60,7 @@ export class ButtonComponent extends UIComponent {
    * @param {HTMLElement} btn - Button element
    */
   async executeRightClickCommands(btn) {
-    btn.disabled = true;
+    const controller = this.beginRun(btn);
     try {
       const pageObj = (this.services.currentPage !== null && this.services.currentPage !== undefined) 
         ? this.services.findPageByIndex(this.services.currentPage) 
@@ -78,7 +81,8 @@ export class ButtonComponent extends UIComponent {
         pageObj,
         this.services.globalVariables,
         onVariableResolved,
-        this.services.currentPage ?? 0
+        pageObj.id,
+        this.getRunOptions(this.item, controller)
       );
 
       await this.services.saveConfig(this.services.config)
@@ -87,7 +91,7 @@ export class ButtonComponent extends UIComponent {
     } catch (error) {
       this.handleError("Button", error);
     } finally {
-      btn.disabled = false;
+      this.endRun(btn);
     }
   }
 
@@ -96,7 +100,7 @@ export class ButtonComponent extends UIComponent {
    * @param {HTMLElement} btn - Button element
    */
   async executeCommands(btn) {
-    btn.disabled = true;
+    const controller = this.beginRun(btn);
     try {
       const pageObj = (this.services.currentPage !== null && this.services.currentPage !== undefined) 
         ? this.services.findPageByIndex(this.services.currentPage) 
@@ -117,7 +121,8 @@ export class ButtonComponent extends UIComponent {
         pageObj,
         this.services.globalVariables,
         onVariableResolved,
-        this.services.currentPage ?? 0
+        pageObj.id,
+        this.getRunOptions(this.item, controller)
       );
 
       await this.services.saveConfig(this.services.config)
@@ -126,7 +131,7 @@ export class ButtonComponent extends UIComponent {
     } catch (error) {
       this.handleError("Button", error);
     } finally {
-      btn.disabled = false;
+      this.endRun(btn);
     }
   }
 }
@@ -16,7 +16,9 @@ import { DropdownComponent } from "./DropdownComponent.js";
 import { MatrixComponent } from "./MatrixComponent.js";
 import { DividerComponent } from "./DividerComponent.js";
 import { ToggleComponent } from "./ToggleComponent.js";
+import { registerComponentSchema } from "../configSchema.js";
 
+// Each type needs a schema in COMPONENT_SCHEMAS (configSchema.js) to pass config validation
 export class ComponentRegistry {
   static #registry = {
     button: ButtonComponent,
@@ -47,9 +49,11 @@ export class ComponentRegistry {
    * Register a custom component
    * @param {string} type - Component type
    * @param {Class} componentClass - Component class
+   * @param {Object} [schema] - Element schema { properties, required } used by config validation
    */
-  static register(type, componentClass) {
+  static register(type, componentClass, schema = null) {
     this.#registry[type] = componentClass;
+    if (schema) registerComponentSchema(type, schema);
   }
 
   /**
@@ -7,8 +7,11 @@ import { UIComponent } from "./UIComponent.js";
 import { createDebugLogger } from "../debugMode.js";
 import { eventBus as EventBus } from "../events/EventBus.js";
 import { variableStore } from "../stores/VariableStore.js";
-import { updateEvaluatedVariable } from "../storage.js";
+import { updateEvaluatedVariable, persistVariableValue } from "../storage.js";
+import { sharedVariableStore, isSharedVariable } from "../stores/SharedVariableStore.js";
+import { isSceneVariable } from "../stores/SceneVariableStore.js";
 import { variableEngine } from "../engines/VariableEngine.js";
+import { isErrorValue } from "../engines/errorValues.js";
 
 const logger = createDebugLogger('ui');
 
@@ -22,6 +25,7 @@ export class CounterComponent extends UIComponent {
     this.unsubscribe = null;
     this.observer = null;
     this.onUpdateDebounced = null;
+    this.scopedWrite = null; // Pending write of a shared or scene variable: { set } or { add }
   }
 
   render() {
@@ -37,10 +41,11 @@ export class CounterComponent extends UIComponent {
       return container;
     }
 
-    // Get initial value
+    // Get initial value (an error value leaves the input empty and shows a badge)
     const initialValue = this.getResolvedValue(this.item.var, this.item.min ?? 0);
-    const numValue = Number(initialValue) || 0;
-    this.lastSavedValue = numValue;
+    const initialError = isErrorValue(initialValue);
+    const numValue = initialError ? "" : Number(initialValue) || 0;
+    this.lastSavedValue = initialError ? null : numValue;
 
     // Create label
     const label = this.createElement(this.inStack ? "span" : "div", "mh-counter-label");
@@ -78,7 +83,7 @@ export class CounterComponent extends UIComponent {
     this.addEventListener(incrementBtn, "click", () => {
       logger.log(`Increment: ${this.item.var}`);
       input.value = Number(input.value) + (this.item.step ?? 1);
-      this.updateCounterValue(input, variable, this.item.var);
+      this.updateCounterValue(input, variable, this.item.var, true);
     });
 
     const decrementBtn = this.createElement("button", "mh-counter-btn");
@@ -86,7 +91,7 @@ export class CounterComponent extends UIComponent {
     this.addEventListener(decrementBtn, "click", () => {
       logger.log(`Decrement: ${this.item.var}`);
       input.value = Number(input.value) - (this.item.step ?? 1);
-      this.updateCounterValue(input, variable, this.item.var);
+      this.updateCounterValue(input, variable, this.item.var, true);
     });
 
     buttonContainer.appendChild(decrementBtn);
@@ -97,6 +102,7 @@ export class CounterComponent extends UIComponent {
 
     container.appendChild(label);
     container.appendChild(controls);
+    UIComponent.setErrorBadge(container, initialValue);
 
     this.container = container;
     this.registerElement(this.item.var, container);
@@ -130,12 +136,15 @@ export class CounterComponent extends UIComponent {
    * @param {HTMLElement} input - Input element
    * @param {Object} variable - Variable object
    * @param {string} varName - Variable name
+   * @param {boolean} [stepped=false] - Changed by the +/- buttons (added to a shared
+   *   variable rather than overwriting it, so concurrent clicks all count)
    */
-  updateCounterValue(input, variable, varName) {
+  updateCounterValue(input, variable, varName, stepped = false) {
     const constrained = this.applyConstraints(input.value);
     
     // Always sync the input value to respect constraints
     input.value = constrained;
+    UIComponent.setErrorBadge(this.container, null);
     
     if (constrained === this.lastSavedValue) {
       return;
@@ -143,6 +152,15 @@ export class CounterComponent extends UIComponent {
     
     logger.log(`Updated: ${varName} = ${constrained}`);
     
+    const scoped = isSharedVariable(variable) || isSceneVariable(variable);
+    if (scoped) {
+      // Written once the clicks settle; only shared variables add up concurrent edits
+      const canAdd = isSharedVariable(variable) && stepped && this.lastSavedValue !== null
+        && !(this.scopedWrite && 'set' in this.scopedWrite);
+      this.scopedWrite = canAdd
+        ? { add: (this.scopedWrite?.add ?? 0) + constrained - this.lastSavedValue }
+        : { set: constrained };
+    }
     this.lastSavedValue = constrained;
     
     // Set flag BEFORE any async operations or events
@@ -150,17 +168,21 @@ export class CounterComponent extends UIComponent {
     
     // Update resolved value immediately
     this.setResolvedValue(varName, constrained);
-    variable.value = constrained;
-    delete variable.eval;
-    variableEngine.invalidateDependencyGraph(this.page.variables);
+    if (!scoped) {
+      variable.value = constrained;
+      delete variable.eval;
+      variableEngine.invalidateDependencyGraph(this.page.variables);
+    }
     
     // Notify VariableStore
-    if (this.page._pageIndex !== undefined) {
-      variableStore.setVariableResolved(varName, constrained, this.page._pageIndex);
+    if (this.page.id) {
+      variableStore.setVariableResolved(varName, constrained, this.page.id);
       variableStore.markVariableModified(varName);
       logger.log(`Store notified: ${varName}`);
-      updateEvaluatedVariable(this.page._pageIndex, varName, constrained)
-        .catch(err => this.handleError("Counter", err));
+      if (!scoped) {
+        updateEvaluatedVariable(this.page.id, varName, constrained)
+          .catch(err => this.handleError("Counter", err));
+      }
     }
     
     // Clear pending save and reschedule
@@ -170,6 +192,12 @@ export class CounterComponent extends UIComponent {
       try {
         logger.log(`Saving: ${varName}`);
 
+        if (this.scopedWrite) {
+          const write = this.scopedWrite;
+          this.scopedWrite = null;
+          await this.writeScopedValue(varName, variable, write, constrained);
+        }
+
         await this.services.broadcastConfigUpdated();
         
         // Execute onupdate commands if defined
@@ -216,6 +244,26 @@ export class CounterComponent extends UIComponent {
     }, 150);
   }
 
+  /**
+   * Write the clicks or typed value of the last debounce window to the room or scene
+   * @param {string} varName - Variable name
+   * @param {Object} variable - Variable object
+   * @param {{set?: number, add?: number}} write - Pending write
+   * @param {number} shown - Value shown in the counter
+   */
+  async writeScopedValue(varName, variable, write, shown) {
+    if ('set' in write) {
+      await persistVariableValue(this.page.id ?? null, varName, variable, write.set);
+      return;
+    }
+    const defined = (...values) => values.filter(v => v !== undefined);
+    await sharedVariableStore.add(varName, write.add, {
+      initial: shown - write.add,
+      min: Math.max(...defined(this.item.min, variable.min)),
+      max: Math.min(...defined(this.item.max, variable.max)),
+    });
+  }
+
   /**
    * Setup listener for external changes to this variable
    */
@@ -225,8 +273,14 @@ export class CounterComponent extends UIComponent {
     this.unsubscribe = EventBus.on('store:variableResolved', (varName, value) => {
       if (varName === this.item.var && !this.isUpdatingCounter) {
         logger.log(`External change: ${varName} = ${value}`);
-        const constrained = this.applyConstraints(value);
         const input = myContainer.querySelector('.mh-counter-input');
+        // Keep the stored value; just report the failure
+        if (UIComponent.setErrorBadge(myContainer, value)) {
+          if (input) input.value = "";
+          this.lastSavedValue = null;
+          return;
+        }
+        const constrained = this.applyConstraints(value);
         if (input) {
           input.value = constrained;
         }
@@ -110,6 +110,8 @@ export class MatrixComponent extends UIComponent {
     // Add click handler if commands exist
     if (buttonConfig.onclick && Array.isArray(buttonConfig.onclick) && buttonConfig.onclick.length > 0) {
       this.addEventListener(btn, "click", async () => {
+        // Clicking a running button cancels it
+        if (this.cancelRun(btn)) return;
         await this.executeButtonCommands(btn, buttonConfig);
       });
     } else if (!buttonConfig.onrightclick?.length) {
@@ -120,6 +122,7 @@ export class MatrixComponent extends UIComponent {
     if (buttonConfig.onrightclick && Array.isArray(buttonConfig.onrightclick) && buttonConfig.onrightclick.length > 0) {
       this.addEventListener(btn, "contextmenu", async (event) => {
         event.preventDefault();
+        if (this.cancelRun(btn)) return;
         await this.executeButtonCommands(btn, buttonConfig, true);
       });
     }
@@ -134,7 +137,7 @@ export class MatrixComponent extends UIComponent {
    * @param {boolean} isRightClick - Whether this is a right-click event
    */
   async executeButtonCommands(btn, buttonConfig, isRightClick = false) {
-    btn.disabled = true;
+    const controller = this.beginRun(btn);
     try {
       const pageObj = (this.services.currentPage !== null && this.services.currentPage !== undefined) 
         ? this.services.findPageByIndex(this.services.currentPage) 
@@ -158,7 +161,8 @@ export class MatrixComponent extends UIComponent {
         pageObj,
         this.services.globalVariables,
         onVariableResolved,
-        this.services.currentPage ?? 0
+        pageObj.id,
+        this.getRunOptions(buttonConfig, controller)
       );
 
       await this.services.saveConfig(this.services.config)
@@ -167,7 +171,7 @@ export class MatrixComponent extends UIComponent {
     } catch (error) {
       this.handleError("MatrixButton", error);
     } finally {
-      btn.disabled = false;
+      this.endRun(btn);
     }
   }
 
@@ -5,9 +5,13 @@
 
 import { createDebugLogger } from "../debugMode.js";
 import { variableStore } from "../stores/VariableStore.js";
-import { updateEvaluatedVariable } from "../storage.js";
+import { persistVariableValue } from "../storage.js";
 import { variableEngine } from "../engines/VariableEngine.js";
+import { isSharedVariable } from "../stores/SharedVariableStore.js";
+import { isSceneVariable } from "../stores/SceneVariableStore.js";
+import { executionSandbox } from "../engines/ExecutionSandbox.js";
 import { parseMd, sanitizeHtml, MD_PATTERN } from "./markdownUtils.js";
+import { isErrorValue, getErrorLabel, describeErrorValue } from "../engines/errorValues.js";
 const logger = createDebugLogger("UIComponent");
 
 export class UIComponent {
@@ -51,6 +55,57 @@ export class UIComponent {
     element.addEventListener(event, handler);
   }
 
+  /**
+   * Mark a button as running its commands and return the AbortController
+   * that cancels the run. While running, the button stays clickable so a
+   * second click can cancel it (see cancelRun).
+   * @param {HTMLElement} btn - Button element
+   * @returns {AbortController}
+   */
+  beginRun(btn) {
+    const controller = new AbortController();
+    btn._mhRunController = controller;
+    btn.classList.add('mh-running');
+    btn.setAttribute('aria-busy', 'true');
+    return controller;
+  }
+
+  /**
+   * Cancel the run in progress on a button, if any
+   * @param {HTMLElement} btn - Button element
+   * @returns {boolean} True if a run was cancelled
+   */
+  cancelRun(btn) {
+    const controller = btn._mhRunController;
+    if (!controller) return false;
+    controller.abort();
+    return true;
+  }
+
+  /**
+   * Clear the running state set by beginRun
+   * @param {HTMLElement} btn - Button element
+   */
+  endRun(btn) {
+    delete btn._mhRunController;
+    btn.classList.remove('mh-running');
+    btn.removeAttribute('aria-busy');
+  }
+
+  /**
+   * Execution options for a button run: time limit and label used in reports
+   * @param {Object} item - Button configuration (`timeout` in ms, 0 = none)
+   * @param {AbortController} controller - Controller returned by beginRun
+   * @returns {{signal: AbortSignal, timeout: number|undefined, label: string}}
+   */
+  getRunOptions(item, controller) {
+    return {
+      signal: controller.signal,
+      timeout: item.timeout ?? this.services.config?.global?.commandTimeout,
+      label: `"${item.label || item.icon || item.type || 'Button'}"`,
+    };
+  }
+
   /**
    * Handle an error and log it
    * @param {string} context - Context for the error (e.g., component name)
@@ -113,6 +168,50 @@ export class UIComponent {
     return element;
   }
 
+  /**
+   * Create an inline badge for an error value (see engines/errorValues.js):
+   * a short label, with the message, failing call and expression as tooltip.
+   * @param {{$error: Object}} value - Error value
+   * @returns {HTMLElement}
+   */
+  static createErrorBadge(value) {
+    const badge = document.createElement("span");
+    badge.className = `mh-error-badge mh-error-badge--${value.$error.type}`;
+    badge.textContent = `⚠ ${getErrorLabel(value)}`;
+    badge.title = describeErrorValue(value);
+    return badge;
+  }
+
+  /**
+   * Show or remove the error badge of a container
+   * @param {HTMLElement} container - Element the badge is appended to
+   * @param {any} value - Resolved value; the badge is removed unless it is an error value
+   * @returns {boolean} True if a badge is shown
+   */
+  static setErrorBadge(container, value) {
+    container.querySelector(":scope > .mh-error-badge")?.remove();
+    if (!isErrorValue(value)) return false;
+    container.appendChild(UIComponent.createErrorBadge(value));
+    return true;
+  }
+
+  /**
+   * Display a resolved value in a `.mh-value-content` element.
+   * Error values are shown as an error badge.
+   * @param {HTMLElement} contentEl - Value content element
+   * @param {any} value - Resolved value
+   */
+  static setValueContent(contentEl, value) {
+    contentEl.classList.remove("mh-loading");
+    if (isErrorValue(value)) {
+      contentEl.replaceChildren(UIComponent.createErrorBadge(value));
+      contentEl.classList.add("mh-value-content--error");
+      return;
+    }
+    contentEl.textContent = value ?? "N/A";
+    contentEl.classList.remove("mh-value-content--error");
+  }
+
   /**
    * Apply a tooltip to an element.
    * - Plain text / ${expr} → native title attribute (lazy-evaluated on mouseenter)
@@ -129,33 +228,38 @@ export class UIComponent {
     const isMd   = MD_PATTERN.test(rawTooltip);
     const isHtml = !isMd && rawTooltip.includes('<');
 
-    const evaluate = () => {
+    const evaluate = async () => {
       if (!rawTooltip.includes('${')) return rawTooltip;
       const resolved = getResolved();
-      return rawTooltip.replace(/\$\{([^}]+)\}/g, (m, expr) => {
+      const parts = [];
+      let last = 0;
+      for (const match of rawTooltip.matchAll(/\$\{([^}]+)\}/g)) {
+        const [m, expr] = match;
+        parts.push(rawTooltip.slice(last, match.index));
+        last = match.index + m.length;
         // Fast path: simple identifier
         if (/^[a-zA-Z_]\w*$/.test(expr.trim())) {
           const val = resolved[expr.trim()];
-          return val !== undefined ? String(val) : m;
+          parts.push(val !== undefined ? String(val) : m);
+          continue;
         }
-        // Complex expression — evaluate synchronously with resolved vars
+        // Complex expression — evaluate in the sandbox with resolved vars
         try {
-          const keys = Object.keys(resolved);
-          const vals = keys.map(k => resolved[k]);
-          // eslint-disable-next-line no-new-func
-          const result = new Function(...keys, `return (${expr})`)(...vals);
-          return result !== undefined && result !== null ? String(result) : m;
+          const result = await executionSandbox.executeSync(expr, resolved);
+          parts.push(result !== undefined && result !== null ? String(result) : m);
         } catch {
-          return m;
+          parts.push(m);
         }
-      });
+      }
+      parts.push(rawTooltip.slice(last));
+      return parts.join('');
     };
 
     if (!isHtml && !isMd) {
       // Plain text — use native title, evaluated lazily
       element.title = rawTooltip;
       if (rawTooltip.includes('${')) {
-        element.addEventListener('mouseenter', () => { element.title = evaluate(); });
+        element.addEventListener('mouseenter', async () => { element.title = await evaluate(); });
       }
       return;
     }
@@ -184,11 +288,11 @@ export class UIComponent {
     }
 
     element.addEventListener('mouseenter', async (e) => {
-      let raw = evaluate();
+      let raw = await evaluate();
       // Variables may not be resolved yet on first hover — retry after a frame
       if (raw.includes('${')) {
         await new Promise(r => setTimeout(r, 80));
-        raw = evaluate();
+        raw = await evaluate();
       }
       tooltipEl.innerHTML = isMd ? parseMd(raw) : sanitizeHtml(raw);
       tooltipEl.style.display = 'block';
@@ -284,7 +388,8 @@ export class UIComponent {
         pageObj,
         this.services.globalVariables,
         onVariableResolved,
-        this.services.currentPage ?? 0
+        pageObj.id,
+        { timeout: this.services.config?.global?.commandTimeout, label: `${componentName} onupdate` }
       );
     } catch (error) {
       this.handleError(componentName, error);
@@ -318,8 +423,8 @@ export class UIComponent {
     for (const depVarName of dependentVars) {
       const value = resolved[depVarName];
       this.page._resolved[depVarName] = value;
-      if (this.page._pageIndex !== undefined) {
-        variableStore.setVariableResolved(depVarName, value, this.page._pageIndex);
+      if (this.page.id) {
+        variableStore.setVariableResolved(depVarName, value, this.page.id);
       }
       this.services.updateRenderedValue(depVarName, value);
     }
@@ -344,16 +449,20 @@ export class UIComponent {
       throw new Error(`Variable not found: ${varName}`);
     }
 
-    variable.value = newValue;
-    delete variable.eval;
+    // Shared and scene variables keep their definition: the value is stored
+    // for the room / the open scene by persistVariableValue
+    if (!isSharedVariable(variable) && !isSceneVariable(variable)) {
+      variable.value = newValue;
+      delete variable.eval;
+      variableEngine.invalidateDependencyGraph(this.page.variables);
+    }
     this.setResolvedValue(varName, newValue);
-    variableEngine.invalidateDependencyGraph(this.page.variables);
 
-    if (this.page._pageIndex !== undefined) {
-      variableStore.setVariableResolved(varName, newValue, this.page._pageIndex);
+    if (this.page.id) {
+      variableStore.setVariableResolved(varName, newValue, this.page.id);
       variableStore.markVariableModified(varName);
-      await updateEvaluatedVariable(this.page._pageIndex, varName, newValue);
     }
+    await persistVariableValue(this.page.id ?? null, varName, variable, newValue);
 
     if (onupdateCommands && Array.isArray(onupdateCommands) && onupdateCommands.length > 0) {
       await this.executeOnUpdate(onupdateCommands, `${componentName}OnUpdate`);
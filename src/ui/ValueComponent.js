@@ -29,7 +29,6 @@ export class ValueComponent extends UIComponent {
 
     // Create label
     const isLoading = !(this.item.var in (this.page._resolved || {}));
-    const displayValue = isLoading ? '' : (resolvedValue ?? 'N/A');
 
     const labelEl = this.createElement(this.inStack ? "span" : "div", "mh-value-label");
     
@@ -39,7 +38,7 @@ export class ValueComponent extends UIComponent {
 
     // Create content element
     const contentEl = this.createElement("span", `mh-value-content ${isLoading ? 'mh-loading' : ''}`);
-    contentEl.textContent = displayValue;
+    if (!isLoading) UIComponent.setValueContent(contentEl, resolvedValue);
 
     // Assemble based on stack mode
     if (this.inStack) {
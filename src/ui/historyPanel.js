@@ -0,0 +1,144 @@
+/**
+ * Command history panel (popover)
+ *
+ * Lists the runs logged by CommandHistoryStore, most recent first, with a
+ * text/status filter and a JSON export of the filtered runs. The panel
+ * replaces the page content while open (📜 header button).
+ */
+
+import { eventBus } from "../events/EventBus.js";
+import { commandHistoryStore } from "../stores/CommandHistoryStore.js";
+import { createDebugLogger } from "../debugMode.js";
+
+const logger = createDebugLogger('historyPanel');
+
+const STATUS_ICONS = { ok: '✓', failed: '✗', stopped: '⏹' };
+
+/**
+ * Short display form of a logged value
+ */
+function formatValue(value) {
+  if (typeof value === 'string') return value;
+  if (value && typeof value === 'object' && value.$error) return `⚠ ${value.$error.message}`;
+  return JSON.stringify(value);
+}
+
+function formatArgs(args) {
+  if (!Array.isArray(args)) return formatValue(args);
+  return args.map(formatValue).join(', ');
+}
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Build a list section ("Variables", "Calls") of an entry
+ */
+function createSection(title, lines) {
+  const section = createElement('div', 'mh-history-section');
+  section.appendChild(createElement('div', 'mh-history-section-title', title));
+  const list = createElement('ul', 'mh-history-lines');
+  lines.forEach(line => list.appendChild(createElement('li', null, line)));
+  section.appendChild(list);
+  return section;
+}
+
+function createEntryElement(entry) {
+  const details = createElement('details', `mh-history-entry mh-history-entry--${entry.status}`);
+
+  const summary = createElement('summary', 'mh-history-summary');
+  summary.appendChild(createElement('span', 'mh-history-status', STATUS_ICONS[entry.status] ?? '?'));
+  summary.appendChild(createElement('span', 'mh-history-label', entry.label));
+  summary.appendChild(createElement('span', 'mh-history-meta', [
+    new Date(entry.time).toLocaleTimeString(),
+    entry.page,
+    entry.duration !== null ? `${entry.duration} ms` : null,
+  ].filter(Boolean).join(' · ')));
+  details.appendChild(summary);
+
+  if (entry.error) {
+    const where = entry.error.call ? ` (in ${entry.error.call})` : '';
+    details.appendChild(createElement('div', 'mh-history-error', `${entry.error.message}${where}`));
+  }
+  if (entry.changes.length > 0) {
+    details.appendChild(createSection('Variables', entry.changes.map(
+      ({ name, from, to }) => `${name}: ${formatValue(from)} → ${formatValue(to)}`
+    )));
+  }
+  if (entry.calls.length > 0) {
+    details.appendChild(createSection('Calls', entry.calls.map(
+      ({ name, args }) => `${name}(${formatArgs(args)})`
+    )));
+  }
+  if (!entry.error && entry.changes.length === 0 && entry.calls.length === 0) {
+    details.appendChild(createElement('div', 'mh-history-empty', 'No variable changes or calls'));
+  }
+  return details;
+}
+
+/**
+ * Wire the history panel to the popover DOM
+ */
+export function initHistoryPanel() {
+  const panel = document.getElementById('historyPanel');
+  const content = document.getElementById('content');
+  const toggleBtn = document.getElementById('historyBtn');
+  const filterInput = document.getElementById('historyFilter');
+  const statusSelect = document.getElementById('historyStatus');
+  const list = document.getElementById('historyList');
+  if (!panel || !toggleBtn || !list) {
+    logger.warn('History panel markup not found');
+    return;
+  }
+
+  const isOpen = () => !panel.classList.contains('hidden');
+  const getFilter = () => ({ text: filterInput.value, status: statusSelect.value });
+
+  const render = () => {
+    if (!isOpen()) return;
+    const entries = commandHistoryStore.getEntries(getFilter());
+    list.replaceChildren(...entries.map(createEntryElement));
+    if (entries.length === 0) {
+      list.appendChild(createElement('div', 'mh-history-empty', 'No command runs'));
+    }
+  };
+
+  const setOpen = (open) => {
+    panel.classList.toggle('hidden', !open);
+    content?.classList.toggle('hidden', open);
+    toggleBtn.classList.toggle('active', open);
+    render();
+  };
+
+  toggleBtn.onclick = () => setOpen(!isOpen());
+
+  // Switching page goes back to the page content
+  document.getElementById('pageBar')?.addEventListener('click', (event) => {
+    if (isOpen() && event.target.closest('button.tab')) setOpen(false);
+  });
+
+  filterInput.addEventListener('input', render);
+  statusSelect.addEventListener('change', render);
+
+  document.getElementById('historyExportBtn').onclick = () => {
+    const json = commandHistoryStore.exportJSON(commandHistoryStore.getEntries(getFilter()));
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `macrohero-command-history-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  document.getElementById('historyClearBtn').onclick = () => {
+    if (confirm('Clear the command history?')) commandHistoryStore.clear();
+  };
+
+  eventBus.on('commandHistory:changed', render);
+}
+
+export default { initHistoryPanel };
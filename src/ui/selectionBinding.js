@@ -0,0 +1,169 @@
+/**
+ * Selection binding (popover)
+ *
+ * A page with `binding: { var: "target" }` is a sheet for whichever item the
+ * player selects: its `target` variable (declared in the page variables, its
+ * value is used until something is selected) holds the id of the first
+ * selected item, followed through `OBR.player.onChange`. The last selection is
+ * kept when the player clicks away. ui.js re-resolves the variables depending
+ * on it when the target changes.
+ *
+ * A bar above the page shows the target and pins the page to it, so it stays
+ * on that token while other ones are selected. Pins are kept per room in
+ * localStorage, by page id.
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import { eventBus } from "../events/EventBus.js";
+import { sceneItemStore } from "../stores/SceneItemStore.js";
+import { createDebugLogger } from "../debugMode.js";
+
+const logger = createDebugLogger('selectionBinding');
+
+const PINS_STORAGE_KEY = 'macroHero_selectionPins';
+
+let selectedId = null; // First selected item (the last one when nothing is selected now)
+let pins = {};         // pageId -> pinned item id
+let storageKey = PINS_STORAGE_KEY;
+
+function loadPins() {
+  try {
+    pins = JSON.parse(localStorage.getItem(storageKey) || '{}') || {};
+  } catch {
+    pins = {};
+  }
+}
+
+function savePins() {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(pins));
+  } catch (error) {
+    logger.warn('Could not save pins:', error);
+  }
+}
+
+function onSelection(selection) {
+  const first = selection?.[0] ?? null;
+  if (first === null || first === selectedId) return;
+  selectedId = first;
+  logger.log('Selected', first);
+  eventBus.emit('selection:changed', first);
+}
+
+/**
+ * Name of the bound variable of a page
+ * @param {Object} page
+ * @returns {string|null}
+ */
+export function getBindingVar(page) {
+  const varName = page?.binding?.var;
+  return typeof varName === 'string' && varName ? varName : null;
+}
+
+/**
+ * Item the page is bound to: its pin, else the selection
+ * @param {Object} page
+ * @returns {string|null} Item id, or null when nothing was selected yet
+ */
+export function getBindingTarget(page) {
+  return (page?.id && pins[page.id]) || selectedId;
+}
+
+/**
+ * Whether the page is pinned to an item
+ * @param {Object} page
+ * @returns {boolean}
+ */
+export function isPinned(page) {
+  return Boolean(page?.id && pins[page.id]);
+}
+
+/**
+ * Pin the page to its current target, or unpin it
+ * @param {Object} page
+ * @param {boolean} pinned
+ */
+export function setPinned(page, pinned) {
+  if (!page?.id) return;
+  if (pinned) {
+    const target = getBindingTarget(page);
+    if (!target) return;
+    pins[page.id] = target;
+  } else {
+    delete pins[page.id];
+  }
+  savePins();
+  eventBus.emit('selection:changed', selectedId);
+}
+
+async function itemName(itemId) {
+  try {
+    const [item] = await sceneItemStore.getItems([itemId]);
+    return item?.name || 'Unnamed item';
+  } catch {
+    return 'Item not in this scene';
+  }
+}
+
+/**
+ * Fill the binding bar of a page (target name and pin button)
+ * @param {HTMLElement} bar - Element created by renderBindingBar
+ * @param {Object} page
+ */
+export async function updateBindingBar(bar, page) {
+  const target = getBindingTarget(page);
+  const pinned = isPinned(page);
+
+  const text = document.createElement('span');
+  text.className = 'mh-binding-text';
+  text.textContent = target
+    ? `${pinned ? '📌 Pinned to' : '🎯 Following selection:'} ${await itemName(target)}`
+    : '🎯 Select a token to show its sheet';
+
+  const pin = document.createElement('button');
+  pin.className = 'mh-binding-pin';
+  pin.textContent = pinned ? 'Unpin' : 'Pin';
+  pin.title = pinned ? 'Follow the selection again' : 'Keep this page on this token';
+  pin.disabled = !target;
+  pin.onclick = () => setPinned(page, !pinned);
+
+  bar.replaceChildren(text, pin);
+}
+
+/**
+ * Create the binding bar shown above a bound page
+ * @param {Object} page
+ * @returns {HTMLElement}
+ */
+export function renderBindingBar(page) {
+  const bar = document.createElement('div');
+  bar.className = 'mh-binding-bar';
+  updateBindingBar(bar, page).catch(error => logger.warn('Could not render binding bar:', error));
+  return bar;
+}
+
+/**
+ * Load the selection and the pins of this room, then follow selection changes
+ * @returns {Promise<Function>} Unsubscribe from player changes
+ */
+export async function initSelectionBinding() {
+  const roomId = OBR.room.id || 'unknown';
+  storageKey = `${PINS_STORAGE_KEY}_${roomId}`;
+  loadPins();
+  try {
+    selectedId = (await OBR.player.getSelection())?.[0] ?? null;
+  } catch (error) {
+    logger.warn('Could not read the selection:', error);
+  }
+  return OBR.player.onChange(player => onSelection(player.selection));
+}
+
+export default {
+  getBindingVar,
+  getBindingTarget,
+  isPinned,
+  setPinned,
+  updateBindingBar,
+  renderBindingBar,
+  initSelectionBinding,
+};
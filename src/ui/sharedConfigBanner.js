@@ -0,0 +1,110 @@
+/**
+ * Shared config banner (popover)
+ *
+ * Offers to install the config the GM published to the room (see
+ * sharedConfig.js), or to update a previously installed one. Shown under the
+ * header until the player installs or dismisses that publication.
+ */
+
+import OBR from "@owlbear-rodeo/sdk";
+import {
+  SHARED_CONFIG_KEY,
+  getPublishedManifest,
+  getPublicationStatus,
+  dismissPublication,
+  installPublishedConfig,
+} from "../sharedConfig.js";
+import { createDebugLogger } from "../debugMode.js";
+
+const logger = createDebugLogger('sharedConfigBanner');
+
+let banner = null;
+let shownId = null; // Publication the banner was last updated for
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+function describe(manifest) {
+  const pages = manifest.partial
+    ? `${manifest.pages.length} page(s): ${manifest.pages.join(', ')}`
+    : `whole config, ${manifest.pages.length} page(s)`;
+  return `${manifest.publisherName || 'The GM'} shared "${manifest.title}" (${pages})`;
+}
+
+function hide() {
+  banner.classList.add('hidden');
+  banner.replaceChildren();
+}
+
+function show(manifest, status) {
+  const isUpdate = status === 'update';
+  const install = createElement('button', 'mh-shared-banner-install', isUpdate ? 'Update' : 'Install');
+  const dismiss = createElement('button', 'mh-shared-banner-dismiss', 'Dismiss');
+
+  install.onclick = async () => {
+    const effect = manifest.partial
+      ? 'The shared pages are added to your config (pages with the same name are replaced).'
+      : 'Your config is replaced by the shared one.';
+    if (!confirm(`${effect}\nYour variable values are kept, and your current config stays in the History tab of the config window.`)) return;
+    install.disabled = true;
+    try {
+      await installPublishedConfig(); // The popover reloads once saved
+      hide();
+    } catch (error) {
+      logger.error('Install failed:', error);
+      alert(`Could not install the shared config: ${error.message}`);
+      install.disabled = false;
+    }
+  };
+  dismiss.onclick = async () => {
+    await dismissPublication(manifest);
+    hide();
+  };
+
+  const text = createElement('span', 'mh-shared-banner-text', `${isUpdate ? '🔄' : '📥'} ${describe(manifest)}`);
+  const actions = createElement('span', 'mh-shared-banner-actions');
+  actions.append(install, dismiss);
+  banner.replaceChildren(text, actions);
+  banner.classList.remove('hidden');
+}
+
+async function check(metadata = null) {
+  try {
+    const manifest = await getPublishedManifest(metadata);
+    shownId = manifest?.id ?? null;
+    if (!manifest) return hide();
+    const status = await getPublicationStatus(manifest);
+    if (status === 'new' || status === 'update') show(manifest, status);
+    else hide();
+  } catch (error) {
+    logger.warn('Could not check the shared config:', error);
+  }
+}
+
+/**
+ * Check the publication again (the install state is kept per profile)
+ */
+export async function refreshSharedConfigBanner() {
+  if (banner) await check();
+}
+
+/**
+ * Wire the banner to the popover DOM and watch room metadata for publications
+ * @returns {Promise<Function|null>} Unsubscribe from room metadata changes
+ */
+export async function initSharedConfigBanner() {
+  banner = document.getElementById('sharedConfigBanner');
+  if (!banner) {
+    logger.warn('Shared config banner markup not found');
+    return null;
+  }
+
+  await check();
+  return OBR.room.onMetadataChange(metadata => {
+    if ((metadata[SHARED_CONFIG_KEY]?.id ?? null) !== shownId) check(metadata);
+  });
+}
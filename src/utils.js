@@ -48,10 +48,57 @@ export function cleanConfigForRuntime(cfg) {
       if (page) {
         delete page._resolved;
         delete page._modifiedVars;
-        delete page._pageIndex;
       }
     });
   }
   
   return cleaned;
 }
+
+/**
+ * Generate a short random id
+ * @param {string} prefix - e.g. 'page', 'el'
+ * @returns {string} Id such as "page_k3x9q2a1"
+ */
+export function generateId(prefix) {
+  return `${prefix}_${Math.random().toString(36).slice(2, 10).padEnd(8, '0')}`;
+}
+
+/**
+ * Give every page and layout element (including nested children) a stable
+ * `id`, keeping existing ones. Duplicated ids (e.g. a page pasted twice in
+ * the raw editor) are replaced on the later copy.
+ * @param {Object} cfg - Configuration object (mutated)
+ * @returns {boolean} Whether any id was added or replaced
+ */
+export function ensureConfigIds(cfg) {
+  if (!cfg || !Array.isArray(cfg.pages)) return false;
+  const seen = new Set();
+  let changed = false;
+
+  const assign = (node, prefix) => {
+    if (typeof node.id !== 'string' || !node.id || seen.has(node.id)) {
+      let id;
+      do { id = generateId(prefix); } while (seen.has(id));
+      node.id = id;
+      changed = true;
+    }
+    seen.add(node.id);
+  };
+
+  const walk = (items) => {
+    if (!Array.isArray(items)) return;
+    for (const item of items) {
+      if (!item || typeof item !== 'object') continue;
+      assign(item, 'el');
+      walk(item.children);
+    }
+  };
+
+  for (const page of cfg.pages) {
+    if (!page || typeof page !== 'object') continue;
+    assign(page, 'page');
+    walk(page.layout);
+  }
+  return changed;
+}
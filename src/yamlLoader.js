@@ -1,62 +1,181 @@
 /**
  * YAML configuration loader
- * Provides utilities to load and parse YAML config files
+ * Loads packaged config files (YAML or JSON) and resolves their includes
+ *
+ * Includes: any mapping of the form `{ $include: "pages/combat.yaml" }` is
+ * replaced by the content of that file, resolved relative to the file that
+ * includes it. `$include` also accepts a list of paths (their arrays are
+ * concatenated, their mappings merged). Other keys next to `$include`
+ * override the included mapping, and an included array placed in an array is
+ * spliced into it:
+ *
+ *   pages:
+ *     - $include: pages/combat.yaml     # one page, or a list of pages
+ *     - $include: pages/spells.yaml
+ *       label: Spells (custom)          # overrides the included page label
+ *
+ * Include cycles (a.yaml → b.yaml → a.yaml) are reported as an error named
+ * IncludeCycleError whose `chain` lists the files involved.
  */
 
+import { createDebugLogger } from "./debugMode.js";
+
+const logger = createDebugLogger('yamlLoader');
+
+const INCLUDE_KEY = '$include';
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function isYamlUrl(url) {
+  return /\.ya?ml$/i.test(new URL(url).pathname);
+}
+
+function fileName(url) {
+  return new URL(url).pathname;
+}
+
+function createIncludeCycleError(chain) {
+  const error = new Error(`Include cycle: ${chain.map(fileName).join(' → ')}`);
+  error.name = 'IncludeCycleError';
+  error.chain = chain;
+  return error;
+}
+
 /**
- * Load YAML content (as string) and parse it
- * This function assumes js-yaml is available globally or imported
+ * Parse config text (YAML or JSON)
+ * @param {string} text
+ * @param {'yaml'|'json'} format
+ * @returns {Promise<any>}
  */
-export async function loadYamlFile(filePath) {
-  try {
-    const response = await fetch(filePath);
-    if (!response.ok) {
-      throw new Error(`Failed to load ${filePath}: ${response.status}`);
-    }
-    const yamlContent = await response.text();
+export async function parseConfigText(text, format) {
+  if (format === 'json') return JSON.parse(text);
+  // Dynamic import to handle js-yaml
+  const { default: YAML } = await import('js-yaml');
+  return YAML.load(text);
+}
 
-    // Dynamic import to handle js-yaml
-    const { default: YAML } = await import('js-yaml');
-    return YAML.load(yamlContent);
-  } catch (error) {
-    console.error(`Error loading YAML file ${filePath}:`, error);
+/**
+ * Fetch and parse one file, without resolving its includes
+ * @param {string} url - Absolute URL
+ * @returns {Promise<any>}
+ */
+async function fetchConfigFile(url) {
+  const response = await fetch(url);
+  // Dev servers answer unknown paths with index.html
+  if (!response.ok || (response.headers.get('content-type') || '').includes('text/html')) {
+    const error = new Error(`Failed to load ${fileName(url)}: ${response.ok ? 404 : response.status}`);
+    error.status = response.ok ? 404 : response.status;
     throw error;
   }
+  const text = await response.text();
+  try {
+    return await parseConfigText(text, isYamlUrl(url) ? 'yaml' : 'json');
+  } catch (error) {
+    throw new Error(`Invalid ${isYamlUrl(url) ? 'YAML' : 'JSON'} in ${fileName(url)}: ${error.message}`);
+  }
 }
 
 /**
- * Try to load a YAML or JSON file with fallback
- * Tries YAML first, then falls back to JSON if YAML fails
+ * Load the files of an `$include` value
+ * @param {string|string[]} paths - Path(s) relative to baseUrl
+ * @param {string} baseUrl - URL of the including file
+ * @param {string[]} chain - URLs of the files being included (cycle detection)
  */
-export async function loadConfigFile(basePath) {
-  // const yamlPath = `${basePath}.yaml`;
-  const jsonPath = `${basePath}.json`;
+async function loadIncludes(paths, baseUrl, chain) {
+  const list = Array.isArray(paths) ? paths : [paths];
+  const parts = [];
+  for (const path of list) {
+    if (typeof path !== 'string' || !path) {
+      throw new Error(`"${INCLUDE_KEY}" expects a path or a list of paths (in ${fileName(baseUrl)})`);
+    }
+    const url = new URL(path, baseUrl).href;
+    if (chain.includes(url)) throw createIncludeCycleError([...chain, url]);
+    logger.log(`Including ${fileName(url)} from ${fileName(baseUrl)}`);
+    const data = await fetchConfigFile(url);
+    parts.push(await resolveIncludes(data, url, [...chain, url]));
+  }
 
-  try {
-    const response = await fetch(jsonPath);
-    if (response.ok) {
-      return await response.json();
+  if (parts.length === 1) return parts[0];
+  if (parts.every(Array.isArray)) return parts.flat();
+  if (parts.every(isPlainObject)) return Object.assign({}, ...parts);
+  throw new Error(`"${INCLUDE_KEY}" files must all be lists or all be mappings (in ${fileName(baseUrl)})`);
+}
+
+/**
+ * Replace the `$include` entries of a parsed config by the files they name
+ * @param {any} value - Parsed config (or part of it)
+ * @param {string} baseUrl - Absolute URL of the file the value comes from
+ * @param {string[]} [chain] - Files being included (internal, cycle detection)
+ * @returns {Promise<any>} Value with every include resolved
+ */
+export async function resolveIncludes(value, baseUrl, chain = [baseUrl]) {
+  if (Array.isArray(value)) {
+    const result = [];
+    for (const item of value) {
+      const resolved = await resolveIncludes(item, baseUrl, chain);
+      const bareInclude = isPlainObject(item) && Object.keys(item).length === 1 && INCLUDE_KEY in item;
+      if (bareInclude && Array.isArray(resolved)) result.push(...resolved);
+      else result.push(resolved);
+    }
+    return result;
+  }
+
+  if (!isPlainObject(value)) return value;
+
+  if (INCLUDE_KEY in value) {
+    const { [INCLUDE_KEY]: paths, ...overrides } = value;
+    const included = await loadIncludes(paths, baseUrl, chain);
+    if (Object.keys(overrides).length === 0) return included;
+    if (!isPlainObject(included)) {
+      throw new Error(`Keys next to "${INCLUDE_KEY}" need an included mapping, got a ${Array.isArray(included) ? 'list' : typeof included} (in ${fileName(baseUrl)})`);
     }
-  } catch (jsonError) {
-    console.error(`Could not load config from either ${yamlPath} or ${jsonPath}`);
-    throw new Error(`Failed to load config: ${yamlError.message}`);
+    return { ...included, ...(await resolveIncludes(overrides, baseUrl, chain)) };
   }
 
-  // Try YAML first
-  // try {
-  //   return await loadYamlFile(yamlPath);
-  // } catch (yamlError) {
-  //   console.warn(`Could not load YAML from ${yamlPath}, trying JSON...`);
-
-  //   // Fall back to JSON
-  //   try {
-  //     const response = await fetch(jsonPath);
-  //     if (response.ok) {
-  //       return await response.json();
-  //     }
-  //   } catch (jsonError) {
-  //     console.error(`Could not load config from either ${yamlPath} or ${jsonPath}`);
-  //     throw new Error(`Failed to load config: ${yamlError.message}`);
-  //   }
-  // }
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    result[key] = await resolveIncludes(child, baseUrl, chain);
+  }
+  return result;
+}
+
+/**
+ * Load a YAML (or JSON) file and resolve its includes
+ * @param {string} filePath - Path or URL of the file
+ * @returns {Promise<any>}
+ */
+export async function loadYamlFile(filePath) {
+  const url = new URL(filePath, location.href).href;
+  return resolveIncludes(await fetchConfigFile(url), url);
+}
+
+/**
+ * Load a packaged config: `${basePath}.yaml` first, then `${basePath}.json`
+ * Includes are resolved relative to the file that was found. A missing or
+ * unreadable file falls back to the next format; include errors do not.
+ * @param {string} basePath - Path without extension (e.g. '/default')
+ * @returns {Promise<Object>} Config
+ */
+export async function loadConfigFile(basePath) {
+  const failures = [];
+  for (const path of [`${basePath}.yaml`, `${basePath}.json`]) {
+    const url = new URL(path, location.href).href;
+    let data;
+    try {
+      data = await fetchConfigFile(url);
+    } catch (error) {
+      if (error.status === 404) logger.log(error.message);
+      else logger.warn(error.message);
+      failures.push(error.message);
+      continue;
+    }
+    if (!isPlainObject(data)) {
+      failures.push(`${path} is not a config object`);
+      continue;
+    }
+    const config = await resolveIncludes(data, url);
+    logger.log(`Loaded ${path}`);
+    return config;
+  }
+  throw new Error(`Failed to load config: ${failures.join('; ')}`);
 }
@@ -1,8 +1,36 @@
 import { defineConfig } from "vite";
 import { resolve } from "path";
+import { existsSync, readFileSync } from "fs";
+import { configToYaml } from "./convertToYaml.js";
+
+const DEFAULT_JSON = resolve(__dirname, "public/default.json");
+const DEFAULT_YAML = resolve(__dirname, "public/default.yaml");
+
+// The packaged config is loaded from /default.yaml first (see yamlLoader.js).
+// Unless public/default.yaml is written by hand, it is generated from
+// public/default.json: served by the dev server and emitted by the build.
+function defaultYaml() {
+  const generated = () => !existsSync(DEFAULT_YAML) && existsSync(DEFAULT_JSON);
+  const render = () => configToYaml(JSON.parse(readFileSync(DEFAULT_JSON, "utf8")));
+
+  return {
+    name: "macrohero-default-yaml",
+    configureServer(server) {
+      server.middlewares.use("/default.yaml", (req, res, next) => {
+        if (!generated()) return next();
+        res.setHeader("Content-Type", "text/yaml; charset=utf-8");
+        res.end(render());
+      });
+    },
+    generateBundle() {
+      if (generated()) this.emitFile({ type: "asset", fileName: "default.yaml", source: render() });
+    },
+  };
+}
 
 // https://vite.dev/config/
 export default defineConfig({
+  plugins: [defaultYaml()],
   server: {
     cors: {
       origin: "https://www.owlbear.rodeo",
@@ -16,4 +44,4 @@ export default defineConfig({
       }
     }
   }
-});
\ No newline at end of file
+});